@@ -0,0 +1,224 @@
+/**
+ * Contour Fill Module
+ *
+ * Fills solid color regions with concentric paths: the outline of the
+ * region first, then copies of it offset inward one spacing at a time,
+ * until the region is covered. Edges stay clean because every path follows
+ * the shape instead of stepping across it like scanlines.
+ *
+ * Offsets come from a Euclidean distance transform of the layer mask: the
+ * k-th path is the outline of the pixels at least inset + k spacings from
+ * the region edge. Where a region ends before the next offset, one more
+ * path halfway in fills its middle.
+ *
+ * @module algorithms/contourFill
+ */
+
+import { followEdgePaths, simplifyPolyline } from './edgeTracer.js';
+
+/**
+ * Squared distance used for pixels with no outside pixel in reach
+ * @type {number}
+ * @private
+ */
+const FAR = 1e20;
+
+/**
+ * One-dimensional squared distance transform (Felzenszwalb & Huttenlocher)
+ * @private
+ * @param {Float64Array} f - Input squared distances
+ * @param {number} n - Number of samples
+ * @param {Float64Array} d - Output squared distances
+ * @param {Int32Array} v - Scratch: parabola positions
+ * @param {Float64Array} z - Scratch: parabola boundaries
+ */
+function transform1d(f, n, d, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+
+    for (let q = 1; q < n; q++) {
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+}
+
+/**
+ * Get the distance from every region pixel to the nearest pixel outside it
+ * Pixels beyond the image border count as outside.
+ *
+ * @param {Object} mask - Image data {data, width, height}; opaque pixels form the region
+ * @returns {Float32Array} Distance per pixel (0 outside the region, 1 on its edge)
+ */
+export function distanceTransform(mask) {
+    const { width, height, data } = mask;
+
+    // Pad by one pixel so the image border is outside
+    const paddedWidth = width + 2;
+    const paddedHeight = height + 2;
+    const grid = new Float64Array(paddedWidth * paddedHeight);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > 0) {
+                grid[(y + 1) * paddedWidth + x + 1] = FAR;
+            }
+        }
+    }
+
+    const size = Math.max(paddedWidth, paddedHeight);
+    const f = new Float64Array(size);
+    const d = new Float64Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+
+    // Columns, then rows
+    for (let x = 0; x < paddedWidth; x++) {
+        for (let y = 0; y < paddedHeight; y++) f[y] = grid[y * paddedWidth + x];
+        transform1d(f, paddedHeight, d, v, z);
+        for (let y = 0; y < paddedHeight; y++) grid[y * paddedWidth + x] = d[y];
+    }
+    for (let y = 0; y < paddedHeight; y++) {
+        const row = y * paddedWidth;
+        for (let x = 0; x < paddedWidth; x++) f[x] = grid[row + x];
+        transform1d(f, paddedWidth, d, v, z);
+        for (let x = 0; x < paddedWidth; x++) grid[row + x] = d[x];
+    }
+
+    const distances = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            distances[y * width + x] = Math.sqrt(grid[(y + 1) * paddedWidth + x + 1]);
+        }
+    }
+    return distances;
+}
+
+/**
+ * Get the largest value within a square window around every pixel
+ * @private
+ * @param {Float32Array} values - Value per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Half the window side (pixels)
+ * @returns {Float32Array} Window maximum per pixel
+ */
+function maximumFilter(values, width, height, radius) {
+    const rows = new Float32Array(values.length);
+    const result = new Float32Array(values.length);
+
+    // Rows, then columns
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let max = 0;
+            for (let nx = Math.max(0, x - radius); nx <= Math.min(width - 1, x + radius); nx++) {
+                max = Math.max(max, values[y * width + nx]);
+            }
+            rows[y * width + x] = max;
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let max = 0;
+            for (let ny = Math.max(0, y - radius); ny <= Math.min(height - 1, y + radius); ny++) {
+                max = Math.max(max, rows[ny * width + x]);
+            }
+            result[y * width + x] = max;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Mark the outline of the pixels at least a distance from the region edge
+ * An outline pixel is inside the offset region and has a straight
+ * neighbor outside it.
+ *
+ * @param {Float32Array} distances - Result of distanceTransform()
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} offset - Distance from the region edge (pixels)
+ * @param {Function} [keep] - (pixelIndex) => boolean; outline pixels it rejects are left out
+ * @returns {{data: Uint8ClampedArray, width: number, height: number, count: number}}
+ *          Edge map (white outline on black) and its number of outline pixels
+ */
+export function offsetOutline(distances, width, height, offset, keep = null) {
+    // Pixel centers on the edge are half a pixel inside it
+    const limit = offset + 0.5;
+    const inside = (x, y) => x >= 0 && x < width && y >= 0 && y < height && distances[y * width + x] >= limit;
+    const outline = { data: new Uint8ClampedArray(width * height * 4), width, height, count: 0 };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (inside(x, y) && !(inside(x - 1, y) && inside(x + 1, y) && inside(x, y - 1) && inside(x, y + 1))
+                && (!keep || keep(y * width + x))) {
+                outline.data.fill(255, (y * width + x) * 4, (y * width + x) * 4 + 4);
+                outline.count++;
+            }
+        }
+    }
+
+    return outline;
+}
+
+/**
+ * Plan concentric fill paths for a region
+ *
+ * @param {Object} mask - Image data {data, width, height}; opaque pixels form the region
+ * @param {number} spacing - Distance between paths, e.g. the nozzle width (pixels, at least 1)
+ * @param {Object} [options] - Fill options
+ * @param {number} [options.inset=spacing / 2] - Distance of the first path from the edge, e.g. half the nozzle width (pixels)
+ * @param {number} [options.maxRings=0] - Most paths inward from each edge (0 = fill completely, including middles)
+ * @param {number} [options.simplifyTolerance=1] - Douglas-Peucker tolerance, smooths pixel steps (pixels)
+ * @returns {Array<{points: Array<{x: number, y: number}>, ring: number}>} Paths, outermost ring first
+ *
+ * @example
+ * const paths = planConcentricFill(mask, nozzleWidthPixels);
+ */
+export function planConcentricFill(mask, spacing, options = {}) {
+    const step = Math.max(1, spacing);
+    const { inset = step / 2, maxRings = 0, simplifyTolerance = 1 } = options;
+    const { width, height } = mask;
+    const distances = distanceTransform(mask);
+
+    // Deepest distance near each pixel, to tell where the next ring is missing
+    const nearby = maxRings <= 0 ? maximumFilter(distances, width, height, Math.ceil(step)) : null;
+
+    const paths = [];
+    const addPaths = (outline, ring) => {
+        for (const path of followEdgePaths(outline)) {
+            paths.push({ points: simplifyPolyline(path, simplifyTolerance), ring });
+        }
+    };
+
+    for (let ring = 0; maxRings <= 0 || ring < maxRings; ring++) {
+        const offset = inset + ring * step;
+        const outline = offsetOutline(distances, width, height, offset);
+        if (outline.count === 0) {
+            break;
+        }
+        addPaths(outline, ring);
+
+        // Middles too narrow for the next ring get a path halfway to it
+        if (nearby) {
+            const nextLimit = offset + step + 0.5;
+            addPaths(offsetOutline(distances, width, height, offset + step / 2, index => nearby[index] < nextLimit), ring);
+        }
+    }
+
+    return paths;
+}
@@ -0,0 +1,221 @@
+/**
+ * Dithering Module
+ *
+ * Maps an image onto a small paint palette while keeping its gradients.
+ * Instead of snapping every pixel to the nearest color (posterizing), the
+ * palette colors are mixed in fine patterns whose average matches the image.
+ *
+ * @module algorithms/dithering
+ */
+
+/**
+ * Dithering methods
+ * @type {Object<string, string>}
+ */
+export const DitherMethod = {
+    NONE: 'none',                         // Nearest palette color only
+    FLOYD_STEINBERG: 'floyd-steinberg',   // Error diffusion, smooth gradients
+    ATKINSON: 'atkinson',                 // Error diffusion, crisper with more contrast
+    BAYER: 'bayer'                        // Ordered 4x4 pattern, regular texture
+};
+
+/**
+ * Error diffusion kernels: where the error of a pixel goes, as
+ * [dx, dy, weight] with weights in 1/divisor
+ * @type {Object<string, {divisor: number, spread: Array<number[]>}>}
+ * @private
+ */
+const ERROR_KERNELS = {
+    [DitherMethod.FLOYD_STEINBERG]: {
+        divisor: 16,
+        spread: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    // Only 6/8 of the error is passed on, which keeps highlights and shadows clean
+    [DitherMethod.ATKINSON]: {
+        divisor: 8,
+        spread: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    }
+};
+
+/**
+ * 4x4 Bayer threshold matrix
+ * @type {number[]}
+ * @private
+ */
+const BAYER_4X4 = [
+    0, 8, 2, 10,
+    12, 4, 14, 6,
+    3, 11, 1, 9,
+    15, 7, 13, 5
+];
+
+/**
+ * Find the palette color closest to an RGB value
+ * @private
+ * @param {number} r - Red (may lie outside 0-255 while error is diffused)
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @param {Array<{r: number, g: number, b: number}>} palette - Palette colors
+ * @returns {Object} Closest palette color
+ */
+function nearestColor(r, g, b, palette) {
+    let nearest = palette[0];
+    let minDist = Infinity;
+
+    for (const color of palette) {
+        const dr = r - color.r;
+        const dg = g - color.g;
+        const db = b - color.b;
+        const dist = dr * dr + dg * dg + db * db;
+        if (dist < minDist) {
+            minDist = dist;
+            nearest = color;
+        }
+    }
+
+    return nearest;
+}
+
+/**
+ * Get the average distance from each palette color to its closest neighbor,
+ * per channel
+ * Sets how strongly ordered dithering nudges pixels between colors.
+ * @private
+ * @param {Array<{r: number, g: number, b: number}>} palette - Palette colors
+ * @returns {number} Average neighbor distance (0 for a single color)
+ */
+function paletteSpacing(palette) {
+    if (palette.length < 2) {
+        return 0;
+    }
+
+    let total = 0;
+    for (const color of palette) {
+        let closest = Infinity;
+        for (const other of palette) {
+            if (other !== color) {
+                closest = Math.min(closest, Math.hypot(color.r - other.r, color.g - other.g, color.b - other.b));
+            }
+        }
+        total += closest;
+    }
+    // The pattern offsets all three channels at once, so spread the distance over them
+    return total / palette.length / Math.sqrt(3);
+}
+
+/**
+ * Dither with error diffusion
+ * @private
+ * @param {ImageData} imageData - Source image
+ * @param {Array} palette - Palette colors
+ * @param {{divisor: number, spread: Array<number[]>}} kernel - Error diffusion kernel
+ * @param {Uint8ClampedArray} out - Output pixels
+ */
+function diffuseError(imageData, palette, kernel, out) {
+    const { width, height, data } = imageData;
+
+    // Working copy in floating point so error can push values past 0-255
+    const work = new Float32Array(width * height * 3);
+    for (let p = 0, i = 0; p < work.length; p += 3, i += 4) {
+        work[p] = data[i];
+        work[p + 1] = data[i + 1];
+        work[p + 2] = data[i + 2];
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = (y * width + x) * 3;
+            const i = (y * width + x) * 4;
+            const color = nearestColor(work[p], work[p + 1], work[p + 2], palette);
+
+            out[i] = color.r;
+            out[i + 1] = color.g;
+            out[i + 2] = color.b;
+            out[i + 3] = data[i + 3];
+
+            // Transparent pixels are not painted, so they neither carry nor receive error
+            if (data[i + 3] === 0) {
+                continue;
+            }
+
+            const errR = work[p] - color.r;
+            const errG = work[p + 1] - color.g;
+            const errB = work[p + 2] - color.b;
+
+            for (const [dx, dy, weight] of kernel.spread) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height || data[(ny * width + nx) * 4 + 3] === 0) {
+                    continue;
+                }
+
+                const q = (ny * width + nx) * 3;
+                const share = weight / kernel.divisor;
+                work[q] += errR * share;
+                work[q + 1] += errG * share;
+                work[q + 2] += errB * share;
+            }
+        }
+    }
+}
+
+/**
+ * Dither with the ordered Bayer pattern
+ * @private
+ * @param {ImageData} imageData - Source image
+ * @param {Array} palette - Palette colors
+ * @param {number} spread - Strength of the pattern (0 = nearest color only)
+ * @param {Uint8ClampedArray} out - Output pixels
+ */
+function orderedDither(imageData, palette, spread, out) {
+    const { width, height, data } = imageData;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const offset = ((BAYER_4X4[(y % 4) * 4 + (x % 4)] + 0.5) / 16 - 0.5) * spread;
+            const color = nearestColor(data[i] + offset, data[i + 1] + offset, data[i + 2] + offset, palette);
+
+            out[i] = color.r;
+            out[i + 1] = color.g;
+            out[i + 2] = color.b;
+            out[i + 3] = data[i + 3];
+        }
+    }
+}
+
+/**
+ * Map an image onto a palette with dithering
+ * Every pixel of the result is exactly one of the palette colors, so it can
+ * be separated into color layers like a quantized image.
+ *
+ * @param {ImageData} imageData - Source image
+ * @param {Array<{r: number, g: number, b: number}>} palette - Palette colors
+ * @param {string} [method=DitherMethod.FLOYD_STEINBERG] - A DitherMethod value
+ * @returns {ImageData} Dithered image
+ * @throws {Error} If the palette is empty or the method is unknown
+ *
+ * @example
+ * const dithered = ditherImage(processedImageData, colorPalette, DitherMethod.ATKINSON);
+ * const layers = await colorSeparator.separateColors(dithered, colorPalette, 30);
+ */
+export function ditherImage(imageData, palette, method = DitherMethod.FLOYD_STEINBERG) {
+    if (!palette || palette.length === 0) {
+        throw new Error('Cannot dither without palette colors');
+    }
+
+    const dithered = new ImageData(imageData.width, imageData.height);
+    const out = dithered.data;
+
+    if (ERROR_KERNELS[method]) {
+        diffuseError(imageData, palette, ERROR_KERNELS[method], out);
+    } else if (method === DitherMethod.BAYER) {
+        orderedDither(imageData, palette, paletteSpacing(palette), out);
+    } else if (method === DitherMethod.NONE) {
+        orderedDither(imageData, palette, 0, out);
+    } else {
+        throw new Error(`Unknown dithering method: ${method}`);
+    }
+
+    return dithered;
+}
@@ -211,6 +211,107 @@ export function findEdgeContours(edgeMap, threshold = 128) {
     return contours;
 }
 
+/**
+ * Neighbor offsets tried when following a path: straight steps before diagonal ones
+ * @type {Array<number[]>}
+ */
+const PATH_STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1], [1, 1], [-1, 1], [-1, -1], [1, -1]];
+
+/**
+ * Walk from a pixel along unvisited edge pixels until the path ends
+ * @param {Uint8ClampedArray} edgeMap - Edge detection result
+ * @param {number} startX - Starting X coordinate
+ * @param {number} startY - Starting Y coordinate
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Uint8Array} visited - Visited flags, one per pixel
+ * @param {number} threshold - Edge threshold
+ * @returns {Array<{x: number, y: number}>} Points in walking order, starting after the start pixel
+ */
+function walkPath(edgeMap, startX, startY, width, height, visited, threshold) {
+    const points = [];
+    let x = startX;
+    let y = startY;
+    
+    for (;;) {
+        let next = null;
+        for (const [dx, dy] of PATH_STEPS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height
+                && !visited[ny * width + nx] && isEdgePixel(edgeMap, nx, ny, width, threshold)) {
+                next = { x: nx, y: ny };
+                break;
+            }
+        }
+        
+        if (!next) return points;
+        
+        visited[next.y * width + next.x] = 1;
+        points.push(next);
+        x = next.x;
+        y = next.y;
+    }
+}
+
+/**
+ * Find edge contours as ordered paths
+ * Unlike findEdgeContours(), whose points are in discovery order, each path
+ * can be painted point by point. Branches become separate paths and paths
+ * that return to their start are closed (first point repeated at the end).
+ * @param {Object} edgeMap - Edge map object with data, width, height
+ * @param {number} threshold - Edge threshold (default: 128)
+ * @returns {Array<Array<{x: number, y: number}>>} Array of paths with at least 2 points
+ */
+export function followEdgePaths(edgeMap, threshold = 128) {
+    eventBus.emit('PATH_PLANNING_STARTED', {
+        algorithm: 'edge-path-following',
+        imageSize: `${edgeMap.width}x${edgeMap.height}`
+    });
+    
+    const { data, width, height } = edgeMap;
+    const visited = new Uint8Array(width * height);
+    const paths = [];
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (visited[y * width + x] || !isEdgePixel(data, x, y, width, threshold)) continue;
+            
+            visited[y * width + x] = 1;
+            const start = { x, y };
+            
+            // Walk one way, then extend the other way from the start
+            const forward = walkPath(data, x, y, width, height, visited, threshold);
+            const backward = walkPath(data, x, y, width, height, visited, threshold);
+            const path = [...backward.reverse(), start, ...forward];
+            
+            // Close loops whose ends meet
+            const first = path[0];
+            const last = path[path.length - 1];
+            if (path.length > 2 && Math.abs(first.x - last.x) <= 1 && Math.abs(first.y - last.y) <= 1) {
+                path.push({ ...first });
+            }
+            
+            if (path.length > 1) {
+                paths.push(path);
+            }
+        }
+        
+        if (y % 50 === 0) {
+            eventBus.emit('PATH_PLANNING_PROGRESS', {
+                progress: y / height
+            });
+        }
+    }
+    
+    eventBus.emit('PATH_PLANNING_COMPLETE', {
+        algorithm: 'edge-path-following',
+        contourCount: paths.length
+    });
+    
+    return paths;
+}
+
 /**
  * Trace edges from edge detection output
  * @param {Object} edgeMap - Edge map object with data, width, height
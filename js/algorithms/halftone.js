@@ -0,0 +1,152 @@
+/**
+ * Halftone Module
+ *
+ * Derives the size and dwell time of each pointillism dot from the tone of
+ * the layer around it, so dark or densely covered areas get bigger, longer
+ * dots and the wall shows shading instead of flat fills.
+ *
+ * @module algorithms/halftone
+ */
+
+import { rgbToGray } from './colorUtils.js';
+
+/**
+ * Ways of choosing the dot size
+ * @type {Object<string, string>}
+ */
+export const DotSizing = {
+    RANDOM: 'random',       // Uniform between min and max, ignoring the image
+    COVERAGE: 'coverage',   // Share of the neighborhood the layer covers
+    LUMINANCE: 'luminance'  // Coverage weighted by how dark the layer color is
+};
+
+/**
+ * Shortest dwell emitted for a dot (seconds)
+ * @type {number}
+ */
+export const MIN_DWELL = 0.02;
+
+/**
+ * Build a summed-area table of a layer mask
+ * Lets the coverage of any rectangle be read in constant time.
+ *
+ * @param {ImageData} imageData - Layer mask (opaque pixels belong to the layer)
+ * @returns {{width: number, height: number, sums: Uint32Array}} Coverage map
+ */
+export function createCoverageMap(imageData) {
+    const { width, height, data } = imageData;
+    const stride = width + 1;
+    const sums = new Uint32Array(stride * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += data[(y * width + x) * 4 + 3] > 0 ? 1 : 0;
+            sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+        }
+    }
+
+    return { width, height, sums };
+}
+
+/**
+ * Get the share of a square neighborhood covered by the layer
+ *
+ * @param {Object} map - Coverage map from createCoverageMap()
+ * @param {number} x - Center X (pixels)
+ * @param {number} y - Center Y (pixels)
+ * @param {number} radius - Half the side of the square (pixels)
+ * @returns {number} Coverage (0-1); pixels outside the image count as uncovered
+ */
+export function getCoverage(map, x, y, radius) {
+    const r = Math.max(0, Math.round(radius));
+    const x0 = Math.max(0, x - r);
+    const y0 = Math.max(0, y - r);
+    const x1 = Math.min(map.width, x + r + 1);
+    const y1 = Math.min(map.height, y + r + 1);
+    if (x1 <= x0 || y1 <= y0) {
+        return 0;
+    }
+
+    const stride = map.width + 1;
+    const covered = map.sums[y1 * stride + x1] - map.sums[y0 * stride + x1]
+        - map.sums[y1 * stride + x0] + map.sums[y0 * stride + x0];
+    const side = 2 * r + 1;
+    return covered / (side * side);
+}
+
+/**
+ * Get how dark a color is
+ *
+ * @param {Object} color - Color {r, g, b}
+ * @returns {number} Darkness (0 = white, 1 = black)
+ */
+export function getColorDarkness(color) {
+    return 1 - rgbToGray(color.r, color.g, color.b) / 255;
+}
+
+/**
+ * Map a tone to a dot diameter
+ * Randomness jitters the size by up to half of that share of the range.
+ *
+ * @param {number} tone - Tone (0-1)
+ * @param {number} minDotSize - Smallest dot (mm)
+ * @param {number} maxDotSize - Largest dot (mm)
+ * @param {number} [randomness=0] - Jitter (percentage)
+ * @param {Function} [random=Math.random] - Random source returning [0, 1)
+ * @returns {number} Dot diameter (mm), within min and max
+ */
+export function toneToDotSize(tone, minDotSize, maxDotSize, randomness = 0, random = Math.random) {
+    const range = maxDotSize - minDotSize;
+    const jitter = randomness > 0 ? (random() - 0.5) * (randomness / 100) * range : 0;
+    const size = minDotSize + Math.max(0, Math.min(1, tone)) * range + jitter;
+    return Math.max(minDotSize, Math.min(maxDotSize, size));
+}
+
+/**
+ * Get the dwell time that lays down a dot of the given size
+ * Paint scales with the dot area, so the largest dot dwells maxDwell.
+ *
+ * @param {number} dotSize - Dot diameter (mm)
+ * @param {number} maxDotSize - Largest dot (mm)
+ * @param {number} maxDwell - Dwell of the largest dot (seconds)
+ * @returns {number} Dwell time (seconds), at least MIN_DWELL
+ */
+export function dotDwellTime(dotSize, maxDotSize, maxDwell) {
+    const ratio = maxDotSize > 0 ? dotSize / maxDotSize : 1;
+    return Math.max(MIN_DWELL, maxDwell * ratio * ratio);
+}
+
+/**
+ * Create a function that sizes the dots of one color layer
+ *
+ * @param {ImageData} imageData - Layer mask
+ * @param {Object} color - Layer color {r, g, b}
+ * @param {Object} pointillism - Pointillism settings (config.paint.pointillism)
+ * @param {number} spacing - Distance between dot centers (pixels); sets the neighborhood
+ * @param {Function} [random=Math.random] - Random source returning [0, 1)
+ * @returns {Function} (pixel) => {size, dwell, tone} with size in mm and dwell in seconds
+ *
+ * @example
+ * const sizeDot = createDotSizer(layer.imageData, layer.color, config.paint.pointillism, 4);
+ * const { size, dwell } = sizeDot({ x: 120, y: 80 });
+ */
+export function createDotSizer(imageData, color, pointillism, spacing, random = Math.random) {
+    const { minDotSize, maxDotSize, randomness = 0, maxDwell = 0.2 } = pointillism;
+    const sizing = pointillism.dotSizing || DotSizing.LUMINANCE;
+
+    const toDot = (size, tone) => ({ size, dwell: dotDwellTime(size, maxDotSize, maxDwell), tone });
+
+    if (sizing === DotSizing.RANDOM) {
+        return () => toDot(minDotSize + random() * (maxDotSize - minDotSize), null);
+    }
+
+    const map = createCoverageMap(imageData);
+    const radius = Math.max(1, spacing / 2);
+    const weight = sizing === DotSizing.LUMINANCE ? getColorDarkness(color) : 1;
+
+    return pixel => {
+        const tone = getCoverage(map, pixel.x, pixel.y, radius) * weight;
+        return toDot(toneToDotSize(tone, minDotSize, maxDotSize, randomness, random), tone);
+    };
+}
@@ -0,0 +1,144 @@
+/**
+ * Hatching Module
+ *
+ * Fills a color layer with parallel lines whose spacing follows the tone of
+ * the layer: dark areas get dense lines, light areas sparse ones. Tones past
+ * a threshold get a second, crossing pass (cross-hatching).
+ *
+ * Lines are laid on a fine base grid; at each point a line is drawn only if
+ * its threshold is below the density the tone calls for. Thresholds follow
+ * a bit-reversal sequence, so the lines kept at any density are evenly spread.
+ *
+ * @module algorithms/hatching
+ */
+
+import { planAngledScanlines } from './scanlinePlanner.js';
+import { createCoverageMap, getCoverage, getColorDarkness } from './halftone.js';
+
+/**
+ * Closest line spacing planned (pixels); denser grids only repeat lines
+ * @type {number}
+ */
+export const MIN_LINE_SPACING = 0.5;
+
+/**
+ * Get the threshold of a hatch line (van der Corput sequence in base 2)
+ * Lines 0, 1, 2, 3, 4... get 0, 0.5, 0.25, 0.75, 0.125...
+ *
+ * @param {number} lineIndex - Index of the line on the base grid
+ * @returns {number} Threshold (0-1)
+ */
+export function lineThreshold(lineIndex) {
+    let threshold = 0;
+    let weight = 0.5;
+    for (let n = lineIndex; n > 0; n >>= 1, weight /= 2) {
+        if (n & 1) {
+            threshold += weight;
+        }
+    }
+    return threshold;
+}
+
+/**
+ * Get the share of base-grid lines drawn for a tone
+ * The spacing goes linearly from maxSpacing (tone 0) to minSpacing (tone 1).
+ *
+ * @param {number} tone - Tone (0-1)
+ * @param {number} minSpacing - Spacing of the darkest tone (base grid)
+ * @param {number} maxSpacing - Spacing of the lightest tone
+ * @returns {number} Share of lines drawn (minSpacing / spacing)
+ */
+export function toneToLineDensity(tone, minSpacing, maxSpacing) {
+    const clamped = Math.max(0, Math.min(1, tone));
+    const spacing = maxSpacing - clamped * (maxSpacing - minSpacing);
+    return minSpacing / Math.max(minSpacing, spacing);
+}
+
+/**
+ * Grow a layer mask so lines run across small gaps
+ * Dithered or speckled layers would otherwise break every line into dashes.
+ *
+ * @param {Object} mask - Image data {data, width, height}
+ * @param {Object} map - Coverage map of the mask from createCoverageMap()
+ * @param {number} radius - Gap size bridged (pixels)
+ * @returns {Object} Grown mask with white opaque pixels
+ */
+export function closeMaskGaps(mask, map, radius) {
+    const { width, height } = mask;
+    const grown = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (getCoverage(map, x, y, radius) > 0) {
+                grown.data.fill(255, (y * width + x) * 4, (y * width + x) * 4 + 4);
+            }
+        }
+    }
+
+    return grown;
+}
+
+/**
+ * Plan the hatch lines of one color layer
+ * Lines run wherever the layer has pixels within half the darkest spacing.
+ *
+ * @param {Object} mask - Image data {data, width, height}; white opaque pixels are painted
+ * @param {Object} color - Layer color {r, g, b}; darker colors hatch denser
+ * @param {Object} options - Hatching options (spacings in pixels)
+ * @param {number} [options.angle=45] - Angle of the first pass (degrees)
+ * @param {number} options.minSpacing - Line spacing of the darkest tone
+ * @param {number} options.maxSpacing - Line spacing of the lightest tone
+ * @param {boolean} [options.crossHatch=true] - Add a second pass for dark tones
+ * @param {number} [options.crossAngle=90] - Angle between the passes (degrees)
+ * @param {number} [options.crossThreshold=0.6] - Tone (0-1) from which the second pass starts
+ * @returns {Array<Object>} Segments from planAngledScanlines(), each with its pass (1 or 2)
+ *
+ * @example
+ * const segments = planHatching(mask, layer.color, { angle: 45, minSpacing: 2, maxSpacing: 8 });
+ */
+export function planHatching(mask, color, options) {
+    const {
+        angle = 45,
+        minSpacing,
+        maxSpacing,
+        crossHatch = true,
+        crossAngle = 90,
+        crossThreshold = 0.6
+    } = options;
+    const base = Math.max(MIN_LINE_SPACING, Math.min(minSpacing, maxSpacing));
+    const widest = Math.max(minSpacing, maxSpacing);
+
+    // Tone is the layer's coverage around a point, weighted by how dark its color is
+    const map = createCoverageMap(mask);
+    const radius = Math.max(1, widest / 2);
+    const darkness = getColorDarkness(color);
+    const toneAt = (x, y) => getCoverage(map, x, y, radius) * darkness;
+    const region = closeMaskGaps(mask, map, Math.max(1, Math.floor(base / 2)));
+
+    const segments = planAngledScanlines(region, [255, 255, 255], 10, {
+        angle,
+        spacing: base,
+        include: (x, y, lineIndex) =>
+            lineThreshold(lineIndex) < toneToLineDensity(toneAt(x, y), base, widest)
+    }).map(segment => ({ ...segment, pass: 1 }));
+
+    if (!crossHatch || crossThreshold >= 1) {
+        return segments;
+    }
+
+    // Second pass: tones past the threshold, spaced by how far past they are
+    const cross = planAngledScanlines(region, [255, 255, 255], 10, {
+        angle: angle + crossAngle,
+        spacing: base,
+        include: (x, y, lineIndex) => {
+            const tone = toneAt(x, y);
+            if (tone < crossThreshold) {
+                return false;
+            }
+            const excess = (tone - crossThreshold) / (1 - crossThreshold);
+            return lineThreshold(lineIndex) < toneToLineDensity(excess, base, widest);
+        }
+    }).map(segment => ({ ...segment, pass: 2 }));
+
+    return segments.concat(cross);
+}
@@ -395,4 +395,117 @@ export function planBidirectionalScanlines(imageData, targetColor, tolerance = 3
     });
     
     return segments;
-}
\ No newline at end of file
+}
+
+/**
+ * Plan parallel scanlines at any angle
+ * Lines run along the given angle and are spaced evenly across the image;
+ * consecutive lines alternate direction to minimize travel. Each segment
+ * records the index of the line it lies on, so callers can thin lines out.
+ * @param {Object} imageData - Image data object with data, width, height
+ * @param {Array<number>} targetColor - Target RGB color [r, g, b]
+ * @param {number} tolerance - Color matching tolerance (default: 30)
+ * @param {Object} [options] - Scan options
+ * @param {number} [options.angle=0] - Line angle in degrees (0 = horizontal, 90 = vertical)
+ * @param {number} [options.spacing=1] - Distance between lines (pixels)
+ * @param {Function} [options.include] - (x, y, lineIndex) => boolean; pixels it rejects end a segment
+ * @returns {Array<Object>} Line segments {startX, startY, endX, endY, length, lineIndex, reversed}
+ */
+export function planAngledScanlines(imageData, targetColor, tolerance = 30, options = {}) {
+    const { angle = 0, spacing = 1, include = null } = options;
+    
+    eventBus.emit('PATH_PLANNING_STARTED', {
+        algorithm: 'angled-scanlines',
+        imageSize: `${imageData.width}x${imageData.height}`
+    });
+    
+    const segments = [];
+    const { data, width, height } = imageData;
+    const radians = angle * Math.PI / 180;
+    
+    // Direction along the lines and normal across them
+    const dirX = Math.cos(radians);
+    const dirY = Math.sin(radians);
+    const normX = -dirY;
+    const normY = dirX;
+    
+    // Range of both axes over the image corners
+    const corners = [[0, 0], [width - 1, 0], [0, height - 1], [width - 1, height - 1]];
+    const along = corners.map(([x, y]) => x * dirX + y * dirY);
+    const across = corners.map(([x, y]) => x * normX + y * normY);
+    const alongMin = Math.min(...along);
+    const alongMax = Math.max(...along);
+    const acrossMin = Math.min(...across);
+    const acrossMax = Math.max(...across);
+    
+    const step = Math.max(spacing, 0.5);
+    const lineCount = Math.floor((acrossMax - acrossMin) / step) + 1;
+    
+    for (let lineIndex = 0; lineIndex < lineCount; lineIndex++) {
+        const offset = acrossMin + lineIndex * step;
+        const forward = lineIndex % 2 === 0;
+        let segmentStart = null;
+        let last = null;
+        
+        const closeSegment = () => {
+            const [startX, startY] = forward ? segmentStart : last;
+            const [endX, endY] = forward ? last : segmentStart;
+            segments.push({
+                startX,
+                startY,
+                endX,
+                endY,
+                length: Math.hypot(endX - startX, endY - startY),
+                lineIndex,
+                reversed: !forward
+            });
+        };
+        
+        // Walk the line one pixel at a time
+        const samples = Math.floor(alongMax - alongMin) + 1;
+        for (let i = 0; i < samples; i++) {
+            const t = forward ? alongMin + i : alongMax - i;
+            const px = t * dirX + offset * normX;
+            const py = t * dirY + offset * normY;
+            const x = Math.round(px);
+            const y = Math.round(py);
+            
+            const matches = x >= 0 && x < width && y >= 0 && y < height
+                && matchesColor(data, x, y, width, targetColor, tolerance)
+                && (!include || include(x, y, lineIndex));
+            
+            if (matches) {
+                // Keep endpoints inside the image (+ 0 turns -0 into 0)
+                const point = [
+                    Math.round(Math.min(width - 1, Math.max(0, px)) * 100) / 100 + 0,
+                    Math.round(Math.min(height - 1, Math.max(0, py)) * 100) / 100 + 0
+                ];
+                if (segmentStart === null) {
+                    segmentStart = point;
+                }
+                last = point;
+            } else if (segmentStart !== null) {
+                closeSegment();
+                segmentStart = null;
+            }
+        }
+        
+        // Close segment at end of line if needed
+        if (segmentStart !== null) {
+            closeSegment();
+        }
+        
+        if (lineIndex % 50 === 0) {
+            eventBus.emit('PATH_PLANNING_PROGRESS', {
+                progress: lineIndex / lineCount
+            });
+        }
+    }
+    
+    eventBus.emit('PATH_PLANNING_COMPLETE', {
+        algorithm: 'angled-scanlines',
+        segmentCount: segments.length
+    });
+    
+    return segments;
+}
@@ -71,6 +71,57 @@ export class SpatialIndex {
         }
     }
 
+    /**
+     * Add a point to the index
+     * Lets the index grow while points are being placed, e.g. by a sampler.
+     * @param {{x: number, y: number}} point - Point to add
+     * @returns {number} Index of the added point
+     */
+    add(point) {
+        const index = this.points.length;
+        this.points.push(point);
+
+        const cellKey = this._getCellKey(point);
+        if (!this.grid.has(cellKey)) {
+            this.grid.set(cellKey, []);
+        }
+        this.grid.get(cellKey).push({ index, point });
+
+        return index;
+    }
+
+    /**
+     * Check whether any indexed point lies closer than a distance
+     * Cheaper than findInRadius() because it stops at the first hit.
+     * @param {{x: number, y: number}} point - Query point
+     * @param {number} distance - Exclusive distance
+     * @returns {boolean} True if a point is closer than the distance
+     */
+    hasPointWithin(point, distance) {
+        const cellX = Math.floor(point.x / this.gridSize);
+        const cellY = Math.floor(point.y / this.gridSize);
+        const cellRadius = Math.ceil(distance / this.gridSize);
+        const limit = distance * distance;
+
+        for (let dx = -cellRadius; dx <= cellRadius; dx++) {
+            for (let dy = -cellRadius; dy <= cellRadius; dy++) {
+                const cellPoints = this.grid.get(`${cellX + dx},${cellY + dy}`);
+
+                if (!cellPoints) continue;
+
+                for (const item of cellPoints) {
+                    const ex = point.x - item.point.x;
+                    const ey = point.y - item.point.y;
+                    if (ex * ex + ey * ey < limit) {
+                        return true;
+                    }
+                }
+            }
+        }
+
+        return false;
+    }
+
     /**
      * Get grid cell key for a point
      * @param {{x: number, y: number}} point - Point to get cell for
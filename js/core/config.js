@@ -19,22 +19,40 @@ export const DEFAULT_CONFIG = {
   },
   
   robot: {
-    refillPosition: { x: -10, y: 75 },  // cm, outside canvas
+    refillPosition: { x: 100, y: 140 }, // cm, bottom center, where every cable stays taut
     paintCapacity: 50,                   // ml
     moveSpeed: 3000,                     // mm/min
     paintSpeed: 1500,                    // mm/min
-    homePosition: { x: 0, y: 0 }        // cm
+    maxSegmentLength: 10,                // mm, painted moves are split to stay straight (0 = off)
+    homePosition: { x: 0, y: 0 },       // cm
+    kinematics: 'three-cable',           // 'two-cable' | 'three-cable' | 'four-cable'
+    weight: 2,                           // kg, carried by the cables
+    minCableTension: 2,                  // N, below this a cable goes slack
+    maxCableTension: 150,                // N
+    maxCableLength: 500,                 // cm
+    workspacePolicy: 'warn',             // 'off' | 'warn' | 'block'
+    showWorkspace: true,                 // overlay unsafe regions on the preview
+    cableCompensation: {
+      enabled: false,
+      cableWeight: 5,                    // g/m
+      cableStiffness: 50000,             // N, axial stiffness EA
+      showDifference: true               // draw uncompensated path in the simulator
+    }
   },
   
   paint: {
     numColors: 3,
     selectedColors: ['#FF0000', '#00FF00', '#0000FF'],
-    paintingMode: 'pointillism',  // 'pointillism' | 'strokes' | 'spray'
+    paintingMode: 'pointillism',  // 'pointillism' | 'strokes' | 'hatching' | 'concentric' | 'spray'
+    dithering: 'none',            // 'none' | 'floyd-steinberg' | 'atkinson' | 'bayer'
     pointillism: {
       dotDensity: 50,              // percentage
       minDotSize: 1,               // mm
       maxDotSize: 5,               // mm
-      randomness: 30               // percentage
+      randomness: 30,              // percentage
+      dotSizing: 'luminance',      // 'random' | 'coverage' | 'luminance'
+      placement: 'blue-noise',     // 'grid' | 'jitter' | 'blue-noise'
+      maxDwell: 0.2                // s, spray time of the largest dot
     },
     strokes: {
       strokeLength: 10,            // mm
@@ -42,6 +60,18 @@ export const DEFAULT_CONFIG = {
       strokeDensity: 50,           // percentage
       followContours: true
     },
+    hatching: {
+      angle: 45,                   // degrees, 0 = horizontal
+      minSpacing: 3,               // mm, line spacing of the darkest tone
+      maxSpacing: 12,              // mm, line spacing of the lightest tone
+      crossHatch: true,
+      crossAngle: 90,              // degrees between the two passes
+      crossThreshold: 60           // percentage tone where the second pass starts
+    },
+    concentric: {
+      overlap: 10,                 // percentage of the nozzle width shared by neighboring paths
+      maxRings: 0                  // paths inward from each edge (0 = fill completely)
+    },
     spray: {
       sprayDensity: 40,            // percentage
       sprayRadius: 8,              // mm
@@ -54,6 +84,8 @@ export const DEFAULT_CONFIG = {
     size: 0.5                      // mm diameter for circular, mm width for flat
   },
   
+  machineProfile: null,            // {key, name} of the machine profile the job runs on
+  
   processing: {
     imageData: null,
     processedLayers: [],
@@ -75,22 +107,48 @@ export const VALIDATION_RULES = {
   robot: {
     paintCapacity: { min: 10, max: 500, type: 'number', unit: 'ml' },
     moveSpeed: { min: 500, max: 10000, type: 'number', unit: 'mm/min' },
-    paintSpeed: { min: 100, max: 5000, type: 'number', unit: 'mm/min' }
+    paintSpeed: { min: 100, max: 5000, type: 'number', unit: 'mm/min' },
+    maxSegmentLength: { min: 0, max: 1000, type: 'number', unit: 'mm' },
+    kinematics: { type: 'enum', values: ['two-cable', 'three-cable', 'four-cable'] },
+    weight: { min: 0.1, max: 50, type: 'number', unit: 'kg' },
+    minCableTension: { min: 0, max: 100, type: 'number', unit: 'N' },
+    maxCableTension: { min: 1, max: 2000, type: 'number', unit: 'N' },
+    maxCableLength: { min: 50, max: 5000, type: 'number', unit: 'cm' },
+    workspacePolicy: { type: 'enum', values: ['off', 'warn', 'block'] },
+    cableCompensation: {
+      cableWeight: { min: 0, max: 1000, type: 'number', unit: 'g/m' },
+      cableStiffness: { min: 100, max: 10000000, type: 'number', unit: 'N' }
+    }
   },
   
   paint: {
     numColors: { min: 1, max: 10, type: 'integer' },
+    dithering: { type: 'enum', values: ['none', 'floyd-steinberg', 'atkinson', 'bayer'] },
     pointillism: {
       dotDensity: { min: 1, max: 100, type: 'number', unit: '%' },
       minDotSize: { min: 0.5, max: 10, type: 'number', unit: 'mm' },
       maxDotSize: { min: 0.5, max: 20, type: 'number', unit: 'mm' },
-      randomness: { min: 0, max: 100, type: 'number', unit: '%' }
+      randomness: { min: 0, max: 100, type: 'number', unit: '%' },
+      dotSizing: { type: 'enum', values: ['random', 'coverage', 'luminance'] },
+      placement: { type: 'enum', values: ['grid', 'jitter', 'blue-noise'] },
+      maxDwell: { min: 0.02, max: 5, type: 'number', unit: 's' }
     },
     strokes: {
       strokeLength: { min: 1, max: 50, type: 'number', unit: 'mm' },
       strokeWidth: { min: 0.5, max: 10, type: 'number', unit: 'mm' },
       strokeDensity: { min: 1, max: 100, type: 'number', unit: '%' }
     },
+    hatching: {
+      angle: { min: -180, max: 180, type: 'number', unit: '°' },
+      minSpacing: { min: 0.5, max: 50, type: 'number', unit: 'mm' },
+      maxSpacing: { min: 0.5, max: 100, type: 'number', unit: 'mm' },
+      crossAngle: { min: 1, max: 179, type: 'number', unit: '°' },
+      crossThreshold: { min: 0, max: 100, type: 'number', unit: '%' }
+    },
+    concentric: {
+      overlap: { min: 0, max: 90, type: 'number', unit: '%' },
+      maxRings: { min: 0, max: 1000, type: 'integer' }
+    },
     spray: {
       sprayDensity: { min: 1, max: 100, type: 'number', unit: '%' },
       sprayRadius: { min: 1, max: 20, type: 'number', unit: 'mm' }
@@ -120,7 +178,7 @@ export const PRESETS = {
         anchorBottomRight: { x: 100, y: 75 }
       },
       robot: {
-        refillPosition: { x: -10, y: 37.5 },
+        refillPosition: { x: 50, y: 65 },
         paintCapacity: 30,
         moveSpeed: 3000,
         paintSpeed: 1500,
@@ -150,7 +208,7 @@ export const PRESETS = {
         anchorBottomRight: { x: 200, y: 150 }
       },
       robot: {
-        refillPosition: { x: -10, y: 75 },
+        refillPosition: { x: 100, y: 140 },
         paintCapacity: 50,
         moveSpeed: 3000,
         paintSpeed: 1500,
@@ -180,7 +238,7 @@ export const PRESETS = {
         anchorBottomRight: { x: 300, y: 200 }
       },
       robot: {
-        refillPosition: { x: -15, y: 100 },
+        refillPosition: { x: 150, y: 190 },
         paintCapacity: 100,
         moveSpeed: 4000,
         paintSpeed: 2000,
@@ -233,6 +291,9 @@ M84 ; Disable motors
 ; End of G-Code
 `,
   
+  // Validation
+  REFILL_ANCHOR_CLEARANCE: 5,        // cm, closest the refill position may sit to an anchor
+  
   // UI
   TAB_IDS: {
     SETTINGS: 'settings-tab',
@@ -282,6 +343,11 @@ export function validateValue(value, rule) {
     }
   }
 
+  // Enumerated values
+  if (rule.type === 'enum' && !rule.values.includes(value)) {
+    return { valid: false, error: `Value must be one of: ${rule.values.join(', ')}` };
+  }
+
   return { valid: true };
 }
 
@@ -321,8 +387,180 @@ export function validateConfig(config, rules, path = '') {
   };
 }
 
+/**
+ * Severity levels of cross-field issues
+ * Errors block G-code generation; warnings are shown but allowed.
+ * @const {Object}
+ */
+export const Severity = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+/**
+ * Display names of the canvas anchors
+ * @const {Object}
+ * @private
+ */
+const ANCHOR_LABELS = {
+  anchorTopLeft: 'Top-left anchor',
+  anchorTopRight: 'Top-right anchor',
+  anchorBottomLeft: 'Bottom-left anchor',
+  anchorBottomRight: 'Bottom-right anchor'
+};
+
+/**
+ * Anchors the configured kinematics attach cables to
+ * Mirrors getAnchorsInUse() in coordinateTransformer: three-cable derives
+ * its bottom-center anchor from both bottom anchors.
+ * @param {Object} config - Configuration
+ * @returns {string[]} Canvas anchor keys
+ * @private
+ */
+function anchorsInUse(config) {
+  return config.robot.kinematics === 'two-cable'
+    ? ['anchorTopLeft', 'anchorTopRight']
+    : Object.keys(ANCHOR_LABELS);
+}
+
+/**
+ * Constraints between settings that per-field rules cannot express
+ * Each rule's check returns null when satisfied, a message (reported on the
+ * rule's paths), or a list of {message, paths} for specific fields. Rules
+ * are skipped while any of their paths or `requires` paths is unset.
+ * @const {Array<{id: string, severity: string, paths: string[], requires?: string[], check: Function}>}
+ */
+export const CROSS_FIELD_RULES = [
+  {
+    id: 'dotSizeRange',
+    severity: Severity.ERROR,
+    paths: ['paint.pointillism.minDotSize', 'paint.pointillism.maxDotSize'],
+    check: ({ paint: { pointillism } }) => pointillism.minDotSize > pointillism.maxDotSize
+      ? `Min dot size (${pointillism.minDotSize} mm) is larger than max dot size (${pointillism.maxDotSize} mm). Lower the min or raise the max.`
+      : null
+  },
+  {
+    id: 'paintSpeed',
+    severity: Severity.WARNING,
+    paths: ['robot.paintSpeed', 'robot.moveSpeed'],
+    check: ({ robot }) => robot.paintSpeed > robot.moveSpeed
+      ? `Paint speed (${robot.paintSpeed} mm/min) is faster than move speed (${robot.moveSpeed} mm/min). Painting moves usually run slower than travel.`
+      : null
+  },
+  {
+    id: 'cableTensionRange',
+    severity: Severity.ERROR,
+    paths: ['robot.minCableTension', 'robot.maxCableTension'],
+    check: ({ robot }) => robot.minCableTension >= robot.maxCableTension
+      ? `Min cable tension (${robot.minCableTension} N) must be below max cable tension (${robot.maxCableTension} N).`
+      : null
+  },
+  {
+    id: 'anchorOutsideCanvas',
+    severity: Severity.ERROR,
+    paths: [],
+    requires: ['canvas.width', 'canvas.height', 'robot.kinematics'],
+    check: (config) => {
+      const { width, height } = config.canvas;
+      return anchorsInUse(config)
+        .filter(key => {
+          const anchor = config.canvas[key];
+          return anchor && anchor.x > 0 && anchor.x < width && anchor.y > 0 && anchor.y < height;
+        })
+        .map(key => ({
+          message: `${ANCHOR_LABELS[key]} (${config.canvas[key].x}, ${config.canvas[key].y} cm) is inside the ${width} x ${height} cm canvas. Move it onto or beyond the canvas edge.`,
+          paths: [`canvas.${key}`]
+        }));
+    }
+  },
+  {
+    id: 'refillClearance',
+    severity: Severity.ERROR,
+    paths: ['robot.refillPosition'],
+    requires: ['robot.kinematics'],
+    check: (config) => {
+      const refill = config.robot.refillPosition;
+      return anchorsInUse(config)
+        .filter(key => {
+          const anchor = config.canvas[key];
+          return anchor && Math.hypot(refill.x - anchor.x, refill.y - anchor.y) < CONSTANTS.REFILL_ANCHOR_CLEARANCE;
+        })
+        .map(key => ({
+          message: `Refill position (${refill.x}, ${refill.y} cm) is within ${CONSTANTS.REFILL_ANCHOR_CLEARANCE} cm of the ${ANCHOR_LABELS[key].toLowerCase()}, where the robot cannot hang. Move the refill position.`,
+          paths: ['robot.refillPosition', `canvas.${key}`]
+        }));
+    }
+  },
+  {
+    id: 'nozzleStrokeWidth',
+    severity: Severity.ERROR,
+    paths: ['nozzle.size', 'paint.strokes.strokeWidth'],
+    requires: ['paint.paintingMode'],
+    check: ({ nozzle, paint }) => paint.paintingMode === 'strokes' && nozzle.size > paint.strokes.strokeWidth
+      ? `Nozzle (${nozzle.size} mm) is wider than the stroke width (${paint.strokes.strokeWidth} mm). Use a smaller nozzle or wider strokes.`
+      : null
+  },
+  {
+    id: 'hatchSpacingOrder',
+    severity: Severity.ERROR,
+    paths: ['paint.hatching.minSpacing', 'paint.hatching.maxSpacing'],
+    requires: ['paint.paintingMode'],
+    check: ({ paint }) => paint.paintingMode === 'hatching' && paint.hatching.minSpacing > paint.hatching.maxSpacing
+      ? `Darkest hatch spacing (${paint.hatching.minSpacing} mm) is wider than the lightest (${paint.hatching.maxSpacing} mm). Swap the two spacings.`
+      : null
+  }
+];
+
+/**
+ * Gets a value from a configuration by dot notation path
+ * @param {Object} config - Configuration
+ * @param {string} path - Path (e.g., 'canvas.width')
+ * @returns {*} Value, or undefined if any part of the path is missing
+ * @private
+ */
+function getPathValue(config, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), config);
+}
+
+/**
+ * Checks constraints between settings
+ * @param {Object} config - Configuration to check
+ * @param {Array<Object>} [rules=CROSS_FIELD_RULES] - Rules to apply
+ * @returns {{valid: boolean, issues: Array<{rule: string, severity: string, message: string, paths: string[]}>, errors: Array, warnings: Array}}
+ *          Validation result; valid is false if any error-level issue was found
+ * @example
+ * const { valid, errors } = validateCrossFields(state.getState());
+ * errors.forEach(issue => console.log(issue.paths, issue.message));
+ */
+export function validateCrossFields(config, rules = CROSS_FIELD_RULES) {
+  const issues = [];
+
+  for (const rule of rules) {
+    const required = [...rule.paths, ...(rule.requires || [])];
+    if (required.some(path => getPathValue(config, path) === undefined)) {
+      continue;
+    }
+
+    const result = rule.check(config);
+    const findings = typeof result === 'string' ? [{ message: result, paths: rule.paths }] : (result || []);
+    for (const finding of findings) {
+      issues.push({ rule: rule.id, severity: rule.severity, message: finding.message, paths: finding.paths });
+    }
+  }
+
+  const errors = issues.filter(issue => issue.severity === Severity.ERROR);
+  return {
+    valid: errors.length === 0,
+    issues,
+    errors,
+    warnings: issues.filter(issue => issue.severity === Severity.WARNING)
+  };
+}
+
 /**
  * Deep clones an object
+ * Pixel buffers (ImageData) are shared rather than copied; they are treated
+ * as immutable once stored.
  * @param {Object} obj - Object to clone
  * @returns {Object} Cloned object
  */
@@ -331,6 +569,10 @@ export function deepClone(obj) {
     return obj;
   }
 
+  if (typeof ImageData !== 'undefined' && obj instanceof ImageData) {
+    return obj;
+  }
+
   if (obj instanceof Date) {
     return new Date(obj.getTime());
   }
@@ -421,6 +663,9 @@ export default {
   CONSTANTS,
   validateValue,
   validateConfig,
+  Severity,
+  CROSS_FIELD_RULES,
+  validateCrossFields,
   deepClone,
   mergeConfig,
   getPreset,
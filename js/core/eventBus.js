@@ -50,6 +50,10 @@ export const Events = {
   
   // Preset events
   PRESET_LOADED: 'preset:loaded',
+  PRESETS_CHANGED: 'preset:listChanged',
+  
+  // Machine profile events
+  MACHINE_PROFILES_CHANGED: 'machineProfile:listChanged',
   
   // UI events
   TAB_CHANGED: 'ui:tabChanged',
@@ -0,0 +1,164 @@
+/**
+ * Machine Profiles Module
+ * A machine profile describes one robot: speeds, paint capacity, refill
+ * position, cables, nozzle and wall anchors. Job settings (canvas size,
+ * colors, painting mode) reference a profile by key, so the same artwork
+ * can be run on another robot by switching profiles.
+ * @module core/machineProfiles
+ */
+
+import { Events } from './eventBus.js';
+import { DEFAULT_CONFIG, deepClone } from './config.js';
+import { PresetStore } from './presetStore.js';
+
+/**
+ * localStorage key holding the user machine profiles
+ * @const {string}
+ */
+export const MACHINE_PROFILE_STORAGE_KEY = 'muralbot.machineProfiles';
+
+/**
+ * Settings that describe the machine; every other setting belongs to the job
+ * @const {string[]}
+ */
+export const MACHINE_PROFILE_PATHS = [
+  'robot',
+  'nozzle',
+  'canvas.anchorTopLeft',
+  'canvas.anchorTopRight',
+  'canvas.anchorBottomLeft',
+  'canvas.anchorBottomRight'
+];
+
+/**
+ * Settings sections split between the machine and the job
+ * @const {string[]}
+ * @private
+ */
+const SETTINGS_SECTIONS = ['canvas', 'robot', 'paint', 'nozzle'];
+
+/**
+ * Picks the machine settings out of a configuration
+ * @param {Object} config - Configuration or full state
+ * @returns {Object} Deep copy of the machine settings, e.g. {robot, nozzle, canvas: {anchorTopLeft, ...}}
+ */
+export function extractMachineProfile(config) {
+  const profile = {};
+  for (const path of MACHINE_PROFILE_PATHS) {
+    const [section, key] = path.split('.');
+    if (!config[section]) {
+      continue;
+    }
+
+    if (key === undefined) {
+      profile[section] = deepClone(config[section]);
+    } else if (config[section][key] !== undefined) {
+      profile[section] = profile[section] || {};
+      profile[section][key] = deepClone(config[section][key]);
+    }
+  }
+  return profile;
+}
+
+/**
+ * Picks the job settings out of a configuration
+ * @param {Object} config - Configuration or full state
+ * @returns {Object} Deep copy of the settings without the machine ones, plus the machineProfile reference
+ */
+export function extractJobSettings(config) {
+  const job = {};
+  for (const section of SETTINGS_SECTIONS) {
+    if (config[section] !== undefined) {
+      job[section] = deepClone(config[section]);
+    }
+  }
+
+  for (const path of MACHINE_PROFILE_PATHS) {
+    const [section, key] = path.split('.');
+    if (key === undefined) {
+      delete job[section];
+    } else if (job[section]) {
+      delete job[section][key];
+    }
+  }
+
+  job.machineProfile = config.machineProfile ? deepClone(config.machineProfile) : null;
+  return job;
+}
+
+/**
+ * Read-only machine profiles
+ * @const {Object<string, {name: string, description: string, config: Object}>}
+ */
+export const BUILT_IN_MACHINE_PROFILES = {
+  default: {
+    name: 'Default Machine',
+    description: 'Factory robot, nozzle and anchor settings',
+    config: extractMachineProfile(DEFAULT_CONFIG)
+  }
+};
+
+/**
+ * Finds the stored profile a job refers to
+ * Keys are local to one browser, so a job shared from another computer is
+ * matched by profile name instead.
+ * @param {{key: string, name: string}|null} reference - Job's machineProfile reference
+ * @param {PresetStore} [store=machineProfileStore] - Profiles to search
+ * @returns {string|null} Key of the matching profile, or null if there is none
+ */
+export function findMachineProfile(reference, store = machineProfileStore) {
+  if (!reference) {
+    return null;
+  }
+
+  const profiles = store.list();
+  const byKey = profiles.find(profile => profile.key === reference.key);
+  if (byKey) {
+    return byKey.key;
+  }
+
+  const name = String(reference.name || '').trim().toLowerCase();
+  const byName = profiles.find(profile => profile.name.toLowerCase() === name);
+  return byName ? byName.key : null;
+}
+
+/**
+ * Applies a machine profile to a configuration and records the reference
+ * @param {Object} config - Configuration or full state
+ * @param {string} key - Profile key
+ * @param {PresetStore} [store=machineProfileStore] - Profiles to read from
+ * @returns {Object|null} Configuration running on the profile, or null if the profile is not found
+ * @example
+ * state.loadState(applyMachineProfile(state.getState(), 'default'));
+ */
+export function applyMachineProfile(config, key, store = machineProfileStore) {
+  const merged = store.apply(config, key);
+  if (!merged) {
+    return null;
+  }
+
+  merged.machineProfile = { key, name: store.get(key).name };
+  return merged;
+}
+
+/**
+ * Creates a store for machine profiles
+ * @param {Storage} [storage] - Backing store, localStorage when available
+ * @returns {PresetStore} Profile store
+ */
+export function createMachineProfileStore(storage) {
+  return new PresetStore(storage, {
+    storageKey: MACHINE_PROFILE_STORAGE_KEY,
+    builtIns: BUILT_IN_MACHINE_PROFILES,
+    pick: extractMachineProfile,
+    requiredSections: ['robot'],
+    keyPrefix: 'machine',
+    label: 'Machine profile',
+    changeEvent: Events.MACHINE_PROFILES_CHANGED
+  });
+}
+
+// Create and export singleton instance
+const machineProfileStore = createMachineProfileStore();
+
+export default machineProfileStore;
@@ -0,0 +1,350 @@
+/**
+ * Preset Store Module
+ * User-defined presets kept in localStorage next to the built-in PRESETS.
+ * The same store, configured differently, keeps machine profiles.
+ * @module core/presetStore
+ */
+
+import eventBus, { Events } from './eventBus.js';
+import { PRESETS, deepClone, mergeConfig } from './config.js';
+import { SCHEMA_VERSION, upgradeConfig } from './schema.js';
+
+/**
+ * localStorage key holding the user presets
+ * @const {string}
+ */
+export const PRESET_STORAGE_KEY = 'muralbot.userPresets';
+
+/**
+ * Settings sections a preset carries (processing results are never saved)
+ * @const {string[]}
+ * @private
+ */
+const PRESET_SECTIONS = ['canvas', 'robot', 'paint', 'nozzle'];
+
+/**
+ * Picks the settings sections out of a configuration
+ * @param {Object} config - Configuration or full state
+ * @returns {Object} Deep copy of the settings sections
+ * @private
+ */
+function pickSettings(config) {
+  const settings = {};
+  for (const section of PRESET_SECTIONS) {
+    if (config[section] !== undefined) {
+      settings[section] = deepClone(config[section]);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Manages user presets
+ */
+class PresetStore {
+  /**
+   * @param {Storage} [storage] - Backing store, localStorage when available
+   * @param {Object} [options] - What the store keeps (defaults: settings presets)
+   * @param {string} [options.storageKey=PRESET_STORAGE_KEY] - localStorage key
+   * @param {Object} [options.builtIns=PRESETS] - Read-only entries {key: {name, description, config}}
+   * @param {Function} [options.pick] - Picks the stored part out of a configuration
+   * @param {string[]} [options.requiredSections] - Sections a stored configuration must carry
+   * @param {string} [options.keyPrefix='user'] - Prefix of generated keys
+   * @param {string} [options.label='Preset'] - Name of an entry in messages
+   * @param {string} [options.changeEvent=Events.PRESETS_CHANGED] - Event emitted after changes
+   */
+  constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null, options = {}) {
+    /**
+     * Backing store (null keeps presets in memory only)
+     * @type {Storage|null}
+     * @private
+     */
+    this._storage = storage;
+
+    /**
+     * Store configuration
+     * @type {Object}
+     * @private
+     */
+    this._options = {
+      storageKey: PRESET_STORAGE_KEY,
+      builtIns: PRESETS,
+      pick: pickSettings,
+      requiredSections: undefined,
+      keyPrefix: 'user',
+      label: 'Preset',
+      changeEvent: Events.PRESETS_CHANGED,
+      ...options
+    };
+
+    /**
+     * User presets in display order
+     * @type {Array<{key: string, name: string, description: string, config: Object}>}
+     * @private
+     */
+    this._presets = this._load();
+  }
+
+  /**
+   * Reads the user presets from storage
+   * Presets saved with an older schema are migrated; invalid ones are skipped.
+   * @returns {Array<Object>} User presets
+   * @private
+   */
+  _load() {
+    if (!this._storage) {
+      return [];
+    }
+
+    let stored;
+    try {
+      stored = JSON.parse(this._storage.getItem(this._options.storageKey) || '[]');
+    } catch (error) {
+      console.error(`[PresetStore] Stored entries in ${this._options.storageKey} are unreadable:`, error);
+      return [];
+    }
+
+    const presets = [];
+    for (const preset of Array.isArray(stored) ? stored : []) {
+      try {
+        presets.push({
+          key: preset.key,
+          name: preset.name,
+          description: preset.description || '',
+          config: this._pick(upgradeConfig(preset.config, `${this._options.label} "${preset.name}"`, this._options.requiredSections).config)
+        });
+      } catch (error) {
+        console.warn(`[PresetStore] Skipping invalid ${this._options.label.toLowerCase()}:`, error.message);
+      }
+    }
+    return presets;
+  }
+
+  /**
+   * Writes the user presets to storage and announces the change
+   * @private
+   */
+  _persist() {
+    if (this._storage) {
+      const stored = this._presets.map(preset => ({
+        ...preset,
+        config: { schemaVersion: SCHEMA_VERSION, ...preset.config }
+      }));
+      this._storage.setItem(this._options.storageKey, JSON.stringify(stored));
+    }
+
+    eventBus.emit(this._options.changeEvent, { presets: this.list() });
+  }
+
+  /**
+   * Picks the stored part out of a configuration
+   * @param {Object} config - Configuration or full state
+   * @returns {Object} Deep copy of what an entry keeps
+   * @private
+   */
+  _pick(config) {
+    return this._options.pick(config);
+  }
+
+  /**
+   * Finds a user preset by name (case-insensitive)
+   * @param {string} name - Preset name
+   * @returns {Object|undefined} Stored preset
+   * @private
+   */
+  _findByName(name) {
+    const wanted = name.trim().toLowerCase();
+    return this._presets.find(preset => preset.name.toLowerCase() === wanted);
+  }
+
+  /**
+   * Checks a preset name
+   * @param {string} name - Proposed name
+   * @returns {string} Trimmed name
+   * @throws {Error} If the name is empty
+   * @private
+   */
+  _checkName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error(`${this._options.label} name cannot be empty`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Lists built-in and user presets
+   * @returns {Array<{key: string, name: string, description: string, builtIn: boolean}>}
+   */
+  list() {
+    const { builtIns } = this._options;
+    const builtIn = Object.keys(builtIns).map(key => ({
+      key,
+      name: builtIns[key].name,
+      description: builtIns[key].description,
+      builtIn: true
+    }));
+    const user = this._presets.map(({ key, name, description }) => ({ key, name, description, builtIn: false }));
+    return [...builtIn, ...user];
+  }
+
+  /**
+   * Gets a preset by key
+   * @param {string} key - Preset key
+   * @returns {Object|null} Preset {name, description, config, builtIn} or null if not found
+   */
+  get(key) {
+    const { builtIns } = this._options;
+    if (builtIns[key]) {
+      return { ...deepClone(builtIns[key]), builtIn: true };
+    }
+
+    const preset = this._presets.find(entry => entry.key === key);
+    if (!preset) {
+      console.warn(`[PresetStore] ${this._options.label} not found: ${key}`);
+      return null;
+    }
+    return { name: preset.name, description: preset.description, config: deepClone(preset.config), builtIn: false };
+  }
+
+  /**
+   * Checks whether a user preset with this name exists
+   * @param {string} name - Preset name
+   * @returns {boolean} True if saving under this name would overwrite
+   */
+  has(name) {
+    return Boolean(this._findByName(name));
+  }
+
+  /**
+   * Applies a built-in or user preset to a base configuration
+   * @param {Object} baseConfig - Base configuration to merge into
+   * @param {string} key - Preset key
+   * @returns {Object|null} Merged configuration or null if preset not found
+   */
+  apply(baseConfig, key) {
+    const preset = this.get(key);
+    if (!preset) {
+      return null;
+    }
+
+    return mergeConfig(deepClone(baseConfig), preset.config);
+  }
+
+  /**
+   * Saves settings as a user preset
+   * A user preset with the same name is overwritten.
+   * @param {string} name - Preset name
+   * @param {Object} config - Configuration or full state; only settings are kept
+   * @param {string} [description=''] - Short description
+   * @returns {string} Key of the saved preset
+   * @example
+   * const key = presetStore.save('Garage wall rig', state.getState());
+   */
+  save(name, config, description = '') {
+    const trimmed = this._checkName(name);
+    const settings = this._pick(config);
+    const existing = this._findByName(trimmed);
+
+    if (existing) {
+      existing.name = trimmed;
+      existing.description = description;
+      existing.config = settings;
+    } else {
+      this._presets.push({
+        key: `${this._options.keyPrefix}-${Date.now().toString(36)}-${this._presets.length}`,
+        name: trimmed,
+        description,
+        config: settings
+      });
+    }
+
+    this._persist();
+    return (existing || this._presets[this._presets.length - 1]).key;
+  }
+
+  /**
+   * Renames a user preset
+   * @param {string} key - Preset key
+   * @param {string} name - New name
+   * @returns {boolean} True if renamed
+   * @throws {Error} If the name is empty or used by another preset
+   */
+  rename(key, name) {
+    const preset = this._presets.find(entry => entry.key === key);
+    if (!preset) {
+      return false;
+    }
+
+    const trimmed = this._checkName(name);
+    const clash = this._findByName(trimmed);
+    if (clash && clash !== preset) {
+      throw new Error(`A ${this._options.label.toLowerCase()} named "${clash.name}" already exists`);
+    }
+
+    preset.name = trimmed;
+    this._persist();
+    return true;
+  }
+
+  /**
+   * Deletes a user preset
+   * @param {string} key - Preset key
+   * @returns {boolean} True if deleted (built-in presets cannot be deleted)
+   */
+  remove(key) {
+    const index = this._presets.findIndex(entry => entry.key === key);
+    if (index === -1) {
+      return false;
+    }
+
+    this._presets.splice(index, 1);
+    this._persist();
+    return true;
+  }
+
+  /**
+   * Gets user presets for sharing
+   * @param {string[]} [keys] - Presets to include (default: all user presets)
+   * @returns {Array<{name: string, description: string, config: Object}>}
+   */
+  exportPresets(keys) {
+    return this._presets
+      .filter(preset => !keys || keys.includes(preset.key))
+      .map(({ name, description, config }) => ({ name, description, config: deepClone(config) }));
+  }
+
+  /**
+   * Adds shared presets
+   * Names already in use get a numbered suffix instead of overwriting.
+   * @param {Array<{name: string, description?: string, config: Object}>} presets - Presets with upgraded configurations
+   * @returns {number} Number of presets added
+   */
+  importPresets(presets) {
+    for (const preset of presets) {
+      const base = this._checkName(preset.name);
+      let name = base;
+      for (let copy = 2; this._findByName(name); copy++) {
+        name = `${base} (${copy})`;
+      }
+
+      this._presets.push({
+        key: `${this._options.keyPrefix}-${Date.now().toString(36)}-${this._presets.length}`,
+        name,
+        description: preset.description || '',
+        config: this._pick(preset.config)
+      });
+    }
+
+    if (presets.length > 0) {
+      this._persist();
+    }
+    return presets.length;
+  }
+}
+
+// Create and export singleton instance
+const presetStore = new PresetStore();
+
+export { PresetStore };
+export default presetStore;
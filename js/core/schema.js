@@ -0,0 +1,280 @@
+/**
+ * Schema Module
+ * Versions saved configurations and upgrades older files through a chain of
+ * migrations before they are validated and loaded
+ * @module core/schema
+ */
+
+import { DEFAULT_CONFIG, VALIDATION_RULES, validateConfig, deepClone, mergeConfig } from './config.js';
+
+/**
+ * Current configuration schema version, written as `schemaVersion` into
+ * every saved configuration, project and bundle. Bump it together with a
+ * new entry in MIGRATIONS whenever DEFAULT_CONFIG changes shape.
+ * @const {number}
+ */
+export const SCHEMA_VERSION = 3;
+
+/**
+ * Export metadata stored alongside the configuration in saved files
+ * @const {string[]}
+ * @private
+ */
+const METADATA_KEYS = ['version', 'schemaVersion', 'exportDate', 'type', 'kind'];
+
+/**
+ * Settings sections a configuration must contain (machine profiles only
+ * need the robot section). Sections a file may omit take their defaults.
+ * @const {string[]}
+ * @private
+ */
+const REQUIRED_SECTIONS = ['canvas', 'paint'];
+
+/**
+ * Settings sections checked after defaults are filled in
+ * @const {string[]}
+ * @private
+ */
+const SETTINGS_SECTIONS = ['canvas', 'robot', 'paint', 'nozzle'];
+
+/**
+ * Anchor points stored on the canvas section
+ * @const {string[]}
+ * @private
+ */
+const ANCHOR_KEYS = ['anchorTopLeft', 'anchorTopRight', 'anchorBottomLeft', 'anchorBottomRight'];
+
+/**
+ * Flat fields of unversioned configuration files and their nested paths
+ * @const {Object<string, string>}
+ * @private
+ */
+const LEGACY_FLAT_FIELDS = {
+  canvasWidth: 'canvas.width',
+  canvasHeight: 'canvas.height',
+  numColors: 'paint.numColors',
+  paintingMode: 'paint.paintingMode',
+  paintCapacity: 'robot.paintCapacity',
+  moveSpeed: 'robot.moveSpeed',
+  paintSpeed: 'robot.paintSpeed'
+};
+
+/**
+ * Error raised when a saved configuration cannot be loaded
+ * Carries every problem found, not just the first.
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {string[]} errors - Problems found, as 'path: message'
+   * @param {string} [source='Configuration'] - What was being loaded, for the message
+   */
+  constructor(errors, source = 'Configuration') {
+    super(`${source} is invalid:\n- ${errors.join('\n- ')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Migrations, in order. Each upgrades a configuration from `from` to
+ * `from + 1` and may change it in place.
+ * @const {Array<{from: number, description: string, migrate: Function}>}
+ */
+export const MIGRATIONS = [
+  {
+    from: 1,
+    description: 'Nest flat settings and record the kinematics',
+    migrate(config) {
+      // Unversioned files could store a handful of flat fields
+      for (const [key, path] of Object.entries(LEGACY_FLAT_FIELDS)) {
+        if (key in config) {
+          const [section, field] = path.split('.');
+          config[section] = config[section] || {};
+          if (!(field in config[section])) {
+            config[section][field] = config[key];
+          }
+          delete config[key];
+        }
+      }
+
+      // Kinematics were not selectable before schema 2; those files drove three cables
+      if (config.robot && typeof config.robot === 'object' && !config.robot.kinematics) {
+        config.robot.kinematics = 'three-cable';
+      }
+
+      return config;
+    }
+  },
+  {
+    from: 2,
+    description: 'Add the machine profile reference',
+    migrate(config) {
+      // Settings saved before profiles existed belong to no profile
+      if (!('machineProfile' in config)) {
+        config.machineProfile = null;
+      }
+
+      return config;
+    }
+  }
+];
+
+/**
+ * Get the schema version a saved document was written with
+ * Documents without a `schemaVersion` predate versioning (version 1).
+ * @param {Object} doc - Saved configuration or project
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion(doc) {
+  if (doc && doc.schemaVersion !== undefined) {
+    if (!Number.isInteger(doc.schemaVersion) || doc.schemaVersion < 1) {
+      throw new ConfigValidationError([`schemaVersion: ${JSON.stringify(doc.schemaVersion)} is not a valid version`]);
+    }
+    return doc.schemaVersion;
+  }
+  return 1;
+}
+
+/**
+ * Upgrade a configuration to the current schema
+ * @param {Object} config - Configuration without export metadata
+ * @param {number} fromVersion - Schema version it was saved with
+ * @returns {{config: Object, applied: string[]}} Upgraded copy and the migrations applied
+ * @throws {Error} If the configuration is from a newer schema than this app supports
+ */
+export function migrateConfig(config, fromVersion) {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Saved with a newer version of MuralBot (schema ${fromVersion}); this version reads up to schema ${SCHEMA_VERSION}`);
+  }
+
+  let migrated = deepClone(config);
+  const applied = [];
+
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    const migration = MIGRATIONS.find(entry => entry.from === version);
+    if (!migration) {
+      throw new Error(`No migration from schema ${version} to ${version + 1}`);
+    }
+    migrated = migration.migrate(migrated);
+    applied.push(`${version} → ${version + 1}: ${migration.description}`);
+  }
+
+  return { config: migrated, applied };
+}
+
+/**
+ * Check that a complete configuration has the shape and values the app expects
+ * @param {Object} config - Configuration to check
+ * @returns {{valid: boolean, errors: string[]}} Validation result with every problem found
+ */
+export function validateConfigShape(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { valid: false, errors: ['Configuration is not an object'] };
+  }
+
+  const errors = [];
+  const isSection = section => config[section] && typeof config[section] === 'object' && !Array.isArray(config[section]);
+
+  for (const section of SETTINGS_SECTIONS) {
+    if (!isSection(section)) {
+      errors.push(`${section}: ${section in config ? 'Must be an object' : 'Section is missing'}`);
+    }
+  }
+
+  if (isSection('canvas')) {
+    for (const key of ANCHOR_KEYS) {
+      const anchor = config.canvas[key];
+      if (!anchor || !Number.isFinite(anchor.x) || !Number.isFinite(anchor.y)) {
+        errors.push(`canvas.${key}: Anchor must have numeric x and y`);
+      }
+    }
+  }
+
+  const profile = config.machineProfile;
+  if (profile !== undefined && profile !== null &&
+      (typeof profile !== 'object' || typeof profile.key !== 'string' || typeof profile.name !== 'string')) {
+    errors.push('machineProfile: Must be null or {key, name}');
+  }
+
+  if (isSection('paint')) {
+    const colors = config.paint.selectedColors;
+    if (!Array.isArray(colors) || !colors.every(color => /^#[0-9a-f]{6}$/i.test(color))) {
+      errors.push('paint.selectedColors: Must be a list of #RRGGBB colors');
+    }
+  }
+
+  // Range, type and enum rules, for the sections that are usable
+  const rules = {};
+  for (const section of Object.keys(VALIDATION_RULES)) {
+    if (isSection(section)) {
+      rules[section] = VALIDATION_RULES[section];
+    }
+  }
+  errors.push(...validateConfig(config, rules).errors);
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Turn a saved configuration into one that can be loaded
+ * Strips export metadata, runs the migration chain, fills settings the
+ * file does not carry from the defaults, then validates the result.
+ * Nothing is returned unless the whole configuration is valid, so a bad
+ * file is rejected instead of half-loaded.
+ *
+ * @param {Object} doc - Saved configuration (with or without export metadata)
+ * @param {string} [source='Configuration'] - What is being loaded, for error messages
+ * @param {string[]} [requiredSections=['canvas', 'paint']] - Sections the file must carry
+ * @returns {{config: Object, fromVersion: number, applied: string[]}} Loadable configuration
+ * @throws {ConfigValidationError} If the configuration is invalid after migration
+ *
+ * @example
+ * const { config, applied } = upgradeConfig(JSON.parse(text), 'Project file');
+ */
+export function upgradeConfig(doc, source = 'Configuration', requiredSections = REQUIRED_SECTIONS) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new ConfigValidationError(['Configuration is not an object'], source);
+  }
+
+  const fromVersion = getSchemaVersion(doc);
+  const settings = {};
+  for (const key of Object.keys(doc)) {
+    if (!METADATA_KEYS.includes(key)) {
+      settings[key] = doc[key];
+    }
+  }
+
+  let migrated;
+  try {
+    migrated = migrateConfig(settings, fromVersion);
+  } catch (error) {
+    throw new ConfigValidationError([error.message], source);
+  }
+
+  const missing = requiredSections.filter(section => !(section in migrated.config));
+  if (missing.length > 0) {
+    throw new ConfigValidationError(missing.map(section => `${section}: Section is missing`), source);
+  }
+
+  // Settings added since the file was saved take their defaults; processing
+  // results are runtime data and only kept if the file carries them
+  const { processing, ...defaults } = deepClone(DEFAULT_CONFIG);
+  const config = mergeConfig(defaults, migrated.config);
+
+  const validation = validateConfigShape(config);
+  if (!validation.valid) {
+    throw new ConfigValidationError(validation.errors, source);
+  }
+
+  return { config, fromVersion, applied: migrated.applied };
+}
+
+export default {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  ConfigValidationError,
+  getSchemaVersion,
+  migrateConfig,
+  validateConfigShape,
+  upgradeConfig
+};
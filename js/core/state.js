@@ -6,6 +6,7 @@
 
 import eventBus, { Events } from './eventBus.js';
 import { DEFAULT_CONFIG, deepClone, validateValue, VALIDATION_RULES } from './config.js';
+import { SCHEMA_VERSION, validateConfigShape, upgradeConfig } from './schema.js';
 
 /**
  * Application state manager
@@ -20,12 +21,19 @@ class StateManager {
     this._state = deepClone(DEFAULT_CONFIG);
     
     /**
-     * State history for undo functionality (future enhancement)
+     * Settings snapshots for undo/redo (processing results are not tracked)
      * @type {Array<Object>}
      * @private
      */
     this._history = [];
     
+    /**
+     * Index of the snapshot matching the current settings
+     * @type {number}
+     * @private
+     */
+    this._historyIndex = -1;
+    
     /**
      * Maximum history size
      * @type {number}
@@ -210,14 +218,23 @@ class StateManager {
 
   /**
    * Loads a complete state object
+   * An invalid state is rejected as a whole; the current state is kept.
    * @param {Object} newState - New state object
    * @param {boolean} [validate=false] - Whether to validate the entire state
    * @returns {boolean} Success status
    */
   loadState(newState, validate = false) {
     if (validate) {
-      // TODO: Implement full state validation
-      console.warn('[StateManager] Full state validation not yet implemented');
+      const validationResult = validateConfigShape(newState);
+      if (!validationResult.valid) {
+        console.error('[StateManager] State validation failed:', validationResult.errors);
+        eventBus.emit(Events.ERROR_OCCURRED, {
+          type: 'validation',
+          errors: validationResult.errors,
+          error: `Invalid state:\n- ${validationResult.errors.join('\n- ')}`
+        });
+        return false;
+      }
     }
 
     const oldState = this._state;
@@ -249,6 +266,10 @@ class StateManager {
    */
   subscribe(path, callback) {
     const handler = (data) => {
+      // Whole-state changes (load, undo, redo) carry no path
+      if (typeof data.path !== 'string') {
+        return;
+      }
       if (data.path === path || data.path.startsWith(path + '.')) {
         callback(data.value, data.oldValue);
       }
@@ -300,7 +321,16 @@ class StateManager {
       oldValue: deepClone(oldValue)
     });
 
-    // Emit specific events based on path
+    this._emitSectionEvent(path, value);
+  }
+
+  /**
+   * Emits the settings event for the section a path belongs to
+   * @param {string} path - Changed path
+   * @param {*} value - New value
+   * @private
+   */
+  _emitSectionEvent(path, value) {
     const topLevel = path.split('.')[0];
     
     switch (topLevel) {
@@ -339,21 +369,125 @@ class StateManager {
   }
 
   /**
-   * Saves current state to history
+   * Takes a snapshot of the settings sections of the current state
+   * @returns {Object} Snapshot without processing results
+   * @private
+   */
+  _snapshot() {
+    const { processing, ...settings } = this._state;
+    return deepClone(settings);
+  }
+
+  /**
+   * Saves current settings to history
+   * Changes that leave the settings as they were (processing results,
+   * re-setting a value) add no entry. A new entry after an undo discards
+   * the redo steps.
    * @private
    */
   _saveToHistory() {
-    this._history.push(deepClone(this._state));
+    const snapshot = this._snapshot();
+    const current = this._history[this._historyIndex];
+    if (current && JSON.stringify(current) === JSON.stringify(snapshot)) {
+      return;
+    }
+
+    this._history.splice(this._historyIndex + 1);
+    this._history.push(snapshot);
     
     // Limit history size
     if (this._history.length > this._maxHistorySize) {
       this._history.shift();
     }
+    this._historyIndex = this._history.length - 1;
+  }
+
+  /**
+   * Restores the settings snapshot at the current history index
+   * @param {string} type - 'undo' or 'redo'
+   * @private
+   */
+  _restoreFromHistory(type) {
+    const snapshot = this._history[this._historyIndex];
+    const oldState = this.getState();
+    const sections = Object.keys(snapshot).filter(section =>
+      JSON.stringify(snapshot[section]) !== JSON.stringify(this._state[section]));
+
+    for (const section of sections) {
+      this._state[section] = deepClone(snapshot[section]);
+    }
+
+    eventBus.emit(Events.STATE_CHANGED, {
+      type,
+      sections,
+      state: this.getState(),
+      oldState
+    });
+
+    for (const section of sections) {
+      this._emitSectionEvent(section, this._state[section]);
+    }
+
+    if (this._debug) {
+      console.log(`[StateManager] ${type === 'undo' ? 'Undo' : 'Redo'}: ${sections.join(', ') || 'no changes'}`);
+    }
+  }
+
+  /**
+   * Checks whether there is a settings change to undo
+   * @returns {boolean} True if undo() would change the settings
+   */
+  canUndo() {
+    return this._historyIndex > 0;
+  }
+
+  /**
+   * Checks whether there is an undone settings change to redo
+   * @returns {boolean} True if redo() would change the settings
+   */
+  canRedo() {
+    return this._historyIndex < this._history.length - 1;
+  }
+
+  /**
+   * Reverts the settings to the previous history entry
+   * Processing results are kept. Emits STATE_CHANGED with type 'undo' and
+   * the settings events of the sections that changed.
+   * @returns {boolean} True if a change was undone
+   * @example
+   * if (state.canUndo()) {
+   *   state.undo();
+   * }
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return false;
+    }
+
+    this._historyIndex--;
+    this._restoreFromHistory('undo');
+    return true;
+  }
+
+  /**
+   * Re-applies the settings change reverted by the last undo()
+   * Emits STATE_CHANGED with type 'redo' and the settings events of the
+   * sections that changed.
+   * @returns {boolean} True if a change was redone
+   */
+  redo() {
+    if (!this.canRedo()) {
+      return false;
+    }
+
+    this._historyIndex++;
+    this._restoreFromHistory('redo');
+    return true;
   }
 
   /**
    * Gets the state history
-   * @returns {Array<Object>} State history
+   * @returns {Array<Object>} Settings snapshots, oldest first
    */
   getHistory() {
     return this._history.map(state => deepClone(state));
@@ -361,9 +495,11 @@ class StateManager {
 
   /**
    * Clears the state history
+   * The current settings become the only entry.
    */
   clearHistory() {
-    this._history = [deepClone(this._state)];
+    this._history = [this._snapshot()];
+    this._historyIndex = 0;
     if (this._debug) {
       console.log('[StateManager] History cleared');
     }
@@ -381,21 +517,24 @@ class StateManager {
   /**
    * Exports state as JSON string
    * @param {boolean} [pretty=false] - Whether to format JSON
-   * @returns {string} JSON string
+   * @returns {string} JSON string, tagged with the schema version
    */
   exportJSON(pretty = false) {
-    return JSON.stringify(this._state, null, pretty ? 2 : 0);
+    return JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...this._state }, null, pretty ? 2 : 0);
   }
 
   /**
    * Imports state from JSON string
+   * State exported by older versions is migrated first. Nothing is loaded
+   * unless the migrated state is valid.
    * @param {string} json - JSON string
    * @returns {boolean} Success status
    */
   importJSON(json) {
     try {
       const parsed = JSON.parse(json);
-      return this.loadState(parsed);
+      const { config } = upgradeConfig(parsed, 'Imported state');
+      return this.loadState(config, true);
     } catch (error) {
       console.error('[StateManager] Failed to import JSON:', error);
       eventBus.emit(Events.ERROR_OCCURRED, {
@@ -47,10 +47,34 @@ export function calculateCartesianDistance(x1, y1, x2, y2) {
     return Math.sqrt(dx * dx + dy * dy);
 }
 
+/**
+ * Calculate distance between two parsed machine positions
+ * Uses the true Cartesian distance when both positions carry an inverted
+ * `cartesian` point, otherwise falls back to cable-space distance over the
+ * cables the machine has (no Z on two-cable machines, A only on four-cable)
+ * 
+ * @param {Object} from - Position {X, Y, Z?, A?, cartesian?}
+ * @param {Object} to - Position {X, Y, Z?, A?, cartesian?}
+ * @returns {number} Distance in mm
+ */
+export function calculateStepDistance(from, to) {
+    if (from.cartesian && to.cartesian) {
+        return calculateCartesianDistance(
+            from.cartesian.x, from.cartesian.y,
+            to.cartesian.x, to.cartesian.y
+        );
+    }
+    
+    const cableDistance = calculateMoveDistance(from.X, from.Y, from.Z || 0, to.X, to.Y, to.Z || 0);
+    const da = (to.A || 0) - (from.A || 0);
+    
+    return Math.sqrt(cableDistance * cableDistance + da * da);
+}
+
 /**
  * Calculate total length of a path defined by multiple points
  * 
- * @param {Array<Object>} points - Array of points with {X, Y, Z} properties
+ * @param {Array<Object>} points - Array of points with {X, Y, Z} properties (optionally A and cartesian)
  * @returns {number} Total path length in mm
  * 
  * @example
@@ -72,10 +96,7 @@ export function calculatePathLength(points) {
         const prev = points[i - 1];
         const curr = points[i];
         
-        totalDistance += calculateMoveDistance(
-            prev.X, prev.Y, prev.Z,
-            curr.X, curr.Y, curr.Z
-        );
+        totalDistance += calculateStepDistance(prev, curr);
     }
     
     return totalDistance;
@@ -108,10 +129,7 @@ export function calculateTotalDistance(moves) {
     
     for (const move of moves) {
         if (lastPosition) {
-            const distance = calculateMoveDistance(
-                lastPosition.X, lastPosition.Y, lastPosition.Z,
-                move.X, move.Y, move.Z
-            );
+            const distance = calculateStepDistance(lastPosition, move);
             
             if (move.painting) {
                 paintingDistance += distance;
@@ -120,7 +138,7 @@ export function calculateTotalDistance(moves) {
             }
         }
         
-        lastPosition = { X: move.X, Y: move.Y, Z: move.Z };
+        lastPosition = move;
     }
     
     return {
@@ -154,6 +172,7 @@ export function formatDistance(mm) {
 export default {
     calculateMoveDistance,
     calculateCartesianDistance,
+    calculateStepDistance,
     calculatePathLength,
     calculateTotalDistance,
     formatDistance
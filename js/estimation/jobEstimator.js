@@ -6,9 +6,10 @@
 
 import eventBus from '../core/eventBus.js';
 import { calculateMoveTime } from './timeCalculator.js';
-import { calculateMoveDistance, calculateTotalDistance, formatDistance } from './distanceCalculator.js';
+import { calculateStepDistance, calculateTotalDistance, formatDistance } from './distanceCalculator.js';
 import { calculateDotPaint, calculateLinePaint, calculateLayerPaint, calculateRefills, formatPaintVolume } from './paintCalculator.js';
 import { formatTime } from './timeCalculator.js';
+import { createAnchorConfig, machineToCartesian, Kinematics } from '../gcode/coordinateTransformer.js';
 
 /**
  * Events emitted by JobEstimator
@@ -32,6 +33,8 @@ export class JobEstimator {
      * @param {number} config.robot.moveSpeed - Move speed (mm/min)
      * @param {number} config.robot.paintSpeed - Paint speed (mm/min)
      * @param {number} config.robot.paintCapacity - Paint capacity (ml)
+     * @param {string} [config.robot.kinematics] - Cable kinematics used to invert moves
+     * @param {Object} [config.canvas] - Canvas configuration (anchors) used to invert moves
      */
     constructor(config) {
         this.config = config || {};
@@ -59,9 +62,10 @@ export class JobEstimator {
             }
 
             const lines = gcode.split('\n');
+            const anchors = this._getAnchors();
             const moves = [];
             const paintingActions = [];
-            let currentPosition = { X: 0, Y: 0, Z: 0 };
+            let currentPosition = { X: 0, Y: 0, Z: 0, A: 0, cartesian: null };
             let sprayOn = false;
             let totalPauseTime = 0;
             let colorChanges = 0;
@@ -86,8 +90,10 @@ export class JobEstimator {
                     const newPosition = {
                         X: coords.X !== null ? coords.X : currentPosition.X,
                         Y: coords.Y !== null ? coords.Y : currentPosition.Y,
-                        Z: coords.Z !== null ? coords.Z : currentPosition.Z
+                        Z: coords.Z !== null ? coords.Z : currentPosition.Z,
+                        A: coords.A !== null ? coords.A : currentPosition.A
                     };
+                    newPosition.cartesian = this._toCartesian(newPosition, anchors);
 
                     moves.push({
                         ...newPosition,
@@ -106,10 +112,7 @@ export class JobEstimator {
                 else if (trimmed.startsWith('M5')) {
                     if (sprayOn && sprayStartPosition) {
                         // Record painting action
-                        const distance = calculateMoveDistance(
-                            sprayStartPosition.X, sprayStartPosition.Y, sprayStartPosition.Z,
-                            currentPosition.X, currentPosition.Y, currentPosition.Z
-                        );
+                        const distance = calculateStepDistance(sprayStartPosition, currentPosition);
                         
                         if (distance > 0.1) {
                             // Line painting
@@ -304,10 +307,7 @@ export class JobEstimator {
 
         for (const move of moves) {
             if (lastPosition) {
-                const distance = calculateMoveDistance(
-                    lastPosition.X, lastPosition.Y, lastPosition.Z,
-                    move.X, move.Y, move.Z
-                );
+                const distance = calculateStepDistance(lastPosition, move);
 
                 if (move.painting) {
                     paintingTime += calculateMoveTime(distance, paintSpeed);
@@ -316,7 +316,7 @@ export class JobEstimator {
                 }
             }
 
-            lastPosition = { X: move.X, Y: move.Y, Z: move.Z };
+            lastPosition = move;
         }
 
         return {
@@ -367,21 +367,54 @@ export class JobEstimator {
      * @private
      */
     _parseCoordinates(line) {
-        const coords = { X: null, Y: null, Z: null, F: null };
+        const coords = { X: null, Y: null, Z: null, A: null, F: null };
         
         const xMatch = line.match(/X([-\d.]+)/);
         const yMatch = line.match(/Y([-\d.]+)/);
         const zMatch = line.match(/Z([-\d.]+)/);
+        const aMatch = line.match(/A([-\d.]+)/);
         const fMatch = line.match(/F([-\d.]+)/);
         
         if (xMatch) coords.X = parseFloat(xMatch[1]);
         if (yMatch) coords.Y = parseFloat(yMatch[1]);
         if (zMatch) coords.Z = parseFloat(zMatch[1]);
+        if (aMatch) coords.A = parseFloat(aMatch[1]);
         if (fMatch) coords.F = parseFloat(fMatch[1]);
         
         return coords;
     }
 
+    /**
+     * Build the anchor configuration used to invert moves
+     * @private
+     * @returns {Object|null} Anchor configuration, or null if no canvas is configured
+     */
+    _getAnchors() {
+        const canvas = this.config.canvas;
+        if (!canvas || !canvas.width || !canvas.height) {
+            return null;
+        }
+        return createAnchorConfig(canvas, this.config.robot?.kinematics);
+    }
+
+    /**
+     * Invert a machine position to Cartesian millimeters
+     * @private
+     * @param {Object} position - Cable lengths {X, Y, Z, A}
+     * @param {Object|null} anchors - Anchor configuration
+     * @returns {{x: number, y: number}|null} Cartesian point, or null if it cannot be inverted
+     */
+    _toCartesian(position, anchors) {
+        if (!anchors) return null;
+        if (anchors.kinematics === Kinematics.FOUR_CABLE && !position.A) return null;
+
+        try {
+            return machineToCartesian(position, anchors);
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Estimate time for a single layer
      * @private
@@ -0,0 +1,221 @@
+/**
+ * Anchor Calibration Module
+ * Estimates where the anchors are really mounted from cable lengths measured
+ * with the robot placed on known wall marks. Each cable is solved on its own:
+ * the anchor is the point whose distances to the marks best match the
+ * measured lengths, i.e. the same multilateration the kinematics use to
+ * locate the robot, with the roles of marks and anchors swapped.
+ * @module gcode/anchorCalibration
+ */
+
+import { multilaterate, Kinematics } from './coordinateTransformer.js';
+
+/**
+ * Anchor each machine axis cable runs to, per kinematics
+ * @type {Object<string, Object<string, string>>}
+ * @private
+ */
+const AXIS_ANCHORS = {
+    [Kinematics.TWO_CABLE]: { X: 'topLeft', Y: 'topRight' },
+    [Kinematics.THREE_CABLE]: { X: 'topLeft', Y: 'topRight', Z: 'bottomCenter' },
+    [Kinematics.FOUR_CABLE]: { X: 'topLeft', Y: 'topRight', Z: 'bottomLeft', A: 'bottomRight' }
+};
+
+/**
+ * Canvas state keys for each solved anchor
+ * @type {Object<string, string>}
+ * @private
+ */
+const STATE_KEYS = {
+    topLeft: 'anchorTopLeft',
+    topRight: 'anchorTopRight',
+    bottomLeft: 'anchorBottomLeft',
+    bottomRight: 'anchorBottomRight'
+};
+
+/**
+ * Minimum number of marks needed to place one anchor unambiguously
+ * @type {number}
+ */
+export const MIN_MARKS = 3;
+
+/**
+ * Estimate one anchor position from marks and measured cable lengths
+ *
+ * Starts from the linear least-squares solution of multilaterate() and
+ * refines it with Gauss-Newton on the true distance residuals, which weighs
+ * every measurement equally when the lengths are noisy.
+ *
+ * @param {Array<{x: number, y: number}>} marks - Known mark positions
+ * @param {number[]} lengths - Measured cable length at each mark (same unit as marks)
+ * @param {number} [maxIterations=20] - Gauss-Newton iteration limit
+ * @returns {{x: number, y: number, rms: number}|null} Anchor position and RMS length error,
+ *          or null if the marks are degenerate (e.g. collinear)
+ *
+ * @example
+ * const anchor = estimateAnchor(
+ *     [{ x: 50, y: 50 }, { x: 150, y: 50 }, { x: 100, y: 120 }],
+ *     [70.7, 158.1, 156.2]
+ * );
+ * // anchor: ≈ { x: 0, y: 0 } with rms ≈ 0.002
+ */
+export function estimateAnchor(marks, lengths, maxIterations = 20) {
+    const initial = multilaterate(marks, lengths);
+    if (!initial) {
+        return null;
+    }
+
+    let x = initial.x;
+    let y = initial.y;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        // Normal equations JᵀJ·Δ = -Jᵀr with J rows = unit vector from mark to anchor
+        let jxx = 0, jxy = 0, jyy = 0, gx = 0, gy = 0;
+
+        for (let i = 0; i < marks.length; i++) {
+            const dx = x - marks[i].x;
+            const dy = y - marks[i].y;
+            const distance = Math.hypot(dx, dy);
+            if (distance < 1e-9) continue;
+
+            const ux = dx / distance;
+            const uy = dy / distance;
+            const residual = distance - lengths[i];
+
+            jxx += ux * ux;
+            jxy += ux * uy;
+            jyy += uy * uy;
+            gx += ux * residual;
+            gy += uy * residual;
+        }
+
+        const det = jxx * jyy - jxy * jxy;
+        if (Math.abs(det) < 1e-12) break;
+
+        const stepX = -(jyy * gx - jxy * gy) / det;
+        const stepY = -(jxx * gy - jxy * gx) / det;
+        x += stepX;
+        y += stepY;
+
+        if (Math.hypot(stepX, stepY) < 1e-6) break;
+    }
+
+    const squared = marks.reduce((sum, mark, i) => {
+        const residual = Math.hypot(x - mark.x, y - mark.y) - lengths[i];
+        return sum + residual * residual;
+    }, 0);
+
+    return { x, y, rms: Math.sqrt(squared / marks.length) };
+}
+
+/**
+ * Solve all anchor positions for a kinematics from calibration measurements
+ *
+ * Every measurement records where the robot was placed and the cable lengths
+ * read off there. Cables that were not measured at a mark may be left out;
+ * each cable needs at least three marks that are not on one line.
+ *
+ * @param {Array<Object>} measurements - Calibration measurements
+ * @param {number} measurements[].x - Mark X position (cm, from canvas top-left)
+ * @param {number} measurements[].y - Mark Y position (cm, from canvas top-left)
+ * @param {Object} measurements[].lengths - Measured cable lengths (cm) keyed by axis {X, Y, Z, A}
+ * @param {string} [kinematics='three-cable'] - Cable kinematics being calibrated
+ * @returns {{anchors: Object, residuals: Object, rmsError: number}} Anchor positions (cm) keyed
+ *          by anchor name, RMS length error per axis and overall
+ * @throws {Error} If a cable has too few usable marks or its marks are collinear
+ *
+ * @example
+ * const result = calibrateAnchors([
+ *     { x: 50, y: 50, lengths: { X: 70.9, Y: 158.0, Z: 111.9 } },
+ *     ...
+ * ], 'three-cable');
+ * // result.anchors.topLeft: { x: 0.2, y: -0.1 }
+ */
+export function calibrateAnchors(measurements, kinematics = Kinematics.THREE_CABLE) {
+    const axisAnchors = AXIS_ANCHORS[kinematics] || AXIS_ANCHORS[Kinematics.THREE_CABLE];
+    const anchors = {};
+    const residuals = {};
+    let squaredSum = 0;
+    let count = 0;
+
+    for (const [axis, anchorName] of Object.entries(axisAnchors)) {
+        const usable = (measurements || []).filter(m =>
+            Number.isFinite(m.x) && Number.isFinite(m.y) &&
+            m.lengths && Number.isFinite(m.lengths[axis]) && m.lengths[axis] > 0
+        );
+
+        if (usable.length < MIN_MARKS) {
+            throw new Error(`Cable ${axis} needs at least ${MIN_MARKS} measured marks (got ${usable.length})`);
+        }
+
+        const estimate = estimateAnchor(
+            usable.map(m => ({ x: m.x, y: m.y })),
+            usable.map(m => m.lengths[axis])
+        );
+
+        if (!estimate) {
+            throw new Error(`Cable ${axis} marks are collinear - spread the marks across the canvas`);
+        }
+
+        anchors[anchorName] = {
+            x: Math.round(estimate.x * 10) / 10,
+            y: Math.round(estimate.y * 10) / 10
+        };
+        residuals[axis] = Math.round(estimate.rms * 100) / 100;
+
+        squaredSum += estimate.rms * estimate.rms * usable.length;
+        count += usable.length;
+    }
+
+    return {
+        anchors,
+        residuals,
+        rmsError: Math.round(Math.sqrt(squaredSum / count) * 100) / 100
+    };
+}
+
+/**
+ * Convert solved anchors into state updates for canvas.anchor*
+ *
+ * The three-cable bottom-center anchor is derived from the bottom-left and
+ * bottom-right anchors, so both are shifted together to put their midpoint
+ * on the solved position.
+ *
+ * @param {Object} anchors - Solved anchors (cm) from calibrateAnchors()
+ * @param {Object} canvas - Current canvas state (cm)
+ * @returns {Object<string, number>} Updates keyed by state path, for state.setMultiple()
+ *
+ * @example
+ * state.setMultiple(toAnchorStateUpdates(result.anchors, state.get('canvas')));
+ */
+export function toAnchorStateUpdates(anchors, canvas) {
+    const updates = {};
+
+    for (const [anchorName, stateKey] of Object.entries(STATE_KEYS)) {
+        if (anchors[anchorName]) {
+            updates[`canvas.${stateKey}.x`] = anchors[anchorName].x;
+            updates[`canvas.${stateKey}.y`] = anchors[anchorName].y;
+        }
+    }
+
+    if (anchors.bottomCenter) {
+        const bottomLeft = canvas.anchorBottomLeft || { x: 0, y: canvas.height };
+        const bottomRight = canvas.anchorBottomRight || { x: canvas.width, y: canvas.height };
+        const shift = anchors.bottomCenter.x - (bottomLeft.x + bottomRight.x) / 2;
+        const round = value => Math.round(value * 10) / 10;
+
+        updates['canvas.anchorBottomLeft.x'] = round(bottomLeft.x + shift);
+        updates['canvas.anchorBottomLeft.y'] = anchors.bottomCenter.y;
+        updates['canvas.anchorBottomRight.x'] = round(bottomRight.x + shift);
+        updates['canvas.anchorBottomRight.y'] = anchors.bottomCenter.y;
+    }
+
+    return updates;
+}
+
+export default {
+    MIN_MARKS,
+    estimateAnchor,
+    calibrateAnchors,
+    toAnchorStateUpdates
+};
@@ -0,0 +1,195 @@
+/**
+ * Cable Compensation Module
+ * Corrects cable lengths for two effects the straight-line kinematics ignore:
+ * - Sag: a cable with weight hangs in a catenary, so it needs more length
+ *   than the straight chord to reach the same point
+ * - Stretch: a loaded cable is elastic, so the length paid out by the motor
+ *   is shorter than the length it stretches to under tension
+ * Tensions come from the workspace analyzer's static force balance.
+ * @module gcode/cableCompensation
+ */
+
+import {
+    cartesianToMachine,
+    machineToCartesian,
+    multilaterate,
+    getCableAnchors,
+    getMachineAxes
+} from './coordinateTransformer.js';
+import { analyzePoint, getWorkspaceOptions } from './workspaceAnalyzer.js';
+
+/**
+ * Standard gravity (m/s²)
+ * @type {number}
+ * @private
+ */
+const GRAVITY = 9.81;
+
+/**
+ * Default cable properties
+ * @type {Object}
+ * @private
+ */
+const DEFAULT_CABLE = {
+    cableWeight: 5,         // g per meter of cable
+    cableStiffness: 50000   // N, axial stiffness EA
+};
+
+/**
+ * Build compensation options from the robot configuration
+ *
+ * @param {Object} [robot] - Robot configuration (state.robot)
+ * @param {Object} [robot.cableCompensation] - Compensation settings
+ * @param {boolean} [robot.cableCompensation.enabled] - Whether to compensate
+ * @param {number} [robot.cableCompensation.cableWeight] - Cable weight (g/m)
+ * @param {number} [robot.cableCompensation.cableStiffness] - Axial stiffness EA (N)
+ * @returns {Object|null} Options {weightPerMm (N/mm), stiffness (N), ...workspace options},
+ *          or null when compensation is disabled
+ */
+export function getCompensationOptions(robot = {}) {
+    const settings = robot.cableCompensation;
+    if (!settings || !settings.enabled) {
+        return null;
+    }
+
+    const cableWeight = settings.cableWeight ?? DEFAULT_CABLE.cableWeight;
+
+    return {
+        ...getWorkspaceOptions(robot),
+        weightPerMm: (cableWeight / 1000) * GRAVITY / 1000, // g/m -> N/mm
+        stiffness: settings.cableStiffness ?? DEFAULT_CABLE.cableStiffness
+    };
+}
+
+/**
+ * Arc length of a cable hanging in a catenary between two points
+ *
+ * @param {number} span - Horizontal distance between the cable ends (mm)
+ * @param {number} rise - Vertical distance between the cable ends (mm)
+ * @param {number} horizontalTension - Horizontal tension component (N)
+ * @param {number} weightPerMm - Cable weight (N/mm)
+ * @returns {number} Cable length along the curve (mm), never shorter than the chord
+ *
+ * @example
+ * catenaryLength(2000, 0, 10, 0.00005);
+ * // Returns: ~2000.02
+ */
+export function catenaryLength(span, rise, horizontalTension, weightPerMm) {
+    const chord = Math.hypot(span, rise);
+    if (weightPerMm <= 0 || horizontalTension <= 0 || Math.abs(span) < 1e-9) {
+        return chord;
+    }
+
+    // Catenary parameter a = H / w; length = sqrt(v² + (2a·sinh(h / 2a))²)
+    const a = horizontalTension / weightPerMm;
+    const sagSpan = 2 * a * Math.sinh(Math.abs(span) / (2 * a));
+
+    return Math.sqrt(rise * rise + sagSpan * sagSpan);
+}
+
+/**
+ * Transform Cartesian coordinates to compensated machine cable lengths
+ *
+ * Drop-in replacement for cartesianToMachine() when compensation is on. If
+ * no static tension distribution exists at the point (outside the
+ * workspace), the straight-line lengths are returned unchanged.
+ *
+ * @param {number} x - Cartesian X coordinate (mm)
+ * @param {number} y - Cartesian Y coordinate (mm)
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @param {Object} options - Options from getCompensationOptions()
+ * @returns {Object} Cable lengths keyed by axis, like cartesianToMachine()
+ *
+ * @example
+ * const options = getCompensationOptions(state.get('robot'));
+ * const lengths = compensateLengths(500, 1400, anchors, options);
+ */
+export function compensateLengths(x, y, anchors, options) {
+    const straight = cartesianToMachine(x, y, anchors);
+    const { tensions } = analyzePoint(x, y, anchors, options);
+    if (!tensions) {
+        return straight;
+    }
+
+    const axes = getMachineAxes(anchors.kinematics);
+    const cables = getCableAnchors(anchors);
+    const compensated = {};
+
+    axes.forEach((axis, i) => {
+        const span = cables[i].x - x;
+        const rise = cables[i].y - y;
+        const chord = Math.hypot(span, rise);
+        const tension = tensions[i];
+
+        // Horizontal share of the tension sets how deep the cable sags
+        const horizontal = chord > 0 ? tension * Math.abs(span) / chord : 0;
+        const hanging = catenaryLength(span, rise, horizontal, options.weightPerMm);
+
+        // Unstretched length the motor must pay out
+        const paidOut = hanging / (1 + tension / options.stiffness);
+        compensated[axis] = Math.round(paidOut * 100) / 100;
+    });
+
+    return compensated;
+}
+
+/**
+ * Locate a point from straight-line cable lengths without favouring any cable
+ * @private
+ * @param {Object} lengths - Cable lengths keyed by axis
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @returns {{x: number, y: number}|null} Cartesian point or null
+ */
+function locateStraight(lengths, anchors) {
+    const cables = getCableAnchors(anchors);
+    if (cables.length < 3) {
+        return machineToCartesian(lengths, anchors);
+    }
+
+    const axes = getMachineAxes(anchors.kinematics);
+    return multilaterate(cables, axes.map(axis => lengths[axis]));
+}
+
+/**
+ * Transform compensated machine cable lengths back to Cartesian coordinates
+ *
+ * Inverts compensateLengths() by fixed-point iteration: the per-cable
+ * correction at the current estimate is added back to the measured lengths,
+ * which are then located as if the cables were straight.
+ *
+ * @param {Object} lengths - Compensated cable lengths keyed by axis
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @param {Object} options - Options from getCompensationOptions()
+ * @param {number} [maxIterations=10] - Iteration limit
+ * @returns {{x: number, y: number}|null} Cartesian coordinates (mm) or null if no valid solution
+ */
+export function compensatedToCartesian(lengths, anchors, options, maxIterations = 10) {
+    const axes = getMachineAxes(anchors.kinematics);
+    let point = locateStraight(lengths, anchors);
+
+    for (let iteration = 0; point && iteration < maxIterations; iteration++) {
+        const straight = cartesianToMachine(point.x, point.y, anchors);
+        const compensated = compensateLengths(point.x, point.y, anchors, options);
+
+        const corrected = {};
+        axes.forEach(axis => {
+            corrected[axis] = lengths[axis] + straight[axis] - compensated[axis];
+        });
+
+        const next = locateStraight(corrected, anchors);
+        if (!next) break;
+
+        const step = Math.hypot(next.x - point.x, next.y - point.y);
+        point = next;
+        if (step < 0.01) break;
+    }
+
+    return point ? { x: point.x, y: point.y } : null;
+}
+
+export default {
+    getCompensationOptions,
+    catenaryLength,
+    compensateLengths,
+    compensatedToCartesian
+};
@@ -5,6 +5,19 @@
  * @module gcode/coordinateTransformer
  */
 
+/**
+ * Supported cable kinematics
+ * - TWO_CABLE: X/Y cables to top-left and top-right anchors (hanging V-plotter)
+ * - THREE_CABLE: X/Y/Z cables to top-left, top-right and bottom-center anchors
+ * - FOUR_CABLE: X/Y/Z/A cables to top-left, top-right, bottom-left and bottom-right anchors
+ * @type {Object<string, string>}
+ */
+export const Kinematics = {
+    TWO_CABLE: 'two-cable',
+    THREE_CABLE: 'three-cable',
+    FOUR_CABLE: 'four-cable'
+};
+
 /**
  * Transform Cartesian coordinates to trilateration coordinates
  * 
@@ -227,9 +240,10 @@ export function scaleToPixels(physicalX, physicalY, imageWidth, imageHeight, phy
  * Converts cm to mm and creates the proper anchor structure
  * 
  * @param {Object} canvasState - Canvas state object
+ * @param {string} [kinematics='three-cable'] - Kinematics mode (see Kinematics)
  * @returns {Object} Anchor configuration for transformation functions
  */
-export function createAnchorConfig(canvasState) {
+export function createAnchorConfig(canvasState, kinematics = Kinematics.THREE_CABLE) {
     const { anchorTopLeft, anchorTopRight, anchorBottomLeft, anchorBottomRight, width, height } = canvasState;
     
     // Calculate bottom-center anchor position
@@ -252,10 +266,332 @@ export function createAnchorConfig(canvasState) {
         bottomCenter: {
             x: bottomCenter.x * 10,
             y: bottomCenter.y * 10
-        }
+        },
+        bottomLeft: {
+            x: (anchorBottomLeft?.x || 0) * 10,
+            y: (anchorBottomLeft?.y || height) * 10
+        },
+        bottomRight: {
+            x: (anchorBottomRight?.x || width) * 10,
+            y: (anchorBottomRight?.y || height) * 10
+        },
+        kinematics
+    };
+}
+
+/**
+ * Transform Cartesian coordinates to two-cable (V-plotter) lengths
+ * 
+ * The robot hangs from the two top anchors and gravity keeps it below them:
+ * - X: Length of the left cable (to top-left anchor)
+ * - Y: Length of the right cable (to top-right anchor)
+ * 
+ * @param {number} x - Cartesian X coordinate (mm)
+ * @param {number} y - Cartesian Y coordinate (mm)
+ * @param {Object} anchors - Anchor point positions
+ * @param {Object} anchors.topLeft - Top-left anchor {x, y}
+ * @param {Object} anchors.topRight - Top-right anchor {x, y}
+ * @returns {Object} Cable lengths {X, Y}
+ * 
+ * @example
+ * const lengths = cartesianToTwoCable(500, 300, anchors);
+ * // lengths: { X: 583.1, Y: 1529.71 }
+ */
+export function cartesianToTwoCable(x, y, anchors) {
+    if (typeof x !== 'number' || typeof y !== 'number') {
+        throw new Error('Coordinates must be numbers');
+    }
+    
+    if (!anchors || !anchors.topLeft || !anchors.topRight) {
+        throw new Error('Invalid two-cable anchor configuration');
+    }
+    
+    const round = value => Math.round(value * 100) / 100;
+    
+    return {
+        X: round(Math.hypot(anchors.topLeft.x - x, anchors.topLeft.y - y)),
+        Y: round(Math.hypot(anchors.topRight.x - x, anchors.topRight.y - y))
+    };
+}
+
+/**
+ * Transform two-cable (V-plotter) lengths back to Cartesian coordinates
+ * 
+ * Intersects the two cable circles and keeps the solution hanging below
+ * the line between the anchors (larger y, since y grows downward).
+ * 
+ * @param {number} X - Left cable length (mm)
+ * @param {number} Y - Right cable length (mm)
+ * @param {Object} anchors - Anchor point positions
+ * @param {Object} anchors.topLeft - Top-left anchor {x, y}
+ * @param {Object} anchors.topRight - Top-right anchor {x, y}
+ * @returns {Object|null} Cartesian coordinates {x, y} or null if the cables cannot meet
+ */
+export function twoCableToCartesian(X, Y, anchors) {
+    if (typeof X !== 'number' || typeof Y !== 'number') {
+        throw new Error('Distances must be numbers');
+    }
+    
+    if (!anchors || !anchors.topLeft || !anchors.topRight) {
+        throw new Error('Invalid two-cable anchor configuration');
+    }
+    
+    const { topLeft, topRight } = anchors;
+    const dx = topRight.x - topLeft.x;
+    const dy = topRight.y - topLeft.y;
+    const d = Math.hypot(dx, dy);
+    
+    if (d === 0) {
+        throw new Error('Top anchors cannot be at the same position');
+    }
+    
+    // Distance along the anchor line to the chord, and half-chord height
+    const a = (X * X - Y * Y + d * d) / (2 * d);
+    const hSquared = X * X - a * a;
+    
+    // Lengths are rounded to 0.01mm, so points on the anchor line can come
+    // out slightly negative; only clearly short cables have no solution
+    if (hSquared < -0.01 * (X + Y)) {
+        // Cables too short to meet
+        return null;
+    }
+    
+    const h = Math.sqrt(Math.max(0, hSquared));
+    const baseX = topLeft.x + (a * dx) / d;
+    const baseY = topLeft.y + (a * dy) / d;
+    
+    // Perpendicular offset; pick the side below the anchor line
+    const offsetX = (-dy * h) / d;
+    const offsetY = (dx * h) / d;
+    const below = offsetY >= 0 ? 1 : -1;
+    
+    return {
+        x: Math.round((baseX + below * offsetX) * 100) / 100,
+        y: Math.round((baseY + below * offsetY) * 100) / 100
+    };
+}
+
+/**
+ * Transform Cartesian coordinates to four-cable lengths
+ * 
+ * Each anchor drives its own motor:
+ * - X: Distance from top-left anchor
+ * - Y: Distance from top-right anchor
+ * - Z: Distance from bottom-left anchor
+ * - A: Distance from bottom-right anchor
+ * 
+ * @param {number} x - Cartesian X coordinate (mm)
+ * @param {number} y - Cartesian Y coordinate (mm)
+ * @param {Object} anchors - Anchor point positions
+ * @param {Object} anchors.topLeft - Top-left anchor {x, y}
+ * @param {Object} anchors.topRight - Top-right anchor {x, y}
+ * @param {Object} anchors.bottomLeft - Bottom-left anchor {x, y}
+ * @param {Object} anchors.bottomRight - Bottom-right anchor {x, y}
+ * @returns {Object} Cable lengths {X, Y, Z, A}
+ * 
+ * @example
+ * const anchors = createAnchorConfig(canvas, Kinematics.FOUR_CABLE);
+ * const lengths = cartesianToFourCable(1000, 750, anchors);
+ * // lengths: { X: 1250, Y: 1250, Z: 1250, A: 1250 }
+ */
+export function cartesianToFourCable(x, y, anchors) {
+    if (typeof x !== 'number' || typeof y !== 'number') {
+        throw new Error('Coordinates must be numbers');
+    }
+    
+    if (!anchors || !anchors.topLeft || !anchors.topRight || !anchors.bottomLeft || !anchors.bottomRight) {
+        throw new Error('Invalid four-cable anchor configuration');
+    }
+    
+    const round = value => Math.round(value * 100) / 100;
+    
+    return {
+        X: round(Math.hypot(anchors.topLeft.x - x, anchors.topLeft.y - y)),
+        Y: round(Math.hypot(anchors.topRight.x - x, anchors.topRight.y - y)),
+        Z: round(Math.hypot(anchors.bottomLeft.x - x, anchors.bottomLeft.y - y)),
+        A: round(Math.hypot(anchors.bottomRight.x - x, anchors.bottomRight.y - y))
+    };
+}
+
+/**
+ * Find the point that best matches a set of anchor distances
+ * 
+ * Linearizes the circle equations by subtracting the first one and solves
+ * the resulting over-determined system with least squares. Works for any
+ * three or more non-collinear anchors.
+ * 
+ * @param {Array<{x: number, y: number}>} points - Anchor positions (mm)
+ * @param {Array<number>} distances - Cable lengths to each anchor (mm)
+ * @returns {Object|null} Cartesian coordinates {x, y, residual} or null if degenerate
+ */
+export function multilaterate(points, distances) {
+    if (!points || points.length < 3 || points.length !== distances.length) {
+        throw new Error('Multilateration requires at least three anchors with matching distances');
+    }
+    
+    const p0 = points[0];
+    const d0 = distances[0];
+    
+    // Normal equations (AᵀA)·p = Aᵀb for rows 2(pi - p0)·p = d0² - di² + |pi|² - |p0|²
+    let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+    
+    for (let i = 1; i < points.length; i++) {
+        const ax = 2 * (points[i].x - p0.x);
+        const ay = 2 * (points[i].y - p0.y);
+        const b = d0 * d0 - distances[i] * distances[i]
+            + points[i].x * points[i].x + points[i].y * points[i].y
+            - p0.x * p0.x - p0.y * p0.y;
+        
+        a11 += ax * ax;
+        a12 += ax * ay;
+        a22 += ay * ay;
+        b1 += ax * b;
+        b2 += ay * b;
+    }
+    
+    const det = a11 * a22 - a12 * a12;
+    if (Math.abs(det) < 1e-9) {
+        return null;
+    }
+    
+    const x = (a22 * b1 - a12 * b2) / det;
+    const y = (a11 * b2 - a12 * b1) / det;
+    
+    // Largest disagreement between the solution and the measured lengths
+    const residual = Math.max(...points.map((p, i) =>
+        Math.abs(Math.hypot(p.x - x, p.y - y) - distances[i])
+    ));
+    
+    return {
+        x: Math.round(x * 100) / 100,
+        y: Math.round(y * 100) / 100,
+        residual
     };
 }
 
+/**
+ * Transform four-cable lengths back to Cartesian coordinates
+ * Uses all four anchors so measurement errors are averaged out
+ * 
+ * @param {number} X - Distance from top-left anchor (mm)
+ * @param {number} Y - Distance from top-right anchor (mm)
+ * @param {number} Z - Distance from bottom-left anchor (mm)
+ * @param {number} A - Distance from bottom-right anchor (mm)
+ * @param {Object} anchors - Anchor point positions (see cartesianToFourCable)
+ * @returns {Object|null} Cartesian coordinates {x, y} or null if no valid solution
+ */
+export function fourCableToCartesian(X, Y, Z, A, anchors) {
+    if ([X, Y, Z, A].some(value => typeof value !== 'number')) {
+        throw new Error('Distances must be numbers');
+    }
+    
+    if (!anchors || !anchors.topLeft || !anchors.topRight || !anchors.bottomLeft || !anchors.bottomRight) {
+        throw new Error('Invalid four-cable anchor configuration');
+    }
+    
+    const result = multilaterate(
+        [anchors.topLeft, anchors.topRight, anchors.bottomLeft, anchors.bottomRight],
+        [X, Y, Z, A]
+    );
+    
+    if (!result) return null;
+    
+    // Allow small error margin (1mm) due to rounding
+    if (result.residual > 1) {
+        console.warn(`Four-cable verification failed: residual ${result.residual.toFixed(2)}mm`);
+    }
+    
+    return { x: result.x, y: result.y };
+}
+
+/**
+ * Transform Cartesian coordinates to machine cable lengths
+ * Dispatches on anchors.kinematics (set by createAnchorConfig)
+ * 
+ * @param {number} x - Cartesian X coordinate (mm)
+ * @param {number} y - Cartesian Y coordinate (mm)
+ * @param {Object} anchors - Anchor configuration from createAnchorConfig
+ * @returns {Object} Cable lengths {X, Y}, {X, Y, Z} or {X, Y, Z, A}
+ */
+export function cartesianToMachine(x, y, anchors) {
+    switch (anchors && anchors.kinematics) {
+        case Kinematics.TWO_CABLE:
+            return cartesianToTwoCable(x, y, anchors);
+        case Kinematics.FOUR_CABLE:
+            return cartesianToFourCable(x, y, anchors);
+        default:
+            return cartesianToTrilateration(x, y, anchors);
+    }
+}
+
+/**
+ * Transform machine cable lengths back to Cartesian coordinates
+ * Dispatches on anchors.kinematics (set by createAnchorConfig)
+ * 
+ * @param {Object} lengths - Cable lengths {X, Y, Z, A}
+ * @param {Object} anchors - Anchor configuration from createAnchorConfig
+ * @returns {Object|null} Cartesian coordinates {x, y} or null if no valid solution
+ */
+export function machineToCartesian(lengths, anchors) {
+    switch (anchors && anchors.kinematics) {
+        case Kinematics.TWO_CABLE:
+            return twoCableToCartesian(lengths.X, lengths.Y, anchors);
+        case Kinematics.FOUR_CABLE:
+            return fourCableToCartesian(lengths.X, lengths.Y, lengths.Z, lengths.A, anchors);
+        default:
+            return trilaterationToCartesian(lengths.X, lengths.Y, lengths.Z, anchors);
+    }
+}
+
+/**
+ * Get the cable axis letters used by a kinematics mode
+ * 
+ * @param {string} kinematics - Kinematics mode
+ * @returns {string[]} Axis letters in output order
+ */
+export function getMachineAxes(kinematics = Kinematics.THREE_CABLE) {
+    switch (kinematics) {
+        case Kinematics.TWO_CABLE:
+            return ['X', 'Y'];
+        case Kinematics.FOUR_CABLE:
+            return ['X', 'Y', 'Z', 'A'];
+        default:
+            return ['X', 'Y', 'Z'];
+    }
+}
+
+/**
+ * Get the anchor point each machine axis cable runs to
+ * Ordered like getMachineAxes(), so cables[i] belongs to axes[i]
+ * 
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @returns {Array<{x: number, y: number}>} Anchor points (mm)
+ */
+export function getCableAnchors(anchors) {
+    switch (anchors.kinematics) {
+        case Kinematics.TWO_CABLE:
+            return [anchors.topLeft, anchors.topRight];
+        case Kinematics.FOUR_CABLE:
+            return [anchors.topLeft, anchors.topRight, anchors.bottomLeft, anchors.bottomRight];
+        default:
+            return [anchors.topLeft, anchors.topRight, anchors.bottomCenter];
+    }
+}
+
+/**
+ * Get the canvas anchors a kinematics mode actually attaches cables to
+ * 
+ * @param {string} kinematics - Kinematics mode
+ * @returns {string[]} Canvas state anchor keys (e.g. 'anchorTopLeft')
+ */
+export function getAnchorsInUse(kinematics = Kinematics.THREE_CABLE) {
+    if (kinematics === Kinematics.TWO_CABLE) {
+        return ['anchorTopLeft', 'anchorTopRight'];
+    }
+    // Three-cable derives its bottom-center anchor from both bottom anchors
+    return ['anchorTopLeft', 'anchorTopRight', 'anchorBottomLeft', 'anchorBottomRight'];
+}
+
 /**
  * Validate that a point is within canvas bounds
  * 
@@ -285,12 +621,61 @@ export function clampToBounds(x, y, width, height) {
     };
 }
 
+/**
+ * Split a straight Cartesian segment into pieces no longer than maxLength
+ * 
+ * Controllers interpolate linearly in cable-length space, so a single long
+ * move bows away from the straight line on the wall. Emitting the pieces
+ * keeps the drawn path within a small chord error of the intended line.
+ * 
+ * @param {{x: number, y: number}} start - Segment start (mm)
+ * @param {{x: number, y: number}} end - Segment end (mm)
+ * @param {number} maxLength - Maximum piece length (mm), 0 or less disables subdivision
+ * @returns {Array<{x: number, y: number}>} Points after start, ending with end
+ * 
+ * @example
+ * subdivideSegment({ x: 0, y: 0 }, { x: 25, y: 0 }, 10);
+ * // Returns: [{ x: 8.33, y: 0 }, { x: 16.67, y: 0 }, { x: 25, y: 0 }]
+ */
+export function subdivideSegment(start, end, maxLength) {
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    if (!(maxLength > 0) || length <= maxLength) {
+        return [{ x: end.x, y: end.y }];
+    }
+
+    const pieces = Math.ceil(length / maxLength);
+    const points = [];
+
+    for (let i = 1; i < pieces; i++) {
+        const t = i / pieces;
+        points.push({
+            x: Math.round((start.x + (end.x - start.x) * t) * 100) / 100,
+            y: Math.round((start.y + (end.y - start.y) * t) * 100) / 100
+        });
+    }
+    points.push({ x: end.x, y: end.y });
+
+    return points;
+}
+
 export default {
+    Kinematics,
     cartesianToTrilateration,
     trilaterationToCartesian,
     scaleToPhysical,
     scaleToPixels,
     createAnchorConfig,
+    cartesianToTwoCable,
+    twoCableToCartesian,
+    cartesianToFourCable,
+    fourCableToCartesian,
+    multilaterate,
+    cartesianToMachine,
+    machineToCartesian,
+    getMachineAxes,
+    getCableAnchors,
+    getAnchorsInUse,
     isWithinBounds,
-    clampToBounds
+    clampToBounds,
+    subdivideSegment
 };
\ No newline at end of file
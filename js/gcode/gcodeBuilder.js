@@ -4,6 +4,8 @@
  * @module gcode/gcodeBuilder
  */
 
+import { Commands, SPRAY_ON_POWER, formatColorTag, formatDotTag } from './gcodeCommands.js';
+
 /**
  * Format a number for G-code output
  * @param {number} value - Number to format
@@ -15,14 +17,40 @@ function formatNumber(value, decimals = 2) {
     return Number(value).toFixed(decimals);
 }
 
+/**
+ * Format axis words for a move command
+ * The Z word is omitted for two-cable machines and the A word is only
+ * emitted for four-cable machines
+ * @param {number} X - X axis value
+ * @param {number} Y - Y axis value
+ * @param {number|null} Z - Z axis value
+ * @param {number|null} [A] - Optional fourth axis value
+ * @returns {string} Axis words (e.g. "X1.00 Y2.00 Z3.00")
+ * @private
+ */
+function formatAxes(X, Y, Z, A = null) {
+    let words = `X${formatNumber(X)} Y${formatNumber(Y)}`;
+    
+    if (Z !== null && Z !== undefined) {
+        words += ` Z${formatNumber(Z)}`;
+    }
+    
+    if (A !== null && A !== undefined) {
+        words += ` A${formatNumber(A)}`;
+    }
+    
+    return words;
+}
+
 /**
  * Build a G0 (rapid move) command
  * Moves the robot quickly to a position without painting
  * 
  * @param {number} X - Distance from top-left anchor (mm)
  * @param {number} Y - Distance from top-right anchor (mm)
- * @param {number} Z - Distance from bottom-center anchor (mm)
+ * @param {number|null} Z - Distance from bottom-center anchor (mm, null on two-cable)
  * @param {number} [feedRate] - Optional feed rate (mm/min)
+ * @param {number} [A] - Distance from bottom-right anchor (mm, four-cable only)
  * @returns {string} G-code command
  * 
  * @example
@@ -31,9 +59,11 @@ function formatNumber(value, decimals = 2) {
  * 
  * G0(1000, 1500, 800, 3000);
  * // Returns: "G0 X1000.00 Y1500.00 Z800.00 F3000"
+ * G0(1000, 1500, null);
+ * // Returns: "G0 X1000.00 Y1500.00" (two-cable)
  */
-export function G0(X, Y, Z, feedRate = null) {
-    let command = `G0 X${formatNumber(X)} Y${formatNumber(Y)} Z${formatNumber(Z)}`;
+export function G0(X, Y, Z, feedRate = null, A = null) {
+    let command = `${Commands.RAPID_MOVE} ${formatAxes(X, Y, Z, A)}`;
     
     if (feedRate !== null) {
         command += ` F${Math.round(feedRate)}`;
@@ -48,16 +78,17 @@ export function G0(X, Y, Z, feedRate = null) {
  * 
  * @param {number} X - Distance from top-left anchor (mm)
  * @param {number} Y - Distance from top-right anchor (mm)
- * @param {number} Z - Distance from bottom-center anchor (mm)
+ * @param {number|null} Z - Distance from bottom-center anchor (mm, null on two-cable)
  * @param {number} [feedRate] - Optional feed rate (mm/min)
+ * @param {number} [A] - Distance from bottom-right anchor (mm, four-cable only)
  * @returns {string} G-code command
  * 
  * @example
  * G1(1000, 1500, 800, 1500);
  * // Returns: "G1 X1000.00 Y1500.00 Z800.00 F1500"
  */
-export function G1(X, Y, Z, feedRate = null) {
-    let command = `G1 X${formatNumber(X)} Y${formatNumber(Y)} Z${formatNumber(Z)}`;
+export function G1(X, Y, Z, feedRate = null, A = null) {
+    let command = `${Commands.LINEAR_MOVE} ${formatAxes(X, Y, Z, A)}`;
     
     if (feedRate !== null) {
         command += ` F${Math.round(feedRate)}`;
@@ -77,7 +108,7 @@ export function G1(X, Y, Z, feedRate = null) {
  * // Returns: "M3 S255"
  */
 export function M3() {
-    return 'M3 S255';
+    return `${Commands.SPRAY_ON} S${SPRAY_ON_POWER}`;
 }
 
 /**
@@ -91,14 +122,16 @@ export function M3() {
  * // Returns: "M5"
  */
 export function M5() {
-    return 'M5';
+    return Commands.SPRAY_OFF;
 }
 
 /**
  * Build a M6 (tool/can change) command
- * Signals a tool change (paint can swap)
+ * Signals a tool change (paint can swap). When a color is given it is
+ * attached as a trailing comment so the simulator can track the active color.
  * 
  * @param {number} [toolNumber] - Optional tool number
+ * @param {Object|string} [color] - Optional can color {r, g, b} or hex string
  * @returns {string} G-code command
  * 
  * @example
@@ -107,20 +140,27 @@ export function M5() {
  * 
  * M6(2);
  * // Returns: "M6 T2"
+ * 
+ * M6(2, { r: 255, g: 0, b: 0 });
+ * // Returns: "M6 T2 ; COLOR:#FF0000"
  */
-export function M6(toolNumber = null) {
-    let command = 'M6';
+export function M6(toolNumber = null, color = null) {
+    let command = Commands.TOOL_CHANGE;
     
     if (toolNumber !== null) {
         command += ` T${Math.round(toolNumber)}`;
     }
     
+    if (color !== null) {
+        command += ` ; ${formatColorTag(color)}`;
+    }
+    
     return command;
 }
 
 /**
  * Build a G4 (dwell/pause) command
- * Pauses execution for a specified time
+ * Pauses execution for a specified time, to the hundredth of a second
  * 
  * @param {number} seconds - Time to pause in seconds
  * @returns {string} G-code command
@@ -128,9 +168,11 @@ export function M6(toolNumber = null) {
  * @example
  * G4(2.5);
  * // Returns: "G4 P2.5"
+ * G4(0.15);
+ * // Returns: "G4 P0.15"
  */
 export function G4(seconds) {
-    return `G4 P${formatNumber(seconds, 1)}`;
+    return `${Commands.DWELL} P${formatNumber(seconds, 2).replace(/(\.\d)0$/, '$1')}`;
 }
 
 /**
@@ -159,7 +201,7 @@ export function comment(text) {
  * // Returns: "G28"
  */
 export function G28() {
-    return 'G28';
+    return Commands.HOME;
 }
 
 /**
@@ -169,7 +211,7 @@ export function G28() {
  * @returns {string} G-code command
  */
 export function G21() {
-    return 'G21';
+    return Commands.UNITS_MM;
 }
 
 /**
@@ -179,7 +221,7 @@ export function G21() {
  * @returns {string} G-code command
  */
 export function G90() {
-    return 'G90';
+    return Commands.ABSOLUTE;
 }
 
 /**
@@ -189,7 +231,7 @@ export function G90() {
  * @returns {string} G-code command
  */
 export function G91() {
-    return 'G91';
+    return Commands.RELATIVE;
 }
 
 /**
@@ -199,7 +241,7 @@ export function G91() {
  * @returns {string} G-code command
  */
 export function M84() {
-    return 'M84';
+    return Commands.MOTORS_OFF;
 }
 
 /**
@@ -256,7 +298,7 @@ export function separator(label = null) {
  * 
  * @param {number} X - Distance from top-left anchor (mm)
  * @param {number} Y - Distance from top-right anchor (mm)
- * @param {number} Z - Distance from bottom-center anchor (mm)
+ * @param {number|null} Z - Distance from bottom-center anchor (mm, null on two-cable)
  * @param {boolean} painting - Whether spray is on
  * @param {number} feedRate - Feed rate (mm/min)
  * @returns {string} G-code command
@@ -267,13 +309,16 @@ export function move(X, Y, Z, painting, feedRate) {
 
 /**
  * Build a sequence of commands for a dot painting operation
- * Moves to position, sprays briefly, then stops
+ * Moves to position, sprays briefly, then stops. A planned dot size is
+ * tagged on the dwell line so the simulator can draw it.
  * 
  * @param {number} X - Distance from top-left anchor (mm)
  * @param {number} Y - Distance from top-right anchor (mm)
- * @param {number} Z - Distance from bottom-center anchor (mm)
+ * @param {number|null} Z - Distance from bottom-center anchor (mm, null on two-cable)
  * @param {number} dwellTime - Time to spray (seconds)
  * @param {number} moveSpeed - Movement speed (mm/min)
+ * @param {number} [A] - Distance from bottom-right anchor (mm, four-cable only)
+ * @param {number} [dotSize] - Planned dot diameter (mm)
  * @returns {string[]} Array of G-code commands
  * 
  * @example
@@ -285,11 +330,11 @@ export function move(X, Y, Z, painting, feedRate) {
  * //   "M5"
  * // ]
  */
-export function paintDot(X, Y, Z, dwellTime, moveSpeed) {
+export function paintDot(X, Y, Z, dwellTime, moveSpeed, A = null, dotSize = null) {
     return [
-        G0(X, Y, Z, moveSpeed),
+        G0(X, Y, Z, moveSpeed, A),
         M3(),
-        G4(dwellTime),
+        dotSize !== null ? `${G4(dwellTime)} ${comment(formatDotTag(dotSize))}` : G4(dwellTime),
         M5()
     ];
 }
@@ -298,17 +343,17 @@ export function paintDot(X, Y, Z, dwellTime, moveSpeed) {
  * Build a sequence of commands for a line painting operation
  * Moves to start, activates spray, moves to end, deactivates spray
  * 
- * @param {Object} start - Start position {X, Y, Z}
- * @param {Object} end - End position {X, Y, Z}
+ * @param {Object} start - Start position {X, Y, Z, A?}
+ * @param {Object} end - End position {X, Y, Z, A?}
  * @param {number} moveSpeed - Movement speed (mm/min)
  * @param {number} paintSpeed - Painting speed (mm/min)
  * @returns {string[]} Array of G-code commands
  */
 export function paintLine(start, end, moveSpeed, paintSpeed) {
     return [
-        G0(start.X, start.Y, start.Z, moveSpeed),
+        G0(start.X, start.Y, start.Z, moveSpeed, start.A),
         M3(),
-        G1(end.X, end.Y, end.Z, paintSpeed),
+        G1(end.X, end.Y, end.Z, paintSpeed, end.A),
         M5()
     ];
 }
@@ -319,19 +364,23 @@ export function paintLine(start, end, moveSpeed, paintSpeed) {
  * 
  * @param {number} X - X coordinate
  * @param {number} Y - Y coordinate
- * @param {number} Z - Z coordinate
+ * @param {number|null} Z - Z coordinate (null on two-cable machines)
+ * @param {number} [A] - Optional A coordinate (four-cable machines)
  * @throws {Error} If any coordinate is invalid
  */
-export function validateCoordinates(X, Y, Z) {
+export function validateCoordinates(X, Y, Z, A = null) {
     if (typeof X !== 'number' || isNaN(X)) {
         throw new Error(`Invalid X coordinate: ${X}`);
     }
     if (typeof Y !== 'number' || isNaN(Y)) {
         throw new Error(`Invalid Y coordinate: ${Y}`);
     }
-    if (typeof Z !== 'number' || isNaN(Z)) {
+    if (Z !== null && Z !== undefined && (typeof Z !== 'number' || isNaN(Z))) {
         throw new Error(`Invalid Z coordinate: ${Z}`);
     }
+    if (A !== null && (typeof A !== 'number' || isNaN(A))) {
+        throw new Error(`Invalid A coordinate: ${A}`);
+    }
 }
 
 export default {
@@ -0,0 +1,173 @@
+/**
+ * G-code Command Dictionary Module
+ * Single source of truth for the G-code dialect spoken by MuralBot.
+ * Used by the builder to emit commands and by the simulator to parse them,
+ * so every exported file can be replayed faithfully.
+ * @module gcode/gcodeCommands
+ */
+
+/**
+ * Command codes emitted by the generator
+ * @type {Object<string, string>}
+ */
+export const Commands = {
+    RAPID_MOVE: 'G0',
+    LINEAR_MOVE: 'G1',
+    DWELL: 'G4',
+    UNITS_MM: 'G21',
+    HOME: 'G28',
+    ABSOLUTE: 'G90',
+    RELATIVE: 'G91',
+    SPRAY_ON: 'M3',
+    SPRAY_OFF: 'M5',
+    TOOL_CHANGE: 'M6',
+    MOTORS_OFF: 'M84'
+};
+
+/**
+ * Actions a command code maps to when parsed
+ * @type {Object<string, string>}
+ */
+export const CommandAction = {
+    MOVE: 'MOVE',
+    SPRAY_ON: 'SPRAY_ON',
+    SPRAY_OFF: 'SPRAY_OFF',
+    TOOL_CHANGE: 'TOOL_CHANGE',
+    SET_COLOR: 'SET_COLOR',
+    DWELL: 'DWELL',
+    HOME: 'HOME',
+    SETUP: 'SETUP'
+};
+
+/**
+ * Spindle power sent with the spray-on command (full on)
+ * @type {number}
+ */
+export const SPRAY_ON_POWER = 255;
+
+/**
+ * Tag used to attach a hex color to a tool change line
+ * @type {string}
+ */
+export const COLOR_TAG = 'COLOR:';
+
+/**
+ * Tag used to attach the planned diameter (mm) to a dot's dwell line
+ * @type {string}
+ */
+export const DOT_TAG = 'DOT:';
+
+/**
+ * Lookup table from command code to action
+ * Includes the legacy M106/M107/M117 codes so older files still replay
+ * @type {Object<string, string>}
+ * @private
+ */
+const CODE_ACTIONS = {
+    [Commands.RAPID_MOVE]: CommandAction.MOVE,
+    [Commands.LINEAR_MOVE]: CommandAction.MOVE,
+    [Commands.DWELL]: CommandAction.DWELL,
+    [Commands.UNITS_MM]: CommandAction.SETUP,
+    [Commands.HOME]: CommandAction.HOME,
+    [Commands.ABSOLUTE]: CommandAction.SETUP,
+    [Commands.RELATIVE]: CommandAction.SETUP,
+    [Commands.SPRAY_ON]: CommandAction.SPRAY_ON,
+    [Commands.SPRAY_OFF]: CommandAction.SPRAY_OFF,
+    [Commands.TOOL_CHANGE]: CommandAction.TOOL_CHANGE,
+    [Commands.MOTORS_OFF]: CommandAction.SETUP,
+    M106: CommandAction.SPRAY_ON,
+    M107: CommandAction.SPRAY_OFF,
+    M117: CommandAction.SET_COLOR
+};
+
+/**
+ * Normalize a command code (uppercase, strip leading zeros)
+ *
+ * @param {string} code - Raw command code
+ * @returns {string} Normalized code
+ *
+ * @example
+ * normalizeCode('g01');
+ * // Returns: "G1"
+ */
+export function normalizeCode(code) {
+    const match = String(code).trim().toUpperCase().match(/^([GM])0*(\d+)$/);
+    return match ? `${match[1]}${match[2]}` : String(code).trim().toUpperCase();
+}
+
+/**
+ * Look up the action for a command code
+ *
+ * @param {string} code - Command code (e.g. 'M3', 'G0')
+ * @returns {string|null} CommandAction value, or null if unknown
+ *
+ * @example
+ * lookupAction('M3');
+ * // Returns: "SPRAY_ON"
+ */
+export function lookupAction(code) {
+    return CODE_ACTIONS[normalizeCode(code)] || null;
+}
+
+/**
+ * Format a color tag for a tool change line
+ *
+ * @param {Object|string} color - Color {r, g, b} or hex string
+ * @returns {string} Color tag (e.g. "COLOR:#FF0000")
+ */
+export function formatColorTag(color) {
+    if (typeof color === 'string') {
+        return `${COLOR_TAG}#${color.replace('#', '').toUpperCase()}`;
+    }
+    const hex = [color.r, color.g, color.b]
+        .map(channel => Math.max(0, Math.min(255, Math.round(channel))).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+    return `${COLOR_TAG}#${hex}`;
+}
+
+/**
+ * Extract a color tag from a G-code line
+ *
+ * @param {string} line - Full G-code line (including any comment)
+ * @returns {string|null} Hex color (e.g. "#FF0000") or null
+ */
+export function parseColorTag(line) {
+    const match = line.match(/COLOR:\s*#?([0-9A-Fa-f]{6})/);
+    return match ? `#${match[1].toUpperCase()}` : null;
+}
+
+/**
+ * Format a dot size tag for a dwell line
+ *
+ * @param {number} size - Dot diameter (mm)
+ * @returns {string} Dot tag (e.g. "DOT:3.25")
+ */
+export function formatDotTag(size) {
+    return `${DOT_TAG}${Number(size).toFixed(2)}`;
+}
+
+/**
+ * Extract a dot size tag from a G-code line
+ *
+ * @param {string} line - Full G-code line (including any comment)
+ * @returns {number|null} Dot diameter (mm) or null
+ */
+export function parseDotTag(line) {
+    const match = line.match(/DOT:\s*(\d+(?:\.\d+)?)/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+export default {
+    Commands,
+    CommandAction,
+    SPRAY_ON_POWER,
+    COLOR_TAG,
+    DOT_TAG,
+    normalizeCode,
+    lookupAction,
+    formatColorTag,
+    parseColorTag,
+    formatDotTag,
+    parseDotTag
+};
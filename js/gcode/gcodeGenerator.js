@@ -8,9 +8,27 @@ import eventBus, { Events } from '../core/eventBus.js';
 import * as builder from './gcodeBuilder.js';
 import * as transformer from './coordinateTransformer.js';
 import { RefillTracker } from './refillTracker.js';
+import {
+    WorkspaceMoveChecker,
+    WorkspacePolicy,
+    getWorkspaceOptions,
+    summarizeJobWorkspace,
+    describeWorkspaceReport
+} from './workspaceAnalyzer.js';
+import { getCompensationOptions, compensateLengths } from './cableCompensation.js';
 import { solveTSP } from '../algorithms/tspSolver.js';
 import { planHorizontalScanlines, optimizeScanlineOrder, planBidirectionalScanlines } from '../algorithms/scanlinePlanner.js';
+import { planHatching, MIN_LINE_SPACING } from '../algorithms/hatching.js';
+import { planConcentricFill } from '../algorithms/contourFill.js';
 import { traceEdges, optimizeContourOrder } from '../algorithms/edgeTracer.js';
+import { createDotSizer, DotSizing } from '../algorithms/halftone.js';
+import { placeDots, DotPlacement } from '../algorithms/dotPlacement.js';
+
+/**
+ * Number of lines collected before a chunk is handed to the stream consumer
+ * @type {number}
+ */
+export const CHUNK_LINES = 2000;
 
 /**
  * GCodeGenerator class
@@ -20,10 +38,13 @@ export class GCodeGenerator {
     constructor() {
         this._debug = false;
         this._currentPosition = null; // Track current position for path planning
+        this._compensation = null;    // Cable sag/stretch compensation options for the current job
     }
 
     /**
      * Generate complete G-code from processed image data
+     * Collects the output of stream() into one string; use stream() directly
+     * for jobs too large to hold in memory.
      * 
      * @param {Object} config - Configuration object
      * @param {Object} config.canvas - Canvas configuration
@@ -35,68 +56,86 @@ export class GCodeGenerator {
      * @returns {Promise<string>} Generated G-code
      */
     async generate(config, colorLayers = null, edgeMap = null) {
+        const lines = [];
+
+        for await (const chunk of this.stream(config, colorLayers, edgeMap)) {
+            for (const line of chunk) {
+                lines.push(line);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Generate G-code as a stream of line chunks
+     * Chunks hold one line per entry, about CHUNK_LINES at most, and are
+     * produced while the job is planned, so the program can be written to a
+     * file as it is generated.
+     * The workspace check runs on the chunks as they pass through.
+     * 
+     * @param {Object} config - Configuration object (see generate())
+     * @param {Array} [colorLayers] - Color layers for pointillism/strokes modes
+     * @param {ImageData} [edgeMap] - Edge map for spray/sketch mode
+     * @yields {string[]} G-code lines, in program order
+     * @throws {Error} If no image data is given, or the workspace policy blocks the job
+     * 
+     * @example
+     * for await (const lines of gcodeGenerator.stream(config, colorLayers)) {
+     *     parts.push(lines.join('\n') + '\n');
+     * }
+     */
+    async *stream(config, colorLayers = null, edgeMap = null) {
         try {
+            if (!(colorLayers && colorLayers.length > 0) && !edgeMap) {
+                throw new Error('No image data provided for G-code generation');
+            }
+
             // Emit start event
             eventBus.emit(Events.GCODE_GENERATION_STARTED, { config });
 
-            const lines = [];
-            
-            // Generate header
-            lines.push(...this.generateHeader(config));
-            lines.push('');
-
             // Initialize refill tracker
             const refillTracker = new RefillTracker();
             refillTracker.reset(config.robot.paintCapacity);
 
             // Create anchor configuration
-            const anchors = transformer.createAnchorConfig(config.canvas);
-            const canvasWidthMm = config.canvas.width * 10; // cm to mm
-            const canvasHeightMm = config.canvas.height * 10; // cm to mm
-
-            if (colorLayers && colorLayers.length > 0) {
-                // Generate G-code for color-based painting (pointillism/strokes)
-                const layerGcode = await this.generateColorLayersGcode(
-                    colorLayers,
-                    config,
-                    anchors,
-                    canvasWidthMm,
-                    canvasHeightMm,
-                    refillTracker
-                );
-                lines.push(...layerGcode);
-            } else if (edgeMap) {
-                // Generate G-code for edge-based painting (spray/sketch)
-                const edgeGcode = await this.generateEdgeMapGcode(
-                    edgeMap,
-                    config,
-                    anchors,
-                    canvasWidthMm,
-                    canvasHeightMm,
-                    refillTracker
-                );
-                lines.push(...edgeGcode);
-            } else {
-                throw new Error('No image data provided for G-code generation');
+            const anchors = transformer.createAnchorConfig(config.canvas, config.robot.kinematics);
+            this._compensation = getCompensationOptions(config.robot);
+
+            // Check every move against the safe workspace as it is produced
+            const policy = config.robot.workspacePolicy || WorkspacePolicy.WARN;
+            const checker = policy === WorkspacePolicy.OFF
+                ? null
+                : new WorkspaceMoveChecker(anchors, getWorkspaceOptions(config.robot), this._compensation);
+
+            let lineCount = 0;
+            for await (const section of this.generateSections(config, colorLayers, edgeMap, anchors, refillTracker)) {
+                if (section.length === 0) continue;
+
+                // Comment blocks arrive as one multi-line entry; consumers get one line per entry
+                const chunk = section.some(line => line.includes('\n'))
+                    ? section.flatMap(line => line.split('\n'))
+                    : section;
+
+                if (checker) {
+                    checker.addLines(chunk);
+                }
+                lineCount += chunk.length;
+                yield chunk;
             }
 
-            lines.push('');
-            
-            // Generate footer
-            lines.push(...this.generateFooter());
-
-            // Join all lines
-            const gcode = lines.join('\n');
+            // Check that the refill position and every move stay in the safe workspace
+            if (checker) {
+                this.checkWorkspace(checker.getReport(), config);
+            }
 
             // Emit complete event
             eventBus.emit(Events.GCODE_GENERATION_COMPLETE, {
                 success: true,
-                lineCount: lines.length,
+                lineCount,
                 refillCount: refillTracker.getRefillCount()
             });
 
-            return gcode;
-
         } catch (error) {
             console.error('[GCodeGenerator] Generation failed:', error);
             eventBus.emit(Events.ERROR_OCCURRED, {
@@ -107,6 +146,116 @@ export class GCodeGenerator {
         }
     }
 
+    /**
+     * Generate the program sections in order: header, painting, footer
+     * 
+     * @param {Object} config - Configuration object
+     * @param {Array|null} colorLayers - Color layers for pointillism/strokes modes
+     * @param {ImageData|null} edgeMap - Edge map for spray/sketch mode
+     * @param {Object} anchors - Anchor configuration
+     * @param {RefillTracker} refillTracker - Refill tracker instance
+     * @yields {string[]} G-code lines
+     */
+    async *generateSections(config, colorLayers, edgeMap, anchors, refillTracker) {
+        const canvasWidthMm = config.canvas.width * 10; // cm to mm
+        const canvasHeightMm = config.canvas.height * 10; // cm to mm
+
+        // Generate header
+        yield [...this.generateHeader(config), ''];
+
+        if (colorLayers && colorLayers.length > 0) {
+            // Generate G-code for color-based painting (pointillism/strokes)
+            yield* this.generateColorLayersGcode(
+                colorLayers,
+                config,
+                anchors,
+                canvasWidthMm,
+                canvasHeightMm,
+                refillTracker
+            );
+        } else {
+            // Generate G-code for edge-based painting (spray/sketch)
+            yield* this.generateEdgeMapGcode(
+                edgeMap,
+                config,
+                anchors,
+                canvasWidthMm,
+                canvasHeightMm,
+                refillTracker
+            );
+        }
+
+        // Generate footer
+        yield ['', ...this.generateFooter()];
+    }
+
+    /**
+     * Transform a Cartesian point to the cable lengths to emit
+     * Applies sag and stretch compensation when it is enabled for the job.
+     * 
+     * @param {number} x - Cartesian X coordinate (mm)
+     * @param {number} y - Cartesian Y coordinate (mm)
+     * @param {Object} anchors - Anchor configuration (with kinematics)
+     * @returns {Object} Cable lengths keyed by axis
+     */
+    toMachine(x, y, anchors) {
+        if (this._compensation) {
+            return compensateLengths(x, y, anchors, this._compensation);
+        }
+        return transformer.cartesianToMachine(x, y, anchors);
+    }
+
+    /**
+     * Generate the painted G1 moves for a straight Cartesian segment
+     * The segment is split into pieces of at most config.robot.maxSegmentLength
+     * so the cable-space interpolation of the controller stays on the line.
+     * 
+     * @param {{x: number, y: number}} from - Segment start (mm)
+     * @param {{x: number, y: number}} to - Segment end (mm)
+     * @param {Object} config - Configuration object
+     * @param {Object} anchors - Anchor configuration
+     * @returns {string[]} Array of G-code lines
+     */
+    generatePaintedMove(from, to, config, anchors) {
+        const paintSpeed = config.robot.paintSpeed;
+
+        return transformer.subdivideSegment(from, to, config.robot.maxSegmentLength).map(point => {
+            const coords = this.toMachine(point.x, point.y, anchors);
+            return builder.G1(coords.X, coords.Y, coords.Z, paintSpeed, coords.A);
+        });
+    }
+
+    /**
+     * Check the program against the reachable, tension-safe workspace
+     * Depending on config.robot.workspacePolicy this warns ('warn') or fails
+     * generation ('block'); the caller skips the check when it is 'off'.
+     * 
+     * @param {Object} moves - Move report from a WorkspaceMoveChecker
+     * @param {Object} config - Configuration object
+     * @returns {Object} Workspace report
+     * @throws {Error} If the policy is 'block' and the job leaves the safe workspace
+     */
+    checkWorkspace(moves, config) {
+        const policy = config.robot.workspacePolicy || WorkspacePolicy.WARN;
+        const report = summarizeJobWorkspace(moves, config);
+
+        if (!report.isSafe) {
+            const message = describeWorkspaceReport(report);
+
+            if (policy === WorkspacePolicy.BLOCK) {
+                throw new Error(message);
+            }
+
+            eventBus.emit(Events.WARNING_OCCURRED, {
+                context: 'workspace',
+                message,
+                report
+            });
+        }
+
+        return report;
+    }
+
     /**
      * Generate G-code header with initialization commands
      * 
@@ -121,6 +270,9 @@ export class GCodeGenerator {
             `Generated: ${timestamp}`,
             `Canvas: ${config.canvas.width}cm x ${config.canvas.height}cm`,
             `Painting Mode: ${config.paint.paintingMode}`,
+            `Kinematics: ${config.robot.kinematics || transformer.Kinematics.THREE_CABLE}`,
+            `Cable Compensation: ${config.robot.cableCompensation?.enabled ? 'sag + stretch' : 'off'}`,
+            `Max Segment Length: ${config.robot.maxSegmentLength > 0 ? `${config.robot.maxSegmentLength}mm` : 'off'}`,
             `Paint Capacity: ${config.robot.paintCapacity}ml`,
             `Move Speed: ${config.robot.moveSpeed}mm/min`,
             `Paint Speed: ${config.robot.paintSpeed}mm/min`
@@ -164,11 +316,9 @@ export class GCodeGenerator {
      * @param {number} canvasWidthMm - Canvas width in mm
      * @param {number} canvasHeightMm - Canvas height in mm
      * @param {RefillTracker} refillTracker - Refill tracker instance
-     * @returns {Promise<string[]>} Array of G-code lines
+     * @yields {string[]} G-code lines
      */
-    async generateColorLayersGcode(colorLayers, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
-        const lines = [];
-        const paintingMode = config.paint.paintingMode;
+    async *generateColorLayersGcode(colorLayers, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
 
         for (let i = 0; i < colorLayers.length; i++) {
             const layer = colorLayers[i];
@@ -182,7 +332,7 @@ export class GCodeGenerator {
             });
 
             // Generate layer G-code
-            const layerGcode = await this.generateLayerGcode(
+            yield* this.generateLayerGcode(
                 layer,
                 i,
                 config,
@@ -192,11 +342,8 @@ export class GCodeGenerator {
                 refillTracker
             );
 
-            lines.push(...layerGcode);
-            lines.push('');
+            yield [''];
         }
-
-        return lines;
     }
 
     /**
@@ -209,9 +356,9 @@ export class GCodeGenerator {
      * @param {number} canvasWidthMm - Canvas width in mm
      * @param {number} canvasHeightMm - Canvas height in mm
      * @param {RefillTracker} refillTracker - Refill tracker instance
-     * @returns {Promise<string[]>} Array of G-code lines
+     * @yields {string[]} G-code lines
      */
-    async generateLayerGcode(layer, layerIndex, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
+    async *generateLayerGcode(layer, layerIndex, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
         const lines = [];
         
         // DEBUG: Log what we receive
@@ -239,14 +386,18 @@ export class GCodeGenerator {
         lines.push(builder.comment(`Color: RGB(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)})`));
         lines.push(builder.comment(`Pixels: ${pixels.length}`));
         
-        // Tool/can change if not first layer
+        // Tool/can change if not first layer, otherwise just select the first can
+        const toolNumber = layerIndex + 1;
         if (layerIndex > 0) {
-            lines.push(...this.generateColorChangeSequence(config, anchors));
+            lines.push(...this.generateColorChangeSequence(config, anchors, toolNumber, color));
+        } else {
+            lines.push(builder.M6(toolNumber, color));
         }
+        yield lines;
 
         // Generate painting commands based on mode
         if (paintingMode === 'pointillism') {
-            lines.push(...await this.generatePointillismGcode(
+            yield* this.generatePointillismGcode(
                 pixels,
                 imageWidth,
                 imageHeight,
@@ -254,10 +405,11 @@ export class GCodeGenerator {
                 anchors,
                 canvasWidthMm,
                 canvasHeightMm,
-                refillTracker
-            ));
+                refillTracker,
+                layer
+            );
         } else if (paintingMode === 'strokes') {
-            lines.push(...await this.generateStrokesGcode(
+            yield* this.generateStrokesGcode(
                 pixels,
                 imageWidth,
                 imageHeight,
@@ -266,14 +418,39 @@ export class GCodeGenerator {
                 canvasWidthMm,
                 canvasHeightMm,
                 refillTracker
-            ));
+            );
+        } else if (paintingMode === 'hatching') {
+            yield* this.generateHatchingGcode(
+                pixels,
+                imageWidth,
+                imageHeight,
+                config,
+                anchors,
+                canvasWidthMm,
+                canvasHeightMm,
+                refillTracker,
+                color
+            );
+        } else if (paintingMode === 'concentric') {
+            yield* this.generateConcentricGcode(
+                pixels,
+                imageWidth,
+                imageHeight,
+                config,
+                anchors,
+                canvasWidthMm,
+                canvasHeightMm,
+                refillTracker
+            );
         }
-
-        return lines;
     }
 
     /**
      * Generate G-code for pointillism painting mode
+     * Dots are placed on a grid, a jittered grid or in blue noise
+     * (config.paint.pointillism.placement). Dot sizes and dwell times follow
+     * the tone of the layer around each dot (config.paint.pointillism.dotSizing);
+     * without the layer they are random.
      * 
      * @param {Array} pixels - Array of pixel coordinates [{x, y}]
      * @param {number} imageWidth - Image width in pixels
@@ -283,23 +460,42 @@ export class GCodeGenerator {
      * @param {number} canvasWidthMm - Canvas width in mm
      * @param {number} canvasHeightMm - Canvas height in mm
      * @param {RefillTracker} refillTracker - Refill tracker instance
-     * @returns {Promise<string[]>} Array of G-code lines
+     * @param {Object} [layer] - Color layer {color, imageData} the pixels came from
+     * @yields {string[]} G-code lines
      */
-    async generatePointillismGcode(pixels, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
+    async *generatePointillismGcode(pixels, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker, layer = null) {
         const lines = [];
-        const { minDotSize, maxDotSize, dotDensity } = config.paint.pointillism;
+        const pointillism = config.paint.pointillism;
+        const { minDotSize, maxDotSize, dotDensity } = pointillism;
+        const placement = pointillism.placement || DotPlacement.GRID;
         const moveSpeed = config.robot.moveSpeed;
-        const dwellTime = 0.1; // 100ms spray time per dot
 
         console.log(`🔍 [GCodeGenerator] Pointillism mode - original pixels: ${pixels.length}`);
         
-        // Downsample pixels based on dot density to prevent stack overflow
-        // dotDensity is a percentage (0-100), we use it to calculate grid spacing
-        const sampledPixels = this._downsamplePixels(pixels, imageWidth, imageHeight, dotDensity);
+        // Pick dot positions based on dot density to prevent stack overflow
+        // dotDensity is a percentage (0-100), we use it to calculate grid spacing.
+        // Blue-noise dots also keep an average dot diameter apart so they do not merge.
+        const pixelsPerMm = Math.max(imageWidth / canvasWidthMm, imageHeight / canvasHeightMm);
+        const sampledPixels = placeDots(
+            pixels,
+            placement,
+            this._gridSpacing(dotDensity),
+            ((minDotSize + maxDotSize) / 2) * pixelsPerMm
+        );
+        
+        console.log(`✅ [GCodeGenerator] Placed ${sampledPixels.length} dots by ${placement} (density: ${dotDensity}%)`);
         
-        console.log(`✅ [GCodeGenerator] Downsampled to ${sampledPixels.length} dots (density: ${dotDensity}%)`);
+        // Size each dot from the tone of the layer around it
+        const sizing = layer ? pointillism.dotSizing || DotSizing.LUMINANCE : DotSizing.RANDOM;
+        const sizeDot = createDotSizer(
+            layer ? layer.imageData : null,
+            layer ? layer.color : null,
+            { ...pointillism, dotSizing: sizing },
+            this._gridSpacing(dotDensity)
+        );
         
         lines.push(builder.comment(`Painting ${sampledPixels.length} dots (${dotDensity}% density)`));
+        lines.push(builder.comment(`Dot size: ${minDotSize}-${maxDotSize}mm by ${sizing}, placement: ${placement}`));
 
         // SAFETY: Skip TSP for very large sets (>10000 pixels)
         if (sampledPixels.length > 10000) {
@@ -309,7 +505,10 @@ export class GCodeGenerator {
             // Paint in simple grid order
             for (let i = 0; i < sampledPixels.length; i++) {
                 const pixel = sampledPixels[i];
-                await this._paintSingleDot(pixel, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker, minDotSize, maxDotSize, moveSpeed, dwellTime, lines);
+                await this._paintSingleDot(pixel, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker, sizeDot, moveSpeed, lines);
+                if (lines.length >= CHUNK_LINES) {
+                    yield lines.splice(0);
+                }
                 
                 if (i % 100 === 0) {
                     eventBus.emit('GCODE_GENERATION_PROGRESS', {
@@ -319,17 +518,18 @@ export class GCodeGenerator {
                 }
             }
             
-            return lines;
+            yield lines;
+            return;
         }
 
         // Determine starting point for TSP
         let startIndex = 0;
-        if (this._currentPosition && pixels.length > 0) {
-            // Find closest pixel to current position
+        if (this._currentPosition && sampledPixels.length > 0) {
+            // Find closest dot to current position
             let minDist = Infinity;
-            for (let i = 0; i < pixels.length; i++) {
-                const dx = pixels[i].x - this._currentPosition.x;
-                const dy = pixels[i].y - this._currentPosition.y;
+            for (let i = 0; i < sampledPixels.length; i++) {
+                const dx = sampledPixels[i].x - this._currentPosition.x;
+                const dy = sampledPixels[i].y - this._currentPosition.y;
                 const dist = Math.sqrt(dx * dx + dy * dy);
                 if (dist < minDist) {
                     minDist = dist;
@@ -351,7 +551,10 @@ export class GCodeGenerator {
             const pixelIndex = tour[i];
             const pixel = sampledPixels[pixelIndex];
             
-            await this._paintSingleDot(pixel, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker, minDotSize, maxDotSize, moveSpeed, dwellTime, lines);
+            await this._paintSingleDot(pixel, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker, sizeDot, moveSpeed, lines);
+            if (lines.length >= CHUNK_LINES) {
+                yield lines.splice(0);
+            }
 
             // Emit progress periodically
             if (i % 100 === 0) {
@@ -362,7 +565,7 @@ export class GCodeGenerator {
             }
         }
 
-        return lines;
+        yield lines;
     }
 
     /**
@@ -376,31 +579,17 @@ export class GCodeGenerator {
      * @param {number} canvasWidthMm - Canvas width in mm
      * @param {number} canvasHeightMm - Canvas height in mm
      * @param {RefillTracker} refillTracker - Refill tracker instance
-     * @returns {Promise<string[]>} Array of G-code lines
+     * @yields {string[]} G-code lines
      */
-    async generateStrokesGcode(pixels, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
+    async *generateStrokesGcode(pixels, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
         const lines = [];
         const { strokeLength, strokeWidth } = config.paint.strokes;
         const moveSpeed = config.robot.moveSpeed;
-        const paintSpeed = config.robot.paintSpeed;
 
         lines.push(builder.comment(`Painting strokes for ${pixels.length} pixels`));
 
         // Create image data structure for scanline planning
-        const imageData = {
-            data: new Uint8ClampedArray(imageWidth * imageHeight * 4),
-            width: imageWidth,
-            height: imageHeight
-        };
-
-        // Mark pixels in image data (white = paint, black = skip)
-        for (const pixel of pixels) {
-            const idx = (pixel.y * imageWidth + pixel.x) * 4;
-            imageData.data[idx] = 255;     // R
-            imageData.data[idx + 1] = 255; // G
-            imageData.data[idx + 2] = 255; // B
-            imageData.data[idx + 3] = 255; // A
-        }
+        const imageData = this._createPixelMask(pixels, imageWidth, imageHeight);
 
         // Plan scanline paths using bidirectional scanning for efficiency
         lines.push(builder.comment('Planning scanline paths...'));
@@ -436,12 +625,9 @@ export class GCodeGenerator {
             );
 
             // Transform to trilateration
-            const coordsStart = transformer.cartesianToTrilateration(
+            const coordsStart = this.toMachine(
                 physicalStart.x, physicalStart.y, anchors
             );
-            const coordsEnd = transformer.cartesianToTrilateration(
-                physicalEnd.x, physicalEnd.y, anchors
-            );
 
             // Track paint usage
             const needsRefill = refillTracker.addLineUsage(segment.length, strokeWidth);
@@ -453,13 +639,16 @@ export class GCodeGenerator {
             }
 
             // Paint stroke segment
-            lines.push(builder.G0(coordsStart.X, coordsStart.Y, coordsStart.Z, moveSpeed));
+            lines.push(builder.G0(coordsStart.X, coordsStart.Y, coordsStart.Z, moveSpeed, coordsStart.A));
             lines.push(builder.M3()); // Start paint
-            lines.push(builder.G1(coordsEnd.X, coordsEnd.Y, coordsEnd.Z, paintSpeed));
+            lines.push(...this.generatePaintedMove(physicalStart, physicalEnd, config, anchors));
             lines.push(builder.M5()); // Stop paint
 
             // Update current position
             this._currentPosition = { x: endX, y: endY };
+            if (lines.length >= CHUNK_LINES) {
+                yield lines.splice(0);
+            }
 
             // Emit progress periodically
             if (i % 50 === 0) {
@@ -470,7 +659,180 @@ export class GCodeGenerator {
             }
         }
 
-        return lines;
+        yield lines;
+    }
+
+    /**
+     * Generate G-code for hatching painting mode
+     * Parallel lines at config.paint.hatching.angle, denser where the layer
+     * is darker, plus a crossing pass for the darkest tones.
+     * 
+     * @param {Array} pixels - Array of pixel coordinates [{x, y}]
+     * @param {number} imageWidth - Image width in pixels
+     * @param {number} imageHeight - Image height in pixels
+     * @param {Object} config - Configuration object
+     * @param {Object} anchors - Anchor configuration
+     * @param {number} canvasWidthMm - Canvas width in mm
+     * @param {number} canvasHeightMm - Canvas height in mm
+     * @param {RefillTracker} refillTracker - Refill tracker instance
+     * @param {Object} color - Layer color {r, g, b}
+     * @yields {string[]} G-code lines
+     */
+    async *generateHatchingGcode(pixels, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker, color) {
+        const lines = [];
+        const hatching = config.paint.hatching;
+        const lineWidth = config.nozzle.size;
+        const moveSpeed = config.robot.moveSpeed;
+        const pixelsPerMm = Math.max(imageWidth / canvasWidthMm, imageHeight / canvasHeightMm);
+
+        lines.push(builder.comment(`Hatching ${pixels.length} pixels at ${hatching.angle}° every ${hatching.minSpacing}-${hatching.maxSpacing}mm`));
+        if (hatching.crossHatch) {
+            lines.push(builder.comment(`Cross-hatching at ${hatching.angle + hatching.crossAngle}° from ${hatching.crossThreshold}% tone`));
+        }
+
+        // Lines closer than half an image pixel cannot be told apart
+        if (Math.min(hatching.minSpacing, hatching.maxSpacing) * pixelsPerMm < MIN_LINE_SPACING) {
+            lines.push(builder.comment(`Line spacing raised to half an image pixel (${(MIN_LINE_SPACING / pixelsPerMm).toFixed(2)}mm)`));
+        }
+
+        // Plan hatch lines on the layer mask
+        lines.push(builder.comment('Planning hatch lines...'));
+        const segments = planHatching(this._createPixelMask(pixels, imageWidth, imageHeight), color, {
+            angle: hatching.angle,
+            minSpacing: hatching.minSpacing * pixelsPerMm,
+            maxSpacing: hatching.maxSpacing * pixelsPerMm,
+            crossHatch: hatching.crossHatch,
+            crossAngle: hatching.crossAngle,
+            crossThreshold: hatching.crossThreshold / 100
+        });
+        const crossCount = segments.filter(segment => segment.pass === 2).length;
+        lines.push(builder.comment(`Found ${segments.length - crossCount} hatch and ${crossCount} cross-hatch lines`));
+
+        // Optimize line order to minimize travel
+        const startPos = this._currentPosition || { x: 0, y: 0 };
+        const orderedSegments = optimizeScanlineOrder(segments, startPos);
+
+        for (let i = 0; i < orderedSegments.length; i++) {
+            const segment = orderedSegments[i];
+            const start = segment.reversed ? { x: segment.endX, y: segment.endY } : { x: segment.startX, y: segment.startY };
+            const end = segment.reversed ? { x: segment.startX, y: segment.startY } : { x: segment.endX, y: segment.endY };
+
+            const physicalStart = transformer.scaleToPhysical(start.x, start.y, imageWidth, imageHeight, canvasWidthMm, canvasHeightMm);
+            const physicalEnd = transformer.scaleToPhysical(end.x, end.y, imageWidth, imageHeight, canvasWidthMm, canvasHeightMm);
+            const coordsStart = this.toMachine(physicalStart.x, physicalStart.y, anchors);
+
+            // Track paint usage (a single-pixel line still sprays one nozzle width)
+            const lengthMm = Math.max(lineWidth, Math.hypot(physicalEnd.x - physicalStart.x, physicalEnd.y - physicalStart.y));
+            if (refillTracker.addLineUsage(lengthMm, lineWidth)) {
+                lines.push(builder.comment('Paint low - refill needed'));
+                lines.push(...this.generateRefillSequence(coordsStart, config, anchors));
+                refillTracker.refill();
+            }
+
+            // Paint hatch line
+            lines.push(builder.G0(coordsStart.X, coordsStart.Y, coordsStart.Z, moveSpeed, coordsStart.A));
+            lines.push(builder.M3());
+            lines.push(...this.generatePaintedMove(physicalStart, physicalEnd, config, anchors));
+            lines.push(builder.M5());
+
+            this._currentPosition = end;
+            if (lines.length >= CHUNK_LINES) {
+                yield lines.splice(0);
+            }
+
+            if (i % 50 === 0) {
+                eventBus.emit('GCODE_GENERATION_PROGRESS', {
+                    progress: (i / orderedSegments.length) * 100,
+                    message: `Painting hatch line ${i + 1}/${orderedSegments.length}`
+                });
+            }
+        }
+
+        yield lines;
+    }
+
+    /**
+     * Generate G-code for concentric (contour-offset) painting mode
+     * Each region is painted along its outline, then along offsets of it
+     * spaced one nozzle width (less the overlap) inward.
+     * 
+     * @param {Array} pixels - Array of pixel coordinates [{x, y}]
+     * @param {number} imageWidth - Image width in pixels
+     * @param {number} imageHeight - Image height in pixels
+     * @param {Object} config - Configuration object
+     * @param {Object} anchors - Anchor configuration
+     * @param {number} canvasWidthMm - Canvas width in mm
+     * @param {number} canvasHeightMm - Canvas height in mm
+     * @param {RefillTracker} refillTracker - Refill tracker instance
+     * @yields {string[]} G-code lines
+     */
+    async *generateConcentricGcode(pixels, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
+        const lines = [];
+        const { overlap, maxRings } = config.paint.concentric;
+        const lineWidth = config.nozzle.size;
+        const moveSpeed = config.robot.moveSpeed;
+        const pixelsPerMm = Math.max(imageWidth / canvasWidthMm, imageHeight / canvasHeightMm);
+        const spacingMm = lineWidth * (1 - overlap / 100);
+
+        lines.push(builder.comment(`Concentric fill of ${pixels.length} pixels every ${spacingMm.toFixed(2)}mm`));
+
+        // Offsets closer than one image pixel cannot be told apart
+        if (spacingMm * pixelsPerMm < 1) {
+            lines.push(builder.comment(`Path spacing raised to one image pixel (${(1 / pixelsPerMm).toFixed(2)}mm)`));
+        }
+
+        lines.push(builder.comment('Planning contour offsets...'));
+        const paths = planConcentricFill(this._createPixelMask(pixels, imageWidth, imageHeight), spacingMm * pixelsPerMm, {
+            inset: (lineWidth / 2) * pixelsPerMm,
+            maxRings
+        });
+        const rings = paths.reduce((most, path) => Math.max(most, path.ring + 1), 0);
+        lines.push(builder.comment(`Found ${paths.length} paths in ${rings} rings`));
+
+        // Optimize path order to minimize travel
+        const startPos = this._currentPosition || { x: 0, y: 0 };
+        const orderedPaths = optimizeContourOrder(paths.map(path => path.points), startPos);
+
+        for (let i = 0; i < orderedPaths.length; i++) {
+            const physicalPoints = orderedPaths[i].points.map(point => transformer.scaleToPhysical(
+                point.x, point.y, imageWidth, imageHeight, canvasWidthMm, canvasHeightMm
+            ));
+            const coordsStart = this.toMachine(physicalPoints[0].x, physicalPoints[0].y, anchors);
+
+            // Track paint usage before the path so a refill never splits it
+            let lengthMm = 0;
+            for (let j = 1; j < physicalPoints.length; j++) {
+                lengthMm += Math.hypot(physicalPoints[j].x - physicalPoints[j - 1].x, physicalPoints[j].y - physicalPoints[j - 1].y);
+            }
+            if (refillTracker.addLineUsage(Math.max(lineWidth, lengthMm), lineWidth)) {
+                lines.push(builder.comment('Paint low - refill needed'));
+                lines.push(...this.generateRefillSequence(coordsStart, config, anchors));
+                refillTracker.refill();
+            }
+
+            // Paint the path in one continuous spray
+            lines.push(builder.G0(coordsStart.X, coordsStart.Y, coordsStart.Z, moveSpeed, coordsStart.A));
+            lines.push(builder.M3());
+            for (let j = 1; j < physicalPoints.length; j++) {
+                lines.push(...this.generatePaintedMove(physicalPoints[j - 1], physicalPoints[j], config, anchors));
+            }
+            lines.push(builder.M5());
+
+            const last = orderedPaths[i].points[orderedPaths[i].points.length - 1];
+            this._currentPosition = { x: last.x, y: last.y };
+            if (lines.length >= CHUNK_LINES) {
+                yield lines.splice(0);
+            }
+
+            if (i % 50 === 0) {
+                eventBus.emit('GCODE_GENERATION_PROGRESS', {
+                    progress: (i / orderedPaths.length) * 100,
+                    message: `Painting contour ${i + 1}/${orderedPaths.length}`
+                });
+            }
+        }
+
+        yield lines;
     }
 
     /**
@@ -482,12 +844,11 @@ export class GCodeGenerator {
      * @param {number} canvasWidthMm - Canvas width in mm
      * @param {number} canvasHeightMm - Canvas height in mm
      * @param {RefillTracker} refillTracker - Refill tracker instance
-     * @returns {Promise<string[]>} Array of G-code lines
+     * @yields {string[]} G-code lines
      */
-    async generateEdgeMapGcode(edgeMap, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
+    async *generateEdgeMapGcode(edgeMap, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker) {
         const lines = [];
         const moveSpeed = config.robot.moveSpeed;
-        const paintSpeed = config.robot.paintSpeed;
 
         lines.push(builder.separator('EDGE TRACING'));
         lines.push(builder.comment(`Image: ${edgeMap.width}x${edgeMap.height}`));
@@ -503,7 +864,8 @@ export class GCodeGenerator {
 
         if (polylines.length === 0) {
             lines.push(builder.comment('No edges found to trace'));
-            return lines;
+            yield lines;
+            return;
         }
 
         // Determine starting position
@@ -529,14 +891,15 @@ export class GCodeGenerator {
                 edgeMap.width, edgeMap.height,
                 canvasWidthMm, canvasHeightMm
             );
-            const coordsStart = transformer.cartesianToTrilateration(
+            const coordsStart = this.toMachine(
                 physicalStart.x, physicalStart.y, anchors
             );
 
-            lines.push(builder.G0(coordsStart.X, coordsStart.Y, coordsStart.Z, moveSpeed));
+            lines.push(builder.G0(coordsStart.X, coordsStart.Y, coordsStart.Z, moveSpeed, coordsStart.A));
             lines.push(builder.M3()); // Start paint
 
             // Draw the polyline
+            let previous = physicalStart;
             for (let j = 1; j < points.length; j++) {
                 const point = points[j];
                 const physical = transformer.scaleToPhysical(
@@ -544,11 +907,9 @@ export class GCodeGenerator {
                     edgeMap.width, edgeMap.height,
                     canvasWidthMm, canvasHeightMm
                 );
-                const coords = transformer.cartesianToTrilateration(
-                    physical.x, physical.y, anchors
-                );
 
-                lines.push(builder.G1(coords.X, coords.Y, coords.Z, paintSpeed));
+                lines.push(...this.generatePaintedMove(previous, physical, config, anchors));
+                previous = physical;
 
                 // Update current position
                 this._currentPosition = { x: point.x, y: point.y };
@@ -574,7 +935,7 @@ export class GCodeGenerator {
                     edgeMap.width, edgeMap.height,
                     canvasWidthMm, canvasHeightMm
                 );
-                const coords = transformer.cartesianToTrilateration(
+                const coords = this.toMachine(
                     physical.x, physical.y, anchors
                 );
 
@@ -582,6 +943,9 @@ export class GCodeGenerator {
                 lines.push(...this.generateRefillSequence(coords, config, anchors));
                 refillTracker.refill();
             }
+            if (lines.length >= CHUNK_LINES) {
+                yield lines.splice(0);
+            }
 
             // Emit progress periodically
             if (i % 10 === 0) {
@@ -592,7 +956,7 @@ export class GCodeGenerator {
             }
         }
 
-        return lines;
+        yield lines;
     }
 
     /**
@@ -616,7 +980,7 @@ export class GCodeGenerator {
         };
 
         // Transform refill position to trilateration
-        const refillCoords = transformer.cartesianToTrilateration(
+        const refillCoords = this.toMachine(
             refillPosMm.x,
             refillPosMm.y,
             anchors
@@ -624,11 +988,11 @@ export class GCodeGenerator {
 
         lines.push(builder.separator('REFILL SEQUENCE'));
         lines.push(builder.comment('Moving to refill position'));
-        lines.push(builder.G0(refillCoords.X, refillCoords.Y, refillCoords.Z, moveSpeed));
+        lines.push(builder.G0(refillCoords.X, refillCoords.Y, refillCoords.Z, moveSpeed, refillCoords.A));
         lines.push(builder.comment('Waiting for refill (30 seconds)'));
         lines.push(builder.G4(30));
         lines.push(builder.comment('Returning to painting'));
-        lines.push(builder.G0(currentPos.X, currentPos.Y, currentPos.Z, moveSpeed));
+        lines.push(builder.G0(currentPos.X, currentPos.Y, currentPos.Z, moveSpeed, currentPos.A));
 
         return lines;
     }
@@ -639,9 +1003,11 @@ export class GCodeGenerator {
      * 
      * @param {Object} config - Configuration object
      * @param {Object} anchors - Anchor configuration
+     * @param {number} [toolNumber] - Tool number of the new can (1-based)
+     * @param {Object} [color] - Color of the new can {r, g, b}
      * @returns {string[]} Array of G-code lines
      */
-    generateColorChangeSequence(config, anchors) {
+    generateColorChangeSequence(config, anchors, toolNumber = null, color = null) {
         const lines = [];
         const moveSpeed = config.robot.moveSpeed;
 
@@ -652,16 +1018,16 @@ export class GCodeGenerator {
             y: refillPosition.y * 10
         };
 
-        const changeCoords = transformer.cartesianToTrilateration(
+        const changeCoords = this.toMachine(
             changePosMm.x,
             changePosMm.y,
             anchors
         );
 
         lines.push(builder.separator('COLOR CHANGE'));
-        lines.push(builder.M6());
+        lines.push(builder.M6(toolNumber, color));
         lines.push(builder.comment('Moving to change position'));
-        lines.push(builder.G0(changeCoords.X, changeCoords.Y, changeCoords.Z, moveSpeed));
+        lines.push(builder.G0(changeCoords.X, changeCoords.Y, changeCoords.Z, moveSpeed, changeCoords.A));
         lines.push(builder.comment('Waiting for can change (60 seconds)'));
         lines.push(builder.G4(60));
         lines.push(builder.comment('Ready to continue'));
@@ -699,43 +1065,48 @@ export class GCodeGenerator {
     }
 
     /**
-     * Downsample pixels using grid-based sampling
+     * Build a mask image of layer pixels for scanline planning
      * @private
-     * @param {Array} pixels - Array of pixel coordinates
+     * @param {Array} pixels - Array of pixel coordinates [{x, y}]
      * @param {number} imageWidth - Image width
      * @param {number} imageHeight - Image height
-     * @param {number} density - Density percentage (0-100)
-     * @returns {Array} Downsampled pixel array
+     * @returns {{data: Uint8ClampedArray, width: number, height: number}} Mask (white = paint, black = skip)
      */
-    _downsamplePixels(pixels, imageWidth, imageHeight, density) {
-        // Calculate grid spacing based on density
-        // density 100% = every 1 pixel, 50% = every 2 pixels, 25% = every 4 pixels, etc.
-        const spacing = Math.max(1, Math.floor(Math.sqrt(10000 / density)));
-        
-        console.log(`🔍 [GCodeGenerator] Downsampling with grid spacing: ${spacing}`);
-        
-        // Create a 2D grid to track which cells have pixels
-        const grid = new Map();
-        
+    _createPixelMask(pixels, imageWidth, imageHeight) {
+        const mask = {
+            data: new Uint8ClampedArray(imageWidth * imageHeight * 4),
+            width: imageWidth,
+            height: imageHeight
+        };
+
         for (const pixel of pixels) {
-            const gridX = Math.floor(pixel.x / spacing);
-            const gridY = Math.floor(pixel.y / spacing);
-            const key = `${gridX},${gridY}`;
-            
-            // Keep first pixel in each grid cell
-            if (!grid.has(key)) {
-                grid.set(key, pixel);
-            }
+            const idx = (pixel.y * imageWidth + pixel.x) * 4;
+            mask.data[idx] = 255;     // R
+            mask.data[idx + 1] = 255; // G
+            mask.data[idx + 2] = 255; // B
+            mask.data[idx + 3] = 255; // A
         }
-        
-        return Array.from(grid.values());
+
+        return mask;
+    }
+
+    /**
+     * Get the grid spacing between dots for a dot density
+     * density 100% = every 1 pixel, 50% = every 2 pixels, 25% = every 4 pixels, etc.
+     * @private
+     * @param {number} density - Density percentage (0-100)
+     * @returns {number} Spacing in pixels
+     */
+    _gridSpacing(density) {
+        return Math.max(1, Math.floor(Math.sqrt(10000 / density)));
     }
 
     /**
      * Paint a single dot
      * @private
+     * @param {Function} sizeDot - Returns {size, dwell} for a pixel, see createDotSizer()
      */
-    async _paintSingleDot(pixel, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker, minDotSize, maxDotSize, moveSpeed, dwellTime, lines) {
+    async _paintSingleDot(pixel, imageWidth, imageHeight, config, anchors, canvasWidthMm, canvasHeightMm, refillTracker, sizeDot, moveSpeed, lines) {
         // Scale pixel to physical coordinates
         const physical = transformer.scaleToPhysical(
             pixel.x,
@@ -746,15 +1117,15 @@ export class GCodeGenerator {
             canvasHeightMm
         );
 
-        // Transform to trilateration coordinates
-        const coords = transformer.cartesianToTrilateration(
+        // Transform to machine (cable length) coordinates
+        const coords = this.toMachine(
             physical.x,
             physical.y,
             anchors
         );
 
-        // Calculate dot size (random between min and max)
-        const dotSize = minDotSize + Math.random() * (maxDotSize - minDotSize);
+        // Dot size and dwell from the local tone
+        const { size: dotSize, dwell } = sizeDot(pixel);
 
         // Add paint usage
         const needsRefill = refillTracker.addDotUsage(dotSize);
@@ -767,7 +1138,7 @@ export class GCodeGenerator {
         }
 
         // Generate dot painting commands
-        lines.push(...builder.paintDot(coords.X, coords.Y, coords.Z, dwellTime, moveSpeed));
+        lines.push(...builder.paintDot(coords.X, coords.Y, coords.Z, dwell, moveSpeed, coords.A, dotSize));
 
         // Update current position
         this._currentPosition = { x: pixel.x, y: pixel.y };
@@ -0,0 +1,494 @@
+/**
+ * Job Resume Module
+ * Builds a restart program for a job that stopped part way (power cut,
+ * clogged nozzle). The original program is replayed up to the resume point
+ * to rebuild the machine state - active can, spray state, last position and
+ * the paint left in the can - then a safe re-entry preamble is emitted and
+ * the rest of the program follows unchanged.
+ * @module gcode/jobResume
+ */
+
+import * as builder from './gcodeBuilder.js';
+import { CommandAction, lookupAction, parseColorTag } from './gcodeCommands.js';
+import { createAnchorConfig, cartesianToMachine, machineToCartesian } from './coordinateTransformer.js';
+import { getCompensationOptions, compensateLengths } from './cableCompensation.js';
+import { RefillTracker } from './refillTracker.js';
+import { calculateStepDistance } from '../estimation/distanceCalculator.js';
+import { calculateMoveTime } from '../estimation/timeCalculator.js';
+
+/**
+ * Layer markers written by the generator
+ * Edge-map programs have a single EDGE TRACING section, counted as layer 1.
+ * @type {RegExp}
+ * @private
+ */
+const LAYER_MARKER = /^; === (?:COLOR LAYER (\d+)|EDGE TRACING) ===/;
+
+/**
+ * Refill marker written by the generator's refill sequence
+ * @type {string}
+ * @private
+ */
+const REFILL_MARKER = '; === REFILL SEQUENCE ===';
+
+/**
+ * Seconds to wait at the change position so the can can be checked
+ * @type {number}
+ * @private
+ */
+const CAN_CHECK_DWELL = 60;
+
+/**
+ * Get the layer number a marker line starts
+ *
+ * @param {string} line - G-code line
+ * @returns {number|null} 1-based layer number, or null if the line is not a layer marker
+ *
+ * @example
+ * getLayerNumber('; === COLOR LAYER 3 ===');
+ * // Returns: 3
+ */
+export function getLayerNumber(line) {
+    const match = line.trim().match(LAYER_MARKER);
+    if (!match) return null;
+    return match[1] ? parseInt(match[1], 10) : 1;
+}
+
+/**
+ * ProgramStateTracker class
+ * Follows the machine state line by line through a generated program.
+ * An operation is one spray-on/spray-off cycle (a dot or a stroke); a new
+ * can (M6) is assumed to be full. Elapsed time counts moves and dwells the
+ * way the job estimator does.
+ */
+export class ProgramStateTracker {
+    /**
+     * Create a new ProgramStateTracker
+     * @param {Object} config - Configuration object (state.getState())
+     */
+    constructor(config) {
+        this._config = config;
+        this._anchors = createAnchorConfig(config.canvas, config.robot.kinematics);
+        this._refillTracker = new RefillTracker();
+        this._refillTracker.reset(config.robot.paintCapacity);
+
+        const { minDotSize = 3, maxDotSize = 3 } = config.paint.pointillism || {};
+        this._dotSize = (minDotSize + maxDotSize) / 2;
+        if (config.paint.paintingMode === 'strokes') {
+            this._lineWidth = config.paint.strokes?.strokeWidth || 2;
+        } else if (config.paint.paintingMode === 'hatching' || config.paint.paintingMode === 'concentric') {
+            this._lineWidth = config.nozzle?.size || 1;
+        } else {
+            this._lineWidth = 1;
+        }
+
+        this._lineCount = 0;
+        this._layer = 0;
+        this._completedOperations = 0;
+        this._tool = null;
+        this._color = null;
+        this._position = null;
+        this._cartesian = null;
+        this._feedRate = null;
+        this._elapsed = 0;
+        this._cans = 0;
+        this._sprayOn = false;
+        this._paintedDistance = 0;
+        this._lastWasSprayOff = false;
+    }
+
+    /**
+     * Update the state with the next program line
+     * @param {string} line - G-code line
+     */
+    addLine(line) {
+        const trimmed = line.trim();
+        this._lineCount++;
+        this._lastWasSprayOff = false;
+
+        if (!trimmed || trimmed.startsWith(';')) {
+            const layer = getLayerNumber(trimmed);
+            if (layer !== null) {
+                this._layer = layer;
+                this._completedOperations = 0;
+            } else if (trimmed === REFILL_MARKER) {
+                this._refillTracker.refill();
+                this._cans++;
+            }
+            return;
+        }
+
+        const codeOnly = trimmed.split(';')[0].trim();
+        const [code, ...words] = codeOnly.split(/\s+/);
+        const params = {};
+        for (const word of words) {
+            params[word[0].toUpperCase()] = parseFloat(word.slice(1));
+        }
+
+        switch (lookupAction(code)) {
+            case CommandAction.MOVE:
+                this._move(params);
+                break;
+            case CommandAction.SPRAY_ON:
+                this._sprayOn = true;
+                this._paintedDistance = 0;
+                break;
+            case CommandAction.SPRAY_OFF:
+                if (this._sprayOn) {
+                    this._completeOperation();
+                }
+                this._sprayOn = false;
+                this._lastWasSprayOff = true;
+                break;
+            case CommandAction.TOOL_CHANGE:
+                this._tool = Number.isFinite(params.T) ? params.T : this._tool;
+                this._color = parseColorTag(trimmed) || this._color;
+                this._refillTracker.reset(this._config.robot.paintCapacity);
+                this._cans++;
+                break;
+            case CommandAction.DWELL:
+                this._elapsed += params.P || params.S || 0;
+                break;
+            case CommandAction.HOME:
+                this._position = null;
+                this._cartesian = null;
+                break;
+        }
+    }
+
+    /**
+     * Check whether the last line read ended an operation
+     * @returns {boolean} True right after a spray-off
+     */
+    isAtOperationBoundary() {
+        return this._lastWasSprayOff;
+    }
+
+    /**
+     * Get the machine state after the lines read so far
+     * @returns {Object} State {lineCount, layer, completedOperations, tool, color,
+     *          position, feedRate, sprayOn, elapsed (s), cans (cans loaded, including refills),
+     *          paint: {remaining, capacity, percentage}}
+     */
+    getState() {
+        return {
+            lineCount: this._lineCount,
+            layer: this._layer,
+            completedOperations: this._completedOperations,
+            tool: this._tool,
+            color: this._color,
+            position: this._position ? { ...this._position } : null,
+            feedRate: this._feedRate,
+            sprayOn: this._sprayOn,
+            elapsed: this._elapsed,
+            cans: this._cans,
+            paint: {
+                remaining: Math.round(this._refillTracker.getRemainingCapacity() * 100) / 100,
+                capacity: this._refillTracker.getPaintCapacity(),
+                percentage: Math.round(Math.max(0, this._refillTracker.getRemainingPercentage()))
+            }
+        };
+    }
+
+    /**
+     * Apply a G0/G1 move
+     * @private
+     * @param {Object} params - Parsed words {X, Y, Z, A, F}
+     */
+    _move(params) {
+        const previous = this._position;
+        const next = { ...(previous || {}) };
+        for (const axis of ['X', 'Y', 'Z', 'A']) {
+            if (Number.isFinite(params[axis])) {
+                next[axis] = params[axis];
+            }
+        }
+        if (Number.isFinite(params.F)) {
+            this._feedRate = params.F;
+        }
+
+        const cartesian = this._toCartesian(next);
+        if (previous) {
+            const distance = calculateStepDistance(
+                { ...previous, cartesian: this._cartesian },
+                { ...next, cartesian }
+            );
+            const { moveSpeed = 3000, paintSpeed = 1500 } = this._config.robot;
+            this._elapsed += calculateMoveTime(distance, this._sprayOn ? paintSpeed : moveSpeed);
+
+            if (this._sprayOn) {
+                this._paintedDistance += distance;
+            }
+        }
+        this._position = next;
+        this._cartesian = cartesian;
+    }
+
+    /**
+     * Record the paint used by the operation that just ended
+     * Mirrors the job estimator: short operations are dots, longer ones lines.
+     * @private
+     */
+    _completeOperation() {
+        if (this._paintedDistance > 0.1) {
+            this._refillTracker.addLineUsage(this._paintedDistance, this._lineWidth);
+        } else {
+            this._refillTracker.addDotUsage(this._dotSize);
+        }
+        this._completedOperations++;
+    }
+
+    /**
+     * Invert a machine position to Cartesian millimeters
+     * @private
+     * @param {Object} position - Cable lengths {X, Y, Z, A}
+     * @returns {{x: number, y: number}|null} Cartesian point, or null if it cannot be inverted
+     */
+    _toCartesian(position) {
+        try {
+            return machineToCartesian(position, this._anchors);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Describe a resume target for messages and the resume header
+ * @private
+ * @param {Object} target - {line} or {layer, operation}
+ * @returns {string} Description
+ */
+function describeTarget(target) {
+    return target.line !== undefined
+        ? `line ${target.line}`
+        : `layer ${target.layer}, operation ${target.operation || 1}`;
+}
+
+/**
+ * Build a can check at the change position
+ * Moves to the change position, re-selects the active can and pauses so the
+ * crew can load, check or refill it.
+ *
+ * @param {Object} machineState - State from ProgramStateTracker.getState()
+ * @param {Object} config - Configuration object
+ * @param {string} message - Instruction shown in the pause comment
+ * @returns {string[]} Array of G-code lines
+ */
+export function buildCanCheck(machineState, config, message) {
+    const lines = [];
+    const { tool, color } = machineState;
+
+    const anchors = createAnchorConfig(config.canvas, config.robot.kinematics);
+    const compensation = getCompensationOptions(config.robot);
+    const changePos = { x: config.robot.refillPosition.x * 10, y: config.robot.refillPosition.y * 10 };
+    const changeCoords = compensation
+        ? compensateLengths(changePos.x, changePos.y, anchors, compensation)
+        : cartesianToMachine(changePos.x, changePos.y, anchors);
+
+    lines.push(builder.separator('CAN CHECK'));
+    lines.push(builder.comment('Moving to change position'));
+    lines.push(builder.G0(changeCoords.X, changeCoords.Y, changeCoords.Z, config.robot.moveSpeed, changeCoords.A));
+    if (tool !== null) {
+        lines.push(builder.M6(tool, color));
+    }
+    lines.push(builder.comment(`${message} (${CAN_CHECK_DWELL} seconds)`));
+    lines.push(builder.G4(CAN_CHECK_DWELL));
+
+    return lines;
+}
+
+/**
+ * Build the safe re-entry preamble for a resume point
+ *
+ * Turns the spray off, re-homes (the position is lost after a stop), goes to
+ * the change position and re-selects the active can with a pause to check or
+ * refill it, then returns to the last commanded position with the spray off.
+ * If the stop happened mid-stroke the spray is turned back on there. When
+ * the program resumes at a layer marker the can check and return move are
+ * left out, since the layer starts with its own can change.
+ *
+ * @param {Object} resumeState - State from ProgramStateTracker.getState() at the resume point
+ * @param {Object} config - Configuration object
+ * @param {Object} [info] - Header details
+ * @param {number} [info.line] - 1-based line the program resumes at
+ * @param {boolean} [info.atLayerStart] - Whether that line is a layer marker
+ * @param {number} [info.layer] - Layer resumed in (defaults to the state's layer)
+ * @returns {string[]} Array of G-code lines
+ */
+export function buildResumePreamble(resumeState, config, info = {}) {
+    const lines = [];
+    const moveSpeed = config.robot.moveSpeed;
+    const { paint, position, tool, color } = resumeState;
+
+    const layer = info.layer ?? resumeState.layer;
+    const operation = info.atLayerStart ? 1 : resumeState.completedOperations + 1;
+    const canInfo = info.atLayerStart
+        ? ['Can: changed at layer start']
+        : [
+            `Can: ${tool !== null ? `T${tool}` : 'none'}${color ? ` ${color}` : ''}`,
+            `Paint Remaining (est.): ${paint.remaining}ml of ${paint.capacity}ml (${paint.percentage}%)`
+        ];
+
+    lines.push(builder.commentBlock('MURALBOT RESUME', [
+        `Generated: ${new Date().toISOString()}`,
+        `Resume Point: line ${info.line} (layer ${layer}, operation ${operation})`,
+        ...canInfo,
+        `Spray At Stop: ${resumeState.sprayOn ? 'on' : 'off'}`
+    ]));
+
+    lines.push('');
+    lines.push(builder.separator('RESUME INITIALIZATION'));
+    lines.push(builder.M5());   // Make sure the nozzle is off before anything moves
+    lines.push(builder.G21());
+    lines.push(builder.G90());
+    lines.push(builder.G28());  // Position is unknown after a stop
+
+    if (!info.atLayerStart) {
+        lines.push('');
+        lines.push(...buildCanCheck(resumeState, config,
+            `Check can - about ${paint.remaining}ml left, refill if needed`));
+    }
+
+    lines.push('');
+    lines.push(builder.separator('RE-ENTRY'));
+    if (position && !info.atLayerStart) {
+        lines.push(builder.comment('Returning to last position'));
+        lines.push(builder.G0(position.X, position.Y, position.Z ?? null, moveSpeed, position.A ?? null));
+    }
+    if (resumeState.sprayOn) {
+        lines.push(builder.comment('Stopped mid-stroke - spray back on'));
+        lines.push(builder.M3());
+    }
+    lines.push(builder.comment('Resuming original program'));
+    lines.push('');
+
+    return lines;
+}
+
+/**
+ * Stream a resume program from the chunks of an original program
+ *
+ * The resume point is either a line (`{line}`, 1-based) or an operation
+ * within a layer (`{layer, operation}`, both 1-based). Operation 1 starts at
+ * the layer marker so the can change runs again; later operations start
+ * right after the previous one turned the spray off.
+ *
+ * @param {AsyncIterable<string[]>|Iterable<string[]>} chunks - Original program lines, e.g.
+ *        from readGCodeLines()
+ * @param {Object} target - Resume point {line} or {layer, operation}
+ * @param {Object} config - Configuration the program was generated with
+ * @yields {string[]} Resume program lines
+ * @throws {Error} If the resume point is not in the program
+ *
+ * @example
+ * const resume = await writeGCodeBlob(
+ *     streamResumeProgram(readGCodeLines(output.blob), { layer: 2, operation: 140 }, config)
+ * );
+ */
+export async function* streamResumeProgram(chunks, target, config) {
+    const tracker = new ProgramStateTracker(config);
+    const operation = target.operation || 1;
+    let resumeState = null;   // State at the resume point once it is reached
+    let pending = null;       // Lines held until the target operation is confirmed
+    let started = false;
+    let maxLayer = 0;
+
+    for await (const chunk of chunks) {
+        const out = [];
+
+        for (const line of chunk) {
+            if (started) {
+                out.push(line);
+                continue;
+            }
+
+            const lineNumber = tracker.getState().lineCount + 1;
+            const layer = getLayerNumber(line);
+            if (layer !== null) maxLayer = Math.max(maxLayer, layer);
+
+            if (pending) {
+                // An operation boundary only counts if another operation follows in the layer
+                if (layer !== null) {
+                    throw new Error(`Layer ${target.layer} has only ${operation - 1} operations`);
+                }
+                pending.push(line);
+                tracker.addLine(line);
+                if (lookupAction(line.trim().split(/\s+/)[0]) === CommandAction.SPRAY_ON) {
+                    out.push(...buildResumePreamble(resumeState, config, { line: resumeState.lineNumber }), ...pending);
+                    started = true;
+                }
+                continue;
+            }
+
+            if (target.line !== undefined) {
+                if (lineNumber === target.line) {
+                    resumeState = { ...tracker.getState(), lineNumber };
+                    out.push(...buildResumePreamble(resumeState, config, {
+                        line: lineNumber,
+                        atLayerStart: layer !== null,
+                        layer: layer ?? undefined
+                    }), line);
+                    started = true;
+                }
+            } else if (operation === 1 && layer === target.layer) {
+                resumeState = { ...tracker.getState(), lineNumber };
+                out.push(...buildResumePreamble(resumeState, config, { line: lineNumber, atLayerStart: true, layer }), line);
+                started = true;
+            } else if (tracker.isAtOperationBoundary()) {
+                const state = tracker.getState();
+                if (state.layer === target.layer && state.completedOperations === operation - 1) {
+                    resumeState = { ...state, lineNumber };
+                    pending = [line];
+                    tracker.addLine(line);
+                    continue;
+                }
+            }
+
+            tracker.addLine(line);
+        }
+
+        if (out.length > 0) {
+            yield out;
+        }
+    }
+
+    if (!started) {
+        if (target.line !== undefined) {
+            throw new Error(`Line ${target.line} is beyond the end of the program (${tracker.getState().lineCount} lines)`);
+        }
+        if (pending) {
+            throw new Error(`Layer ${target.layer} has only ${operation - 1} operations`);
+        }
+        if (target.layer <= maxLayer) {
+            throw new Error(`Layer ${target.layer} has fewer than ${operation} operations`);
+        }
+        throw new Error(`Cannot resume from ${describeTarget(target)}: layer ${target.layer} not found (program has ${maxLayer} layers)`);
+    }
+}
+
+/**
+ * Build a resume program from G-code held as a string
+ *
+ * @param {string} gcode - Original program
+ * @param {Object} target - Resume point {line} or {layer, operation}
+ * @param {Object} config - Configuration the program was generated with
+ * @returns {Promise<string>} Resume program
+ * @throws {Error} If the resume point is not in the program
+ */
+export async function createResumeProgram(gcode, target, config) {
+    const lines = [];
+    for await (const chunk of streamResumeProgram([gcode.split('\n')], target, config)) {
+        lines.push(...chunk);
+    }
+    return lines.join('\n');
+}
+
+export default {
+    getLayerNumber,
+    ProgramStateTracker,
+    buildCanCheck,
+    buildResumePreamble,
+    streamResumeProgram,
+    createResumeProgram
+};
@@ -0,0 +1,395 @@
+/**
+ * Job Splitter Module
+ * Splits a generated program into files the crew can run one session at a
+ * time: one per color layer, per maximum runtime or per number of paint
+ * cans. Every piece is a complete program with its own header, homing and
+ * footer; pieces that start part way through a layer first re-select the
+ * can at the change position. Splits only happen between operations, never
+ * while the spray is on.
+ * @module gcode/jobSplitter
+ */
+
+import * as builder from './gcodeBuilder.js';
+import { createGenerator } from './gcodeGenerator.js';
+import { ProgramStateTracker, getLayerNumber, buildCanCheck } from './jobResume.js';
+import { JobEstimator } from '../estimation/jobEstimator.js';
+import { formatTime } from '../estimation/timeCalculator.js';
+import { formatPaintVolume } from '../estimation/paintCalculator.js';
+
+/**
+ * Ways to split a program
+ * @type {Object<string, string>}
+ */
+export const SplitMode = {
+    LAYER: 'layer',
+    RUNTIME: 'runtime',
+    CANS: 'cans'
+};
+
+/**
+ * Marker that starts the generator's footer
+ * @type {string}
+ * @private
+ */
+const FOOTER_MARKER = '; === END SEQUENCE ===';
+
+/**
+ * Separator line of the generator's header comment block
+ * @type {string}
+ * @private
+ */
+const BLOCK_SEPARATOR = '; ================================';
+
+/**
+ * Seconds the job estimator adds for each color layer, refill and can change
+ * @type {number}
+ * @private
+ */
+const CHANGE_TIME = 30;
+
+/**
+ * Estimate a unit's runtime the way the job estimator will count it
+ * @private
+ * @param {Object} unit - Finished unit {lines, elapsed}
+ * @returns {number} Seconds
+ */
+function unitRuntime(unit) {
+    // Same markers JobEstimator.estimateFromGCode() counts as changes
+    const changes = unit.lines.filter(line => {
+        const trimmed = line.trim();
+        return trimmed.startsWith(';')
+            ? trimmed.includes('COLOR LAYER') || trimmed.includes('REFILL SEQUENCE')
+            : trimmed.startsWith('M6');
+    }).length;
+    return unit.elapsed + changes * CHANGE_TIME;
+}
+
+/**
+ * Read the detail lines of the source program's header comment block
+ * @private
+ * @param {string[]} headerLines - Lines before the first layer
+ * @returns {string[]} Detail lines without the comment prefix, title excluded
+ */
+function readHeaderInfo(headerLines) {
+    const start = headerLines.indexOf(BLOCK_SEPARATOR);
+    const end = headerLines.indexOf(BLOCK_SEPARATOR, start + 1);
+    if (start === -1 || end === -1) {
+        return [];
+    }
+    return headerLines.slice(start + 2, end).map(line => line.replace(/^;\s?/, ''));
+}
+
+/**
+ * Check whether a piece is over its limit once a unit is added
+ * @private
+ * @param {Object} piece - Open piece
+ * @param {Object} unit - Next unit {startsLayer, elapsed, cans, operations}
+ * @param {Object} options - Split options
+ * @returns {boolean} True if the unit must start a new piece
+ */
+function startsNewPiece(piece, unit, options) {
+    // Never leave a piece without work, or start one with nothing but trailing lines
+    if (piece.operations === 0 || unit.operations === 0) {
+        return false;
+    }
+
+    switch (options.mode) {
+        case SplitMode.LAYER:
+            return unit.startsLayer;
+        case SplitMode.RUNTIME:
+            return piece.runtime + unitRuntime(unit) > options.maxMinutes * 60;
+        case SplitMode.CANS:
+            return piece.cans + unit.cans > options.maxCans;
+        default:
+            throw new Error(`Unknown split mode: ${options.mode}`);
+    }
+}
+
+/**
+ * Wrap a piece body into a complete program
+ * @private
+ * @param {Object} piece - Closed piece
+ * @param {string[]} headerInfo - Source header detail lines
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Program lines
+ */
+function buildPieceProgram(piece, headerInfo, config) {
+    const lines = [];
+    const layers = piece.firstLayer === piece.lastLayer
+        ? `${piece.firstLayer}`
+        : `${piece.firstLayer}-${piece.lastLayer}`;
+
+    lines.push(builder.commentBlock(`MURALBOT G-CODE - PART ${piece.index}`, [
+        ...headerInfo,
+        `Part: ${piece.index}`,
+        `Layers: ${layers}`,
+        `Source Lines: ${piece.startLine}-${piece.endLine}`
+    ]));
+
+    lines.push('');
+    lines.push(builder.separator('INITIALIZATION'));
+    lines.push(builder.G21());
+    lines.push(builder.G90());
+    lines.push(builder.G28());
+    lines.push(builder.M5());
+
+    // Continuing a layer: load the can the previous piece ended with. A piece
+    // that opens with a refill loads its fresh can there, so only the tool is
+    // re-selected.
+    if (piece.startsWithRefill) {
+        lines.push(builder.M6(piece.startState.tool, piece.startState.color));
+    } else if (!piece.startsLayer) {
+        lines.push('');
+        lines.push(...buildCanCheck(piece.startState, config,
+            `Load can T${piece.startState.tool} and continue layer ${piece.firstLayer}`));
+    }
+
+    lines.push(builder.comment('Ready to paint'));
+    lines.push('');
+    lines.push(...piece.body);
+    lines.push(...createGenerator().generateFooter());
+
+    // Comment blocks are single multi-line entries
+    return lines.flatMap(line => line.split('\n'));
+}
+
+/**
+ * Split a program into separately runnable pieces
+ *
+ * @param {AsyncIterable<string[]>|Iterable<string[]>} chunks - Program lines, e.g. from readGCodeLines()
+ * @param {Object} options - Split options
+ * @param {string} options.mode - SplitMode value
+ * @param {number} [options.maxMinutes] - Runtime limit per piece (RUNTIME mode) as estimatePiece()
+ *        reports it, homing, can check and footer included; a single operation over the limit
+ *        still gets a piece of its own
+ * @param {number} [options.maxCans] - Cans per piece, refills included (CANS mode)
+ * @param {Object} config - Configuration the program was generated with
+ * @yields {Object} Piece {index, lines, firstLayer, lastLayer, tools, startLine, endLine,
+ *         operations, elapsed (s), cans}
+ * @throws {Error} If the options are invalid or the program has no layers
+ *
+ * @example
+ * for await (const piece of splitProgram(readGCodeLines(blob), { mode: SplitMode.LAYER }, config)) {
+ *     files.push(piece.lines.join('\n'));
+ * }
+ */
+export async function* splitProgram(chunks, options, config) {
+    if (options.mode === SplitMode.RUNTIME && !(options.maxMinutes > 0)) {
+        throw new Error('Maximum runtime must be greater than 0 minutes');
+    }
+    if (options.mode === SplitMode.CANS && !(options.maxCans >= 1)) {
+        throw new Error('Maximum cans per file must be at least 1');
+    }
+
+    const tracker = new ProgramStateTracker(config);
+    const headerLines = [];
+    let headerInfo = null;
+    let inBody = false;
+    let done = false;
+    let unit = null;
+    let piece = null;
+    let index = 0;
+
+    const openPiece = (startUnit) => ({
+        index: ++index,
+        body: [],
+        startsLayer: startUnit.startsLayer,
+        // Units end after an operation, so a mid-layer unit's can comes from a refill at its start
+        startsWithRefill: !startUnit.startsLayer && startUnit.cans > 0,
+        startState: startUnit.state,
+        startLine: startUnit.state.lineCount + 1,
+        endLine: startUnit.state.lineCount,
+        firstLayer: startUnit.startsLayer ? startUnit.layer : startUnit.state.layer,
+        lastLayer: startUnit.startsLayer ? startUnit.layer : startUnit.state.layer,
+        tools: new Set(!startUnit.startsLayer && startUnit.state.tool !== null ? [startUnit.state.tool] : []),
+        operations: 0,
+        elapsed: 0,
+        runtime: 0,
+        cans: startUnit.startsLayer || startUnit.cans > 0 ? 0 : 1 // Otherwise the can check loads one
+    });
+
+    const closePiece = () => ({
+        index: piece.index,
+        lines: buildPieceProgram(piece, headerInfo, config),
+        firstLayer: piece.firstLayer,
+        lastLayer: piece.lastLayer,
+        tools: [...piece.tools],
+        startLine: piece.startLine,
+        endLine: piece.endLine,
+        operations: piece.operations,
+        elapsed: piece.elapsed,
+        cans: piece.cans
+    });
+
+    // Add the finished unit to the open piece; returns a piece that had to be closed
+    const flushUnit = () => {
+        if (!unit) return null;
+
+        const state = tracker.getState();
+        const finished = {
+            ...unit,
+            elapsed: state.elapsed - unit.state.elapsed,
+            cans: state.cans - unit.state.cans,
+            operations: state.completedOperations - (unit.startsLayer ? 0 : unit.state.completedOperations)
+        };
+        unit = null;
+
+        let closed = null;
+        let opened = false;
+        if (!piece) {
+            piece = openPiece(finished);
+            opened = true;
+        } else if (startsNewPiece(piece, finished, options)) {
+            closed = closePiece();
+            piece = openPiece(finished);
+            opened = true;
+        }
+
+        piece.body.push(...finished.lines);
+        piece.endLine = state.lineCount;
+        piece.lastLayer = state.layer;
+        piece.operations += finished.operations;
+        piece.elapsed += finished.elapsed;
+        piece.cans += finished.cans;
+        if (state.tool !== null) piece.tools.add(state.tool);
+
+        if (opened && options.mode === SplitMode.RUNTIME) {
+            // Homing, the can check, the travel from it and the footer come
+            // with every piece; measure them once on the piece's first unit
+            const { time } = estimatePiece({ lines: buildPieceProgram(piece, headerInfo, config) }, config);
+            piece.runtime = time;
+        } else {
+            piece.runtime += unitRuntime(finished);
+        }
+
+        return closed;
+    };
+
+    for await (const chunk of chunks) {
+        if (done) break;
+
+        for (const line of chunk) {
+            const layer = getLayerNumber(line);
+
+            if (!inBody) {
+                if (layer === null) {
+                    headerLines.push(line);
+                    tracker.addLine(line);
+                    continue;
+                }
+                inBody = true;
+                headerInfo = readHeaderInfo(headerLines);
+            }
+
+            if (line.trim() === FOOTER_MARKER) {
+                done = true;
+                break;
+            }
+
+            if (layer !== null) {
+                const closed = flushUnit();
+                if (closed) yield closed;
+            }
+            if (!unit) {
+                unit = { lines: [], state: tracker.getState(), startsLayer: layer !== null, layer };
+            }
+
+            unit.lines.push(line);
+            tracker.addLine(line);
+
+            if (tracker.isAtOperationBoundary()) {
+                const closed = flushUnit();
+                if (closed) yield closed;
+            }
+        }
+    }
+
+    // Blank lines before the footer belong to the last unit
+    const closed = flushUnit();
+    if (closed) yield closed;
+
+    if (!piece) {
+        throw new Error('No color layers or edge tracing found in the program');
+    }
+    yield closePiece();
+}
+
+/**
+ * Estimate time and paint for each piece with the job estimator
+ *
+ * @param {Object} piece - Piece from splitProgram()
+ * @param {Object} config - Configuration object
+ * @returns {{time: number, timeFormatted: string, paint: number, paintFormatted: string}}
+ *          Time in seconds and paint in ml
+ */
+export function estimatePiece(piece, config) {
+    const estimates = new JobEstimator(config).estimateFromGCode(piece.lines.join('\n'));
+    return {
+        time: estimates.time.total,
+        timeFormatted: estimates.time.formatted,
+        paint: estimates.paint.total,
+        paintFormatted: estimates.paint.formatted
+    };
+}
+
+/**
+ * Build the manifest listing the pieces in running order
+ *
+ * @param {Array<Object>} entries - One per piece: {filename, piece, estimate}
+ * @param {Object} info - Job details
+ * @param {string} info.source - Source program filename
+ * @param {string} info.mode - SplitMode used
+ * @param {number} [info.maxMinutes] - Runtime limit (RUNTIME mode)
+ * @param {number} [info.maxCans] - Can limit (CANS mode)
+ * @returns {string} Plain-text manifest
+ */
+export function buildManifest(entries, info) {
+    const rule = {
+        [SplitMode.LAYER]: 'one file per color layer',
+        [SplitMode.RUNTIME]: `at most ${info.maxMinutes} minutes per file`,
+        [SplitMode.CANS]: `at most ${info.maxCans} can(s) per file`
+    }[info.mode];
+
+    const rows = entries.map(({ filename, piece, estimate }) => [
+        `${piece.index}`,
+        filename,
+        piece.firstLayer === piece.lastLayer ? `${piece.firstLayer}` : `${piece.firstLayer}-${piece.lastLayer}`,
+        piece.tools.map(tool => `T${tool}`).join(' '),
+        `${piece.cans}`,
+        `${piece.operations}`,
+        estimate.timeFormatted,
+        estimate.paintFormatted
+    ]);
+
+    const totalTime = entries.reduce((sum, entry) => sum + entry.estimate.time, 0);
+    const totalPaint = entries.reduce((sum, entry) => sum + entry.estimate.paint, 0);
+    const totalCans = entries.reduce((sum, entry) => sum + entry.piece.cans, 0);
+    const totalOperations = entries.reduce((sum, entry) => sum + entry.piece.operations, 0);
+    const header = ['#', 'File', 'Layers', 'Tools', 'Cans', 'Operations', 'Time', 'Paint'];
+    const footer = ['', 'Total', '', '', `${totalCans}`, `${totalOperations}`,
+        formatTime(totalTime), formatPaintVolume(totalPaint)];
+
+    const table = [header, ...rows, footer];
+    const widths = header.map((_, column) => Math.max(...table.map(row => row[column].length)));
+    const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    return [
+        'MURALBOT JOB MANIFEST',
+        `Generated: ${new Date().toISOString()}`,
+        `Source: ${info.source}`,
+        `Split: ${rule}`,
+        `Files: ${entries.length} - run them in this order`,
+        '',
+        formatRow(header),
+        ...rows.map(formatRow),
+        formatRow(footer),
+        ''
+    ].join('\n');
+}
+
+export default {
+    SplitMode,
+    splitProgram,
+    estimatePiece,
+    buildManifest
+};
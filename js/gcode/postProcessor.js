@@ -0,0 +1,342 @@
+/**
+ * G-code Post-Processor Module
+ * Translates the generator's canonical G-code into controller-specific dialects.
+ * Dialects are plain objects kept in a registry, so new firmwares can be added
+ * with registerDialect() without touching the builder or generator.
+ * @module gcode/postProcessor
+ */
+
+import { Commands, CommandAction, SPRAY_ON_POWER, normalizeCode, lookupAction } from './gcodeCommands.js';
+
+/**
+ * Id of the dialect the generator emits natively
+ * @type {string}
+ */
+export const DEFAULT_DIALECT = 'muralbot';
+
+/**
+ * Base dialect every registered dialect is merged onto
+ * Matches the output of gcodeBuilder exactly
+ * @type {Object}
+ * @private
+ */
+const BASE_DIALECT = {
+    id: DEFAULT_DIALECT,
+    name: 'MuralBot (default)',
+    description: 'Native MuralBot firmware dialect',
+    commands: {
+        RAPID_MOVE: Commands.RAPID_MOVE,
+        LINEAR_MOVE: Commands.LINEAR_MOVE,
+        DWELL: Commands.DWELL,
+        UNITS_MM: Commands.UNITS_MM,
+        HOME: Commands.HOME,
+        ABSOLUTE: Commands.ABSOLUTE,
+        RELATIVE: Commands.RELATIVE,
+        SPRAY_ON: `${Commands.SPRAY_ON} S${SPRAY_ON_POWER}`,
+        SPRAY_OFF: Commands.SPRAY_OFF,
+        TOOL_CHANGE: Commands.TOOL_CHANGE,
+        MOTORS_OFF: Commands.MOTORS_OFF
+    },
+    axes: { X: 'X', Y: 'Y', Z: 'Z', A: 'A' },
+    precision: 2,
+    dwellUnit: 'seconds',      // 'seconds' | 'milliseconds'
+    dwellParameter: 'P',
+    lineEnding: '\n',          // '\n' | '\r\n'
+    commentStyle: 'semicolon', // 'semicolon' | 'parentheses' | 'none'
+    preamble: [],
+    postamble: []
+};
+
+/**
+ * Registered dialects by id
+ * @type {Map<string, Object>}
+ * @private
+ */
+const dialects = new Map();
+
+/**
+ * Register a firmware dialect
+ * Missing fields are filled in from the default MuralBot dialect.
+ *
+ * @param {Object} definition - Dialect definition
+ * @param {string} definition.id - Unique dialect id
+ * @param {string} definition.name - Display name
+ * @param {Object} [definition.commands] - Command overrides keyed by Commands name
+ * @param {Object} [definition.axes] - Axis letter overrides {X, Y, Z, A}
+ * @param {number} [definition.precision] - Decimal places for coordinates
+ * @param {string} [definition.dwellUnit] - 'seconds' or 'milliseconds'
+ * @param {string} [definition.lineEnding] - Line ending sequence
+ * @param {string} [definition.commentStyle] - 'semicolon', 'parentheses' or 'none'
+ * @param {string[]} [definition.preamble] - Lines prepended to the program
+ * @param {string[]} [definition.postamble] - Lines appended to the program
+ * @returns {Object} The registered (merged) dialect
+ * @throws {Error} If the definition has no id
+ *
+ * @example
+ * registerDialect({
+ *     id: 'my-controller',
+ *     name: 'My Controller',
+ *     commands: { SPRAY_ON: 'M8', SPRAY_OFF: 'M9' }
+ * });
+ */
+export function registerDialect(definition) {
+    if (!definition || !definition.id) {
+        throw new Error('Dialect definition requires an id');
+    }
+
+    const dialect = {
+        ...BASE_DIALECT,
+        ...definition,
+        commands: { ...BASE_DIALECT.commands, ...(definition.commands || {}) },
+        axes: { ...BASE_DIALECT.axes, ...(definition.axes || {}) },
+        preamble: [...(definition.preamble || BASE_DIALECT.preamble)],
+        postamble: [...(definition.postamble || BASE_DIALECT.postamble)]
+    };
+
+    dialects.set(dialect.id, dialect);
+    return dialect;
+}
+
+/**
+ * Get a registered dialect
+ *
+ * @param {string} id - Dialect id
+ * @returns {Object} Dialect definition
+ * @throws {Error} If the dialect is not registered
+ */
+export function getDialect(id = DEFAULT_DIALECT) {
+    const dialect = dialects.get(id);
+    if (!dialect) {
+        throw new Error(`Unknown G-code dialect: ${id}`);
+    }
+    return dialect;
+}
+
+/**
+ * List registered dialects for UI display
+ *
+ * @returns {Array<{id: string, name: string, description: string}>} Dialect summaries
+ */
+export function getDialectList() {
+    return Array.from(dialects.values()).map(({ id, name, description }) => ({
+        id,
+        name,
+        description: description || ''
+    }));
+}
+
+/**
+ * Format a comment in the dialect's comment style
+ * @private
+ * @param {string} text - Comment text (without delimiter)
+ * @param {Object} dialect - Dialect definition
+ * @returns {string|null} Formatted comment, or null when comments are stripped
+ */
+function formatComment(text, dialect) {
+    switch (dialect.commentStyle) {
+        case 'none':
+            return null;
+        case 'parentheses':
+            // Parentheses cannot nest in G-code comments
+            return `(${text.replace(/[()]/g, '')})`;
+        default:
+            return `; ${text}`;
+    }
+}
+
+/**
+ * Parse word parameters from a canonical command line
+ * @private
+ * @param {string[]} parts - Parameter words (e.g. ['X10.00', 'F3000'])
+ * @returns {Object} Parameters keyed by letter
+ */
+function parseWords(parts) {
+    const params = {};
+    for (const part of parts) {
+        const value = parseFloat(part.substring(1));
+        if (!isNaN(value)) {
+            params[part[0].toUpperCase()] = value;
+        }
+    }
+    return params;
+}
+
+/**
+ * Translate one canonical command (without comment) into the dialect
+ * @private
+ * @param {string} code - Normalized command code
+ * @param {Object} params - Parsed parameters
+ * @param {string} original - Original command text, used for pass-through
+ * @param {Object} dialect - Dialect definition
+ * @returns {string} Translated command
+ */
+function translateCommand(code, params, original, dialect) {
+    const { commands, axes, precision } = dialect;
+
+    switch (lookupAction(code)) {
+        case CommandAction.MOVE: {
+            const name = code === Commands.RAPID_MOVE ? commands.RAPID_MOVE : commands.LINEAR_MOVE;
+            const words = [name];
+            for (const axis of ['X', 'Y', 'Z', 'A']) {
+                if (params[axis] !== undefined) {
+                    words.push(`${axes[axis]}${params[axis].toFixed(precision)}`);
+                }
+            }
+            if (params.F !== undefined) {
+                words.push(`F${Math.round(params.F)}`);
+            }
+            return words.join(' ');
+        }
+        case CommandAction.SPRAY_ON:
+            return commands.SPRAY_ON;
+        case CommandAction.SPRAY_OFF:
+            return commands.SPRAY_OFF;
+        case CommandAction.TOOL_CHANGE:
+            return params.T !== undefined
+                ? `${commands.TOOL_CHANGE} T${Math.round(params.T)}`
+                : commands.TOOL_CHANGE;
+        case CommandAction.DWELL: {
+            const seconds = params.P !== undefined ? params.P : (params.S || 0);
+            const value = dialect.dwellUnit === 'milliseconds'
+                ? String(Math.round(seconds * 1000))
+                : seconds.toFixed(2).replace(/(\.\d)0$/, '$1');
+            return `${commands.DWELL} ${dialect.dwellParameter}${value}`;
+        }
+        case CommandAction.HOME:
+            return commands.HOME;
+        case CommandAction.SETUP: {
+            const key = Object.keys(Commands).find(name => Commands[name] === code);
+            return key && commands[key] ? commands[key] : original;
+        }
+        default:
+            return original;
+    }
+}
+
+/**
+ * Translate a single canonical G-code line into the dialect
+ *
+ * @param {string} line - Canonical G-code line
+ * @param {Object|string} dialect - Dialect definition or id
+ * @returns {string|null} Translated line, or null if the line should be dropped
+ *
+ * @example
+ * translateLine('G4 P0.1', 'marlin');
+ * // Returns: "G4 P100"
+ */
+export function translateLine(line, dialect = DEFAULT_DIALECT) {
+    const target = typeof dialect === 'string' ? getDialect(dialect) : dialect;
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+        return target.commentStyle === 'none' ? null : '';
+    }
+
+    const commentIndex = trimmed.indexOf(';');
+    const codePart = commentIndex >= 0 ? trimmed.substring(0, commentIndex).trim() : trimmed;
+    const commentPart = commentIndex >= 0 ? trimmed.substring(commentIndex + 1).trim() : null;
+
+    if (!codePart) {
+        return formatComment(commentPart, target);
+    }
+
+    const parts = codePart.split(/\s+/);
+    const code = normalizeCode(parts[0]);
+    const command = translateCommand(code, parseWords(parts.slice(1)), codePart, target);
+
+    if (commentPart) {
+        const comment = formatComment(commentPart, target);
+        return comment ? `${command} ${comment}` : command;
+    }
+
+    return command;
+}
+
+/**
+ * Translate a batch of canonical G-code lines into the dialect
+ * Unlike postProcess(), no preamble or postamble is added, so a streamed
+ * program can be translated one chunk at a time.
+ *
+ * @param {string[]} lines - Canonical G-code lines
+ * @param {Object|string} dialect - Dialect definition or id (default: 'muralbot')
+ * @returns {string[]} Translated lines, with dropped lines removed
+ */
+export function translateLines(lines, dialect = DEFAULT_DIALECT) {
+    const target = typeof dialect === 'string' ? getDialect(dialect) : dialect;
+    const translated = [];
+
+    for (const line of lines) {
+        const result = translateLine(line, target);
+        if (result !== null) {
+            translated.push(result);
+        }
+    }
+
+    return translated;
+}
+
+/**
+ * Post-process a complete canonical G-code program into a dialect
+ *
+ * @param {string} gcode - Canonical G-code produced by the generator
+ * @param {Object|string} dialect - Dialect definition or id (default: 'muralbot')
+ * @returns {string} G-code in the target dialect
+ *
+ * @example
+ * const grblGcode = postProcess(gcode, 'grbl');
+ */
+export function postProcess(gcode, dialect = DEFAULT_DIALECT) {
+    const target = typeof dialect === 'string' ? getDialect(dialect) : dialect;
+    const lines = [
+        ...target.preamble,
+        ...translateLines(gcode.split(/\r?\n/), target),
+        ...target.postamble
+    ];
+
+    return lines.join(target.lineEnding);
+}
+
+// Built-in dialects
+registerDialect(BASE_DIALECT);
+
+registerDialect({
+    id: 'grbl',
+    name: 'GRBL',
+    description: 'GRBL 1.1 controllers (laser-style spindle PWM, parenthesis comments)',
+    commands: { SPRAY_ON: 'M3 S1000' },
+    precision: 3,
+    commentStyle: 'parentheses',
+    postamble: ['M2']
+});
+
+registerDialect({
+    id: 'marlin',
+    name: 'Marlin',
+    description: 'Marlin firmware (fan output drives the solenoid, dwell in milliseconds)',
+    commands: { SPRAY_ON: 'M106 S255', SPRAY_OFF: 'M107', TOOL_CHANGE: 'M600' },
+    dwellUnit: 'milliseconds',
+    postamble: ['M2']
+});
+
+registerDialect({
+    id: 'mach3',
+    name: 'Mach3 / LinuxCNC',
+    description: 'Windows-style CRLF files with A/B/C(/U) cable axes and coolant-driven spray',
+    commands: { SPRAY_ON: 'M8', SPRAY_OFF: 'M9' },
+    axes: { X: 'A', Y: 'B', Z: 'C', A: 'U' },
+    precision: 4,
+    lineEnding: '\r\n',
+    commentStyle: 'parentheses',
+    preamble: ['%'],
+    postamble: ['M30', '%']
+});
+
+export default {
+    DEFAULT_DIALECT,
+    registerDialect,
+    getDialect,
+    getDialectList,
+    translateLine,
+    translateLines,
+    postProcess
+};
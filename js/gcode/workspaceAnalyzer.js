@@ -0,0 +1,517 @@
+/**
+ * Workspace Analyzer Module
+ * Determines where a cable robot can physically hold position for a given
+ * anchor layout: every cable must fit within its maximum length and the
+ * static cable tensions needed to carry the robot's weight must stay between
+ * a minimum (no slack) and a maximum (no overload).
+ * @module gcode/workspaceAnalyzer
+ */
+
+import {
+    createAnchorConfig,
+    getCableAnchors,
+    getMachineAxes,
+    machineToCartesian
+} from './coordinateTransformer.js';
+import { lookupAction, CommandAction } from './gcodeCommands.js';
+import { compensatedToCartesian, getCompensationOptions } from './cableCompensation.js';
+
+/**
+ * Standard gravity (m/s²)
+ * @type {number}
+ * @private
+ */
+const GRAVITY = 9.81;
+
+/**
+ * Workspace status of a single point
+ * - SAFE: reachable with every cable in tension range
+ * - SLACK: at least one cable would need less than the minimum tension
+ * - OVER_TENSION: at least one cable would exceed the maximum tension
+ * - UNREACHABLE: a cable is too long, or the position cannot be held at all
+ * @type {Object<string, string>}
+ */
+export const WorkspaceStatus = {
+    SAFE: 'safe',
+    SLACK: 'slack',
+    OVER_TENSION: 'over-tension',
+    UNREACHABLE: 'unreachable'
+};
+
+/**
+ * What generation does when paths leave the safe workspace
+ * @type {Object<string, string>}
+ */
+export const WorkspacePolicy = {
+    OFF: 'off',
+    WARN: 'warn',
+    BLOCK: 'block'
+};
+
+/**
+ * Default analysis options
+ * @type {Object}
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+    weight: 2,               // kg
+    minTension: 2,           // N
+    maxTension: 150,         // N
+    maxCableLength: Infinity // mm
+};
+
+/**
+ * Build analysis options from the robot configuration
+ *
+ * @param {Object} [robot] - Robot configuration (state.robot)
+ * @param {number} [robot.weight] - Robot weight (kg)
+ * @param {number} [robot.minCableTension] - Minimum cable tension (N)
+ * @param {number} [robot.maxCableTension] - Maximum cable tension (N)
+ * @param {number} [robot.maxCableLength] - Maximum cable length (cm)
+ * @returns {Object} Analysis options {weight, minTension, maxTension, maxCableLength (mm)}
+ */
+export function getWorkspaceOptions(robot = {}) {
+    return {
+        weight: robot.weight ?? DEFAULT_OPTIONS.weight,
+        minTension: robot.minCableTension ?? DEFAULT_OPTIONS.minTension,
+        maxTension: robot.maxCableTension ?? DEFAULT_OPTIONS.maxTension,
+        maxCableLength: robot.maxCableLength ? robot.maxCableLength * 10 : DEFAULT_OPTIONS.maxCableLength
+    };
+}
+
+/**
+ * Find the lowest-total-tension cable distribution that holds the robot still
+ *
+ * Each cable pulls along its unit vector and the tensions must balance
+ * gravity. The solutions form a polytope whose vertices have all but two
+ * cables at a tension bound, so trying every pair of free cables against
+ * every bound assignment of the rest finds the optimum exactly. With at most
+ * four cables that is a handful of 2x2 systems.
+ * @private
+ * @param {Array<{x: number, y: number}>} units - Unit vectors from the robot to each anchor
+ * @param {number} load - Weight force (N), acting towards +y
+ * @param {number} lower - Minimum tension per cable (N)
+ * @param {number} upper - Maximum tension per cable (N), may be Infinity
+ * @returns {number[]|null} Tension per cable, or null if no distribution fits the bounds
+ */
+function solveTensions(units, load, lower, upper) {
+    const n = units.length;
+    const bounds = isFinite(upper) ? [lower, upper] : [lower];
+    const tolerance = 1e-6;
+    let best = null;
+    let bestTotal = Infinity;
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const det = units[i].x * units[j].y - units[j].x * units[i].y;
+            if (Math.abs(det) < 1e-9) continue;
+
+            const others = [];
+            for (let k = 0; k < n; k++) {
+                if (k !== i && k !== j) others.push(k);
+            }
+
+            const combinations = Math.pow(bounds.length, others.length);
+            for (let combo = 0; combo < combinations; combo++) {
+                const tensions = new Array(n);
+                let rx = 0;
+                let ry = -load;
+                let code = combo;
+
+                for (const k of others) {
+                    tensions[k] = bounds[code % bounds.length];
+                    code = Math.floor(code / bounds.length);
+                    rx -= tensions[k] * units[k].x;
+                    ry -= tensions[k] * units[k].y;
+                }
+
+                // Cramer's rule for the two free cables
+                tensions[i] = (rx * units[j].y - units[j].x * ry) / det;
+                tensions[j] = (units[i].x * ry - rx * units[i].y) / det;
+
+                if (tensions[i] < lower - tolerance || tensions[i] > upper + tolerance ||
+                    tensions[j] < lower - tolerance || tensions[j] > upper + tolerance) {
+                    continue;
+                }
+
+                const total = tensions.reduce((sum, t) => sum + t, 0);
+                if (total < bestTotal) {
+                    bestTotal = total;
+                    best = tensions;
+                }
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Get unit vectors from a point towards each cable anchor
+ * @private
+ * @param {number} x - Cartesian X coordinate (mm)
+ * @param {number} y - Cartesian Y coordinate (mm)
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @returns {Array<{x: number, y: number}|null>} Unit vectors; null for the anchor the point sits on
+ */
+function getCableDirections(x, y, anchors) {
+    return getCableAnchors(anchors).map(anchor => {
+        const dx = anchor.x - x;
+        const dy = anchor.y - y;
+        const length = Math.hypot(dx, dy);
+        return length < 1e-6 ? null : { x: dx / length, y: dy / length };
+    });
+}
+
+/**
+ * Find the tensions that hold the robot on top of one of its anchors
+ * A cable with no length can pull in any direction, so it carries the weight
+ * and the other cables, which only need their minimum tension.
+ * @private
+ * @param {Array<{x: number, y: number}|null>} units - Result of getCableDirections()
+ * @param {number} load - Weight force (N), acting towards +y
+ * @param {number} lower - Minimum tension per cable (N)
+ * @returns {number[]} Tension per cable
+ */
+function holdAtAnchor(units, load, lower) {
+    let fx = 0;
+    let fy = load;
+    for (const unit of units) {
+        if (unit) {
+            fx += lower * unit.x;
+            fy += lower * unit.y;
+        }
+    }
+
+    const held = Math.max(lower, Math.hypot(fx, fy));
+    return units.map(unit => unit ? lower : held);
+}
+
+/**
+ * Find the cable tensions that hold the robot, at a point or on an anchor
+ * @private
+ * @param {Array<{x: number, y: number}|null>} units - Result of getCableDirections()
+ * @param {number} load - Weight force (N)
+ * @param {number} lower - Minimum tension per cable (N)
+ * @param {number} upper - Maximum tension per cable (N), may be Infinity
+ * @returns {number[]|null} Tension per cable, or null if no distribution fits the bounds
+ */
+function holdTensions(units, load, lower, upper) {
+    if (units.every(unit => unit)) {
+        return solveTensions(units, load, lower, upper);
+    }
+
+    const tensions = holdAtAnchor(units, load, lower);
+    return Math.max(...tensions) <= upper ? tensions : null;
+}
+
+/**
+ * Compute the static cable tensions needed to hold the robot at a point
+ * Returns the distribution with the lowest total tension within the
+ * configured tension range.
+ *
+ * @param {number} x - Cartesian X coordinate (mm)
+ * @param {number} y - Cartesian Y coordinate (mm, increasing downward)
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @param {Object} [options] - Analysis options (see getWorkspaceOptions)
+ * @returns {number[]|null} Tension per cable (N), ordered like getMachineAxes(),
+ *          or null if the robot cannot be held within the tension range
+ *
+ * @example
+ * const tensions = computeCableTensions(1000, 750, anchors, { weight: 2 });
+ * // tensions: [16.35, 16.35] for a centered two-cable robot
+ */
+export function computeCableTensions(x, y, anchors, options = {}) {
+    const { weight, minTension, maxTension } = { ...DEFAULT_OPTIONS, ...options };
+    const units = getCableDirections(x, y, anchors);
+    const tensions = holdTensions(units, weight * GRAVITY, minTension, maxTension);
+    return tensions ? tensions.map(t => Math.round(t * 100) / 100) : null;
+}
+
+/**
+ * Analyze whether the robot can be held at a point
+ *
+ * @param {number} x - Cartesian X coordinate (mm)
+ * @param {number} y - Cartesian Y coordinate (mm)
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @param {Object} [options] - Analysis options (see getWorkspaceOptions)
+ * @returns {{status: string, lengths: number[], tensions: number[]|null}} Point analysis;
+ *          tensions are null when no cable distribution can hold the point
+ *
+ * @example
+ * const result = analyzePoint(-100, 750, anchors, options);
+ * // result.status: 'slack' (two-cable robot cannot hang left of both anchors)
+ */
+export function analyzePoint(x, y, anchors, options = {}) {
+    const { weight, minTension, maxTension, maxCableLength } = { ...DEFAULT_OPTIONS, ...options };
+    const lengths = getCableAnchors(anchors).map(anchor => Math.hypot(anchor.x - x, anchor.y - y));
+    const units = getCableDirections(x, y, anchors);
+
+    if (lengths.some(length => length > maxCableLength)) {
+        return { status: WorkspaceStatus.UNREACHABLE, lengths, tensions: null };
+    }
+
+    const load = weight * GRAVITY;
+    let tensions = holdTensions(units, load, minTension, maxTension);
+    let status = WorkspaceStatus.SAFE;
+
+    if (!tensions) {
+        // Holdable with stronger cables, or not without a cable going slack?
+        tensions = holdTensions(units, load, minTension, Infinity);
+        status = tensions ? WorkspaceStatus.OVER_TENSION : WorkspaceStatus.SLACK;
+    }
+
+    return {
+        status,
+        lengths,
+        tensions: tensions ? tensions.map(t => Math.round(t * 100) / 100) : null
+    };
+}
+
+/**
+ * Sample the workspace over a rectangular area
+ *
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @param {number} width - Area width (mm), starting at x = 0
+ * @param {number} height - Area height (mm), starting at y = 0
+ * @param {Object} [options] - Analysis options (see getWorkspaceOptions)
+ * @param {number} [resolution=40] - Number of sample cells across the width
+ * @returns {Object} Workspace map {cols, rows, cellWidth, cellHeight, cells, safeRatio}
+ *          where cells[row * cols + col] is the WorkspaceStatus at the cell center
+ *
+ * @example
+ * const map = computeWorkspaceMap(anchors, 2000, 1500, options);
+ * console.log(`${Math.round(map.safeRatio * 100)}% of the canvas is paintable`);
+ */
+export function computeWorkspaceMap(anchors, width, height, options = {}, resolution = 40) {
+    const cols = Math.max(1, Math.round(resolution));
+    const cellWidth = width / cols;
+    const rows = Math.max(1, Math.round(height / cellWidth));
+    const cellHeight = height / rows;
+    const cells = new Array(cols * rows);
+    let safeCount = 0;
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const x = (col + 0.5) * cellWidth;
+            const y = (row + 0.5) * cellHeight;
+            const { status } = analyzePoint(x, y, anchors, options);
+            cells[row * cols + col] = status;
+            if (status === WorkspaceStatus.SAFE) safeCount++;
+        }
+    }
+
+    return {
+        cols,
+        rows,
+        cellWidth,
+        cellHeight,
+        cells,
+        safeRatio: safeCount / cells.length
+    };
+}
+
+/**
+ * WorkspaceMoveChecker class
+ * Checks G-code moves against the workspace as the program is produced, so
+ * streamed programs never need to exist as one string.
+ */
+export class WorkspaceMoveChecker {
+    /**
+     * @param {Object} anchors - Anchor configuration (with kinematics)
+     * @param {Object} [options] - Analysis options (see getWorkspaceOptions)
+     * @param {Object|null} [compensation=null] - Cable compensation the moves were generated with
+     *        (see getCompensationOptions)
+     * @param {number} [maxReported=100] - Maximum violations kept in the report
+     */
+    constructor(anchors, options = {}, compensation = null, maxReported = 100) {
+        this._anchors = anchors;
+        this._options = options;
+        this._compensation = compensation;
+        this._maxReported = maxReported;
+        this._axes = getMachineAxes(anchors.kinematics);
+        this._lineNumber = 0;        // Lines seen so far
+        this._lastKey = null;        // Last checked position
+        this._checkedMoves = 0;
+        this._violationCount = 0;
+        this._violations = [];
+    }
+
+    /**
+     * Check the next lines of the program
+     *
+     * @param {string[]} lines - G-code lines, continuing from the previous call
+     */
+    addLines(lines) {
+        for (const line of lines) {
+            this._lineNumber++;
+
+            const code = line.split(';')[0].trim();
+            if (!code) continue;
+
+            const parts = code.split(/\s+/);
+            if (lookupAction(parts[0]) !== CommandAction.MOVE) continue;
+
+            const lengths = {};
+            for (const part of parts.slice(1)) {
+                lengths[part[0].toUpperCase()] = parseFloat(part.substring(1));
+            }
+            if (this._axes.some(axis => isNaN(lengths[axis]))) continue;
+
+            // Consecutive moves to the same position (dots, refills) only need one check
+            const key = this._axes.map(axis => lengths[axis]).join(',');
+            if (key === this._lastKey) continue;
+            this._lastKey = key;
+            this._checkedMoves++;
+
+            this._checkMove(lengths);
+        }
+    }
+
+    /**
+     * Classify one move and record it if it leaves the safe workspace
+     * @private
+     * @param {Object} lengths - Cable lengths keyed by axis
+     */
+    _checkMove(lengths) {
+        let point = null;
+        try {
+            point = this._compensation
+                ? compensatedToCartesian(lengths, this._anchors, this._compensation)
+                : machineToCartesian(lengths, this._anchors);
+        } catch (error) {
+            point = null;
+        }
+
+        const status = point
+            ? analyzePoint(point.x, point.y, this._anchors, this._options).status
+            : WorkspaceStatus.UNREACHABLE;
+
+        if (status !== WorkspaceStatus.SAFE) {
+            this._violationCount++;
+            if (this._violations.length < this._maxReported) {
+                this._violations.push({
+                    line: this._lineNumber,
+                    x: point ? point.x : null,
+                    y: point ? point.y : null,
+                    status
+                });
+            }
+        }
+    }
+
+    /**
+     * Get the report for the lines checked so far
+     *
+     * @returns {{checkedMoves: number, violationCount: number, violations: Array<Object>}}
+     *          Violations are {line, x, y, status} with 1-based line numbers
+     */
+    getReport() {
+        return {
+            checkedMoves: this._checkedMoves,
+            violationCount: this._violationCount,
+            violations: [...this._violations]
+        };
+    }
+}
+
+/**
+ * Check every move of a G-code program against the workspace
+ * Moves are inverted through the machine kinematics, so refill and color
+ * change excursions outside the canvas are checked too.
+ *
+ * @param {string} gcode - G-code program
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @param {Object} [options] - Analysis options (see getWorkspaceOptions)
+ * @param {Object|null} [compensation=null] - Cable compensation the program was generated with
+ * @param {number} [maxReported=100] - Maximum violations kept in the report
+ * @returns {{checkedMoves: number, violationCount: number, violations: Array<Object>}}
+ *          Violations are {line, x, y, status} with 1-based line numbers
+ */
+export function analyzeGcodeWorkspace(gcode, anchors, options = {}, compensation = null, maxReported = 100) {
+    const checker = new WorkspaceMoveChecker(anchors, options, compensation, maxReported);
+    checker.addLines(gcode.split('\n'));
+    return checker.getReport();
+}
+
+/**
+ * Combine a move report with the refill position check into a job report
+ *
+ * @param {Object} moves - Report from analyzeGcodeWorkspace() or WorkspaceMoveChecker
+ * @param {Object} config - Application configuration (state)
+ * @param {Object} config.canvas - Canvas configuration (cm)
+ * @param {Object} config.robot - Robot configuration
+ * @returns {Object} Report {isSafe, refill, moves, options}
+ */
+export function summarizeJobWorkspace(moves, config) {
+    const anchors = createAnchorConfig(config.canvas, config.robot.kinematics);
+    const options = getWorkspaceOptions(config.robot);
+
+    const refillPosition = config.robot.refillPosition || { x: 0, y: 0 };
+    const refill = {
+        x: refillPosition.x * 10, // cm to mm
+        y: refillPosition.y * 10,
+        ...analyzePoint(refillPosition.x * 10, refillPosition.y * 10, anchors, options)
+    };
+
+    return {
+        isSafe: refill.status === WorkspaceStatus.SAFE && moves.violationCount === 0,
+        refill,
+        moves,
+        options
+    };
+}
+
+/**
+ * Analyze a complete job: the refill position and every G-code move
+ *
+ * @param {string} gcode - G-code program
+ * @param {Object} config - Application configuration (state)
+ * @param {Object} config.canvas - Canvas configuration (cm)
+ * @param {Object} config.robot - Robot configuration
+ * @returns {Object} Report {isSafe, refill, moves, options}
+ */
+export function analyzeJobWorkspace(gcode, config) {
+    const anchors = createAnchorConfig(config.canvas, config.robot.kinematics);
+    const moves = analyzeGcodeWorkspace(gcode, anchors, getWorkspaceOptions(config.robot),
+        getCompensationOptions(config.robot));
+
+    return summarizeJobWorkspace(moves, config);
+}
+
+/**
+ * Summarize a job workspace report in one sentence
+ *
+ * @param {Object} report - Report from analyzeJobWorkspace()
+ * @returns {string} Human-readable summary
+ */
+export function describeWorkspaceReport(report) {
+    if (report.isSafe) {
+        return 'All moves are within the safe workspace';
+    }
+
+    const problems = [];
+    if (report.refill.status !== WorkspaceStatus.SAFE) {
+        problems.push(`refill position is ${report.refill.status}`);
+    }
+    if (report.moves.violationCount > 0) {
+        const first = report.moves.violations[0];
+        problems.push(`${report.moves.violationCount} of ${report.moves.checkedMoves} moves leave the safe workspace (first at line ${first.line}: ${first.status})`);
+    }
+
+    return `Workspace check failed: ${problems.join('; ')}`;
+}
+
+export default {
+    WorkspaceStatus,
+    WorkspacePolicy,
+    getWorkspaceOptions,
+    computeCableTensions,
+    analyzePoint,
+    computeWorkspaceMap,
+    WorkspaceMoveChecker,
+    analyzeGcodeWorkspace,
+    summarizeJobWorkspace,
+    analyzeJobWorkspace,
+    describeWorkspaceReport
+};
@@ -8,7 +8,9 @@
 // Import core modules
 import eventBus, { Events } from './core/eventBus.js';
 import state from './core/state.js';
-import { getPresetList, applyPreset } from './core/config.js';
+import { validateCrossFields, mergeConfig } from './core/config.js';
+import presetStore from './core/presetStore.js';
+import machineProfileStore, { applyMachineProfile, findMachineProfile } from './core/machineProfiles.js';
 
 // Import processing modules
 import imageLoader from './processing/imageLoader.js';
@@ -17,12 +19,15 @@ import imagePreprocessor from './processing/imagePreprocessor.js';
 import colorSeparator from './processing/colorSeparator.js';
 
 // Import algorithm modules
-import kMeans from './algorithms/kMeans.js';
-import edgeDetection from './algorithms/edgeDetection.js';
 import { rgbToHex, hexToRgb } from './algorithms/colorUtils.js';
 
 // Import G-code generation modules
-import gcodeGenerator from './gcode/gcodeGenerator.js';
+import { getDialectList, DEFAULT_DIALECT } from './gcode/postProcessor.js';
+import { createAnchorConfig, getAnchorsInUse, getMachineAxes } from './gcode/coordinateTransformer.js';
+import { calibrateAnchors, toAnchorStateUpdates, MIN_MARKS } from './gcode/anchorCalibration.js';
+import { getCompensationOptions } from './gcode/cableCompensation.js';
+import { streamResumeProgram } from './gcode/jobResume.js';
+import { SplitMode, splitProgram, estimatePiece, buildManifest } from './gcode/jobSplitter.js';
 
 // Import simulation modules
 import { PreviewGenerator, PreviewEvents } from './simulation/previewGenerator.js';
@@ -36,10 +41,48 @@ import { JobEstimator, EstimationEvents } from './estimation/jobEstimator.js';
 import * as gcodeExporter from './ui/gcodeExporter.js';
 import * as clipboardManager from './ui/clipboardManager.js';
 import * as fileManager from './ui/fileManager.js';
+import * as sessionStore from './ui/sessionStore.js';
+import { GCodeViewer } from './ui/gcodeViewer.js';
+
+// Import worker pipeline
+import { PipelineClient } from './workers/pipelineClient.js';
 
 // Global instances
 let previewGenerator = null;
 let jobEstimator = null;
+let gcodeViewer = null;
+const pipelineClient = new PipelineClient();
+
+// Settings the shown G-code was generated with (resume files must match them)
+let generatedConfig = null;
+
+// Input element ids by state path, for showing settings issues inline
+const inputElementIds = {};
+
+// Cross-field errors in the current settings (generation is blocked while any remain)
+let settingsErrors = [];
+
+// Largest program (in lines) that is read back as one string for validation,
+// estimates and copying; bigger jobs only live in the generated file
+const FULL_TEXT_LINE_LIMIT = 250000;
+
+// Anchor calibration measurements: [{x, y, lengths: {X, Y, Z, A}}] in cm
+let calibrationMarks = [];
+
+// Anchor input id prefixes mapped to canvas state keys
+const ANCHOR_INPUTS = {
+    tl: 'anchorTopLeft',
+    tr: 'anchorTopRight',
+    bl: 'anchorBottomLeft',
+    br: 'anchorBottomRight'
+};
+
+// Anchor setup help text per cable kinematics
+const KINEMATICS_HELP = {
+    'two-cable': 'The robot hangs from the top anchors only (X = left cable, Y = right cable)',
+    'three-cable': 'The Z cable attaches midway between the bottom anchors',
+    'four-cable': 'Each bottom anchor drives its own cable (Z = bottom-left, A = bottom-right)'
+};
 
 // ============================================================================
 // Application Initialization
@@ -76,9 +119,21 @@ function initializeApp() {
     // Setup presets
     setupPresets();
     
+    // Setup machine profiles
+    setupMachineProfiles();
+    
+    // Check constraints between settings
+    setupSettingsChecks();
+    
     // Initialize UI with current state
     syncUIWithState();
     
+    // Start undo history from the settings the UI opened with
+    state.clearHistory();
+    
+    // Offer to restore the last session, then keep autosaving
+    setupAutosave();
+    
     console.log('✅ Application initialized successfully');
 }
 
@@ -98,8 +153,22 @@ function initializeCoreModules() {
         showError(data.error || 'An error occurred');
     });
     
+    // Undo and redo replace whole settings sections; refresh every control
+    eventBus.on(Events.STATE_CHANGED, (data) => {
+        if (data.type === 'undo' || data.type === 'redo') {
+            syncUIWithState();
+            if (data.sections.includes('paint')) {
+                generateColorPickers();
+            }
+        }
+    });
+    
     eventBus.on(Events.WARNING_OCCURRED, (data) => {
         console.warn('⚠️ Warning:', data);
+        
+        if (data.context === 'workspace') {
+            gcodeExporter.showFeedback(data.message, 'warning', 6000);
+        }
     });
     
     console.log('✅ Core modules initialized');
@@ -216,11 +285,9 @@ async function handleImageLoadedEvent(data) {
             height: data.image.height
         }, false);
         
-        // Enable generate button
-        const generateBtn = document.getElementById('generate-gcode-btn');
-        if (generateBtn) {
-            generateBtn.disabled = false;
-        }
+        // Enable generate button (unless the settings have errors)
+        updateGenerateButton();
+        document.getElementById('export-project-btn').disabled = false;
         
         console.log('✅ Image displayed successfully');
         
@@ -246,6 +313,12 @@ function initializeUI() {
     // Mode-specific settings visibility
     setupModeSettings();
     
+    // Cable kinematics selection
+    setupKinematicsSettings();
+    
+    // Anchor calibration from measured cable lengths
+    setupAnchorCalibration();
+    
     // Color mode settings
     setupColorModeSettings();
     
@@ -254,6 +327,43 @@ function initializeUI() {
     
     // Nozzle preview
     initializeNozzlePreview();
+    
+    // Export dialect selector
+    setupDialectSelector();
+    
+    // Virtualized G-code output
+    gcodeViewer = new GCodeViewer(
+        document.getElementById('gcode-output'),
+        document.getElementById('gcode-output-status')
+    );
+}
+
+/**
+ * Populate the controller dialect selector from the post-processor registry
+ */
+function setupDialectSelector() {
+    const dialectSelect = document.getElementById('gcode-dialect');
+    const description = document.getElementById('gcode-dialect-description');
+    if (!dialectSelect) return;
+    
+    const dialects = getDialectList();
+    dialects.forEach(dialect => {
+        const option = document.createElement('option');
+        option.value = dialect.id;
+        option.textContent = dialect.name;
+        option.title = dialect.description;
+        dialectSelect.appendChild(option);
+    });
+    dialectSelect.value = DEFAULT_DIALECT;
+    
+    const updateDescription = () => {
+        const selected = dialects.find(d => d.id === dialectSelect.value);
+        if (description) {
+            description.textContent = selected ? selected.description : '';
+        }
+    };
+    dialectSelect.addEventListener('change', updateDescription);
+    updateDescription();
 }
 
 /**
@@ -289,6 +399,8 @@ function setupModeSettings() {
     const modeRadios = document.querySelectorAll('input[name="painting-mode"]');
     const dotSettings = document.getElementById('dot-mode-settings');
     const lineSettings = document.getElementById('line-mode-settings');
+    const hatchingSettings = document.getElementById('hatching-mode-settings');
+    const concentricSettings = document.getElementById('concentric-mode-settings');
     const edgeSettings = document.getElementById('edge-mode-settings');
     
     modeRadios.forEach(radio => {
@@ -301,6 +413,8 @@ function setupModeSettings() {
             // Hide all mode settings
             dotSettings.style.display = 'none';
             lineSettings.style.display = 'none';
+            hatchingSettings.style.display = 'none';
+            concentricSettings.style.display = 'none';
             edgeSettings.style.display = 'none';
             
             // Show selected mode settings
@@ -311,6 +425,12 @@ function setupModeSettings() {
                 case 'strokes':
                     lineSettings.style.display = 'block';
                     break;
+                case 'hatching':
+                    hatchingSettings.style.display = 'block';
+                    break;
+                case 'concentric':
+                    concentricSettings.style.display = 'block';
+                    break;
                 case 'spray':
                     edgeSettings.style.display = 'block';
                     break;
@@ -321,6 +441,148 @@ function setupModeSettings() {
     });
 }
 
+/**
+ * Setup cable kinematics selection
+ */
+function setupKinematicsSettings() {
+    const kinematicsRadios = document.querySelectorAll('input[name="kinematics"]');
+    const help = document.getElementById('anchor-kinematics-help');
+    
+    kinematicsRadios.forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            const kinematics = e.target.value;
+            
+            // Update state
+            state.set('robot.kinematics', kinematics);
+            
+            if (help) {
+                help.textContent = KINEMATICS_HELP[kinematics] || KINEMATICS_HELP['three-cable'];
+            }
+            
+            // Only show the anchors this kinematics attaches cables to
+            const inUse = getAnchorsInUse(kinematics);
+            Object.entries(ANCHOR_INPUTS).forEach(([prefix, key]) => {
+                const row = document.getElementById(`anchor-row-${prefix}`);
+                if (row) {
+                    row.classList.toggle('hidden', !inUse.includes(key));
+                }
+            });
+            
+            console.log(`🪢 Kinematics changed to: ${kinematics}`);
+        });
+    });
+}
+
+/**
+ * Setup anchor calibration from cable lengths measured at known wall marks
+ */
+function setupAnchorCalibration() {
+    const addButton = document.getElementById('add-calibration-mark');
+    const solveButton = document.getElementById('solve-calibration');
+    if (!addButton || !solveButton) return;
+    
+    // Start with the minimum number of marks the solver needs
+    calibrationMarks = Array.from({ length: MIN_MARKS }, () => ({ x: NaN, y: NaN, lengths: {} }));
+    renderCalibrationMarks();
+    
+    addButton.addEventListener('click', () => {
+        calibrationMarks.push({ x: NaN, y: NaN, lengths: {} });
+        renderCalibrationMarks();
+    });
+    
+    solveButton.addEventListener('click', handleSolveCalibration);
+    
+    // Cable columns follow the selected kinematics
+    state.subscribe('robot.kinematics', () => renderCalibrationMarks());
+}
+
+/**
+ * Render one input row per calibration mark
+ */
+function renderCalibrationMarks() {
+    const container = document.getElementById('calibration-marks');
+    if (!container) return;
+    
+    const axes = getMachineAxes(state.get('robot.kinematics'));
+    container.innerHTML = '';
+    
+    calibrationMarks.forEach((mark, index) => {
+        const row = document.createElement('div');
+        row.className = 'form-group-inline calibration-mark';
+        
+        const label = document.createElement('label');
+        label.textContent = `Mark ${index + 1}`;
+        row.appendChild(label);
+        
+        const fields = [
+            { placeholder: 'X', value: mark.x, onInput: (value) => { mark.x = value; } },
+            { placeholder: 'Y', value: mark.y, onInput: (value) => { mark.y = value; } },
+            ...axes.map(axis => ({
+                placeholder: `${axis} cable`,
+                value: mark.lengths[axis],
+                onInput: (value) => { mark.lengths[axis] = value; }
+            }))
+        ];
+        
+        fields.forEach(field => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '0.1';
+            input.placeholder = field.placeholder;
+            input.title = field.placeholder;
+            if (Number.isFinite(field.value)) {
+                input.value = field.value;
+            }
+            input.addEventListener('input', (e) => field.onInput(parseFloat(e.target.value)));
+            row.appendChild(input);
+        });
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-secondary';
+        removeButton.textContent = '✕';
+        removeButton.title = 'Remove mark';
+        removeButton.disabled = calibrationMarks.length <= MIN_MARKS;
+        removeButton.addEventListener('click', () => {
+            calibrationMarks.splice(index, 1);
+            renderCalibrationMarks();
+        });
+        row.appendChild(removeButton);
+        
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Solve anchor positions from the calibration marks and write them to state
+ */
+function handleSolveCalibration() {
+    const resultText = document.getElementById('calibration-result');
+    const kinematics = state.get('robot.kinematics');
+    
+    try {
+        const result = calibrateAnchors(calibrationMarks, kinematics);
+        
+        state.setMultiple(toAnchorStateUpdates(result.anchors, state.get('canvas')));
+        
+        const residuals = Object.entries(result.residuals)
+            .map(([axis, rms]) => `${axis} ±${rms}`)
+            .join(', ');
+        if (resultText) {
+            resultText.textContent = `Anchors updated (RMS error ${result.rmsError} cm: ${residuals})`;
+        }
+        
+        console.log('📐 Anchor calibration applied:', result);
+        gcodeExporter.showFeedback('Anchor positions calibrated', 'success');
+        
+    } catch (error) {
+        console.error('❌ Anchor calibration failed:', error);
+        if (resultText) {
+            resultText.textContent = error.message;
+        }
+        gcodeExporter.showFeedback(`Calibration failed: ${error.message}`, 'error');
+    }
+}
+
 /**
  * Setup color mode settings (auto vs manual)
  */
@@ -549,12 +811,49 @@ function setupStateSynchronization() {
     // Robot settings
     setupInputSync('paint-capacity', 'robot.paintCapacity', 'number');
     setupInputSync('move-speed', 'robot.moveSpeed', 'number');
+    setupInputSync('max-segment-length', 'robot.maxSegmentLength', 'number');
+    
+    // Workspace safety
+    setupInputSync('robot-weight', 'robot.weight', 'number');
+    setupInputSync('min-cable-tension', 'robot.minCableTension', 'number');
+    setupInputSync('max-cable-tension', 'robot.maxCableTension', 'number');
+    setupInputSync('max-cable-length', 'robot.maxCableLength', 'number');
+    setupInputSync('workspace-policy', 'robot.workspacePolicy', 'select');
+    setupInputSync('show-workspace', 'robot.showWorkspace', 'checkbox');
+    setupInputSync('cable-compensation', 'robot.cableCompensation.enabled', 'checkbox');
+    setupInputSync('cable-weight', 'robot.cableCompensation.cableWeight', 'number');
+    setupInputSync('cable-stiffness', 'robot.cableCompensation.cableStiffness', 'number');
+    setupInputSync('show-compensation', 'robot.cableCompensation.showDifference', 'checkbox');
+    
+    // Anchor positions (cm)
+    Object.entries(ANCHOR_INPUTS).forEach(([prefix, key]) => {
+        setupInputSync(`anchor-${prefix}-x`, `canvas.${key}.x`, 'number');
+        setupInputSync(`anchor-${prefix}-y`, `canvas.${key}.y`, 'number');
+    });
+    
+    // Paint settings - color
+    setupInputSync('dithering', 'paint.dithering', 'select');
     
     // Paint settings - pointillism mode
     setupInputSync('dot-density', 'paint.pointillism.dotDensity', 'number');
     setupInputSync('min-dot-size', 'paint.pointillism.minDotSize', 'number');
     setupInputSync('max-dot-size', 'paint.pointillism.maxDotSize', 'number');
     setupInputSync('randomness', 'paint.pointillism.randomness', 'number');
+    setupInputSync('dot-sizing', 'paint.pointillism.dotSizing', 'select');
+    setupInputSync('dot-placement', 'paint.pointillism.placement', 'select');
+    setupInputSync('max-dwell', 'paint.pointillism.maxDwell', 'number');
+    
+    // Paint settings - hatching mode
+    setupInputSync('hatch-angle', 'paint.hatching.angle', 'number');
+    setupInputSync('hatch-min-spacing', 'paint.hatching.minSpacing', 'number');
+    setupInputSync('hatch-max-spacing', 'paint.hatching.maxSpacing', 'number');
+    setupInputSync('cross-hatch', 'paint.hatching.crossHatch', 'checkbox');
+    setupInputSync('cross-hatch-angle', 'paint.hatching.crossAngle', 'number');
+    setupInputSync('cross-hatch-threshold', 'paint.hatching.crossThreshold', 'number');
+    
+    // Paint settings - concentric mode
+    setupInputSync('concentric-overlap', 'paint.concentric.overlap', 'number');
+    setupInputSync('concentric-max-rings', 'paint.concentric.maxRings', 'number');
     
     // Paint settings - strokes mode
     setupInputSync('stroke-length', 'paint.strokes.strokeLength', 'number');
@@ -573,7 +872,7 @@ function setupStateSynchronization() {
  * Setup synchronization for a single input element
  * @param {string} elementId - DOM element ID
  * @param {string} statePath - State path (dot notation)
- * @param {string} type - Input type ('number', 'text', 'checkbox')
+ * @param {string} type - Input type ('number', 'text', 'checkbox', 'select')
  */
 function setupInputSync(elementId, statePath, type = 'number') {
     const element = document.getElementById(elementId);
@@ -581,9 +880,10 @@ function setupInputSync(elementId, statePath, type = 'number') {
         console.warn(`Element not found: ${elementId}`);
         return;
     }
+    inputElementIds[statePath] = elementId;
     
     // Update state when UI changes
-    const eventType = type === 'checkbox' ? 'change' : 'input';
+    const eventType = type === 'checkbox' || type === 'select' ? 'change' : 'input';
     element.addEventListener(eventType, (e) => {
         let value;
         if (type === 'number') {
@@ -631,9 +931,36 @@ function syncUIWithState() {
     // Robot settings
     safeSetValue('paint-capacity', state.get('robot.paintCapacity'));
     safeSetValue('move-speed', state.get('robot.moveSpeed'));
+    safeSetValue('max-segment-length', state.get('robot.maxSegmentLength'));
+    
+    // Workspace safety
+    safeSetValue('robot-weight', state.get('robot.weight'));
+    safeSetValue('min-cable-tension', state.get('robot.minCableTension'));
+    safeSetValue('max-cable-tension', state.get('robot.maxCableTension'));
+    safeSetValue('max-cable-length', state.get('robot.maxCableLength'));
+    safeSetValue('workspace-policy', state.get('robot.workspacePolicy'));
+    safeSetChecked('show-workspace', state.get('robot.showWorkspace') !== false);
+    safeSetChecked('cable-compensation', Boolean(state.get('robot.cableCompensation.enabled')));
+    safeSetValue('cable-weight', state.get('robot.cableCompensation.cableWeight'));
+    safeSetValue('cable-stiffness', state.get('robot.cableCompensation.cableStiffness'));
+    safeSetChecked('show-compensation', state.get('robot.cableCompensation.showDifference') !== false);
+    
+    // Kinematics and anchors
+    const kinematics = state.get('robot.kinematics') || 'three-cable';
+    const kinematicsRadio = document.querySelector(`input[name="kinematics"][value="${kinematics}"]`);
+    if (kinematicsRadio) {
+        kinematicsRadio.checked = true;
+        kinematicsRadio.dispatchEvent(new Event('change'));
+    }
+    Object.entries(ANCHOR_INPUTS).forEach(([prefix, key]) => {
+        const anchor = state.get(`canvas.${key}`) || {};
+        safeSetValue(`anchor-${prefix}-x`, anchor.x);
+        safeSetValue(`anchor-${prefix}-y`, anchor.y);
+    });
     
     // Paint settings
     safeSetValue('num-colors', state.get('paint.numColors'));
+    safeSetValue('dithering', state.get('paint.dithering'));
     
     // Set painting mode radio
     const paintingMode = state.get('paint.paintingMode');
@@ -648,6 +975,21 @@ function syncUIWithState() {
     safeSetValue('min-dot-size', state.get('paint.pointillism.minDotSize'));
     safeSetValue('max-dot-size', state.get('paint.pointillism.maxDotSize'));
     safeSetValue('randomness', state.get('paint.pointillism.randomness'));
+    safeSetValue('dot-sizing', state.get('paint.pointillism.dotSizing'));
+    safeSetValue('dot-placement', state.get('paint.pointillism.placement'));
+    safeSetValue('max-dwell', state.get('paint.pointillism.maxDwell'));
+    
+    // Hatching settings
+    safeSetValue('hatch-angle', state.get('paint.hatching.angle'));
+    safeSetValue('hatch-min-spacing', state.get('paint.hatching.minSpacing'));
+    safeSetValue('hatch-max-spacing', state.get('paint.hatching.maxSpacing'));
+    safeSetChecked('cross-hatch', state.get('paint.hatching.crossHatch') !== false);
+    safeSetValue('cross-hatch-angle', state.get('paint.hatching.crossAngle'));
+    safeSetValue('cross-hatch-threshold', state.get('paint.hatching.crossThreshold'));
+    
+    // Concentric settings
+    safeSetValue('concentric-overlap', state.get('paint.concentric.overlap'));
+    safeSetValue('concentric-max-rings', state.get('paint.concentric.maxRings'));
     
     // Strokes settings
     safeSetValue('stroke-length', state.get('paint.strokes.strokeLength'));
@@ -667,22 +1009,196 @@ function syncUIWithState() {
     }
     safeSetValue('nozzle-size', state.get('nozzle.size'));
     
+    // Machine profile the settings run on
+    renderMachineProfileOptions();
+    
     console.log('✅ UI synced with state');
 }
 
+// ============================================================================
+// Settings Checks
+// ============================================================================
+
+/**
+ * Check constraints between settings whenever they change
+ */
+function setupSettingsChecks() {
+    // Controls for settings that are not bound through setupInputSync()
+    inputElementIds['nozzle.size'] = 'nozzle-size';
+    inputElementIds['robot.refillPosition'] = 'set-refill-position';
+    
+    eventBus.on(Events.STATE_CHANGED, (data) => {
+        if (typeof data.path === 'string' && data.path.startsWith('processing')) return;
+        updateSettingsChecks();
+    });
+    
+    updateSettingsChecks();
+    console.log('✅ Settings checks configured');
+}
+
+/**
+ * Show cross-field issues next to the offending inputs and in the summary
+ * above the Generate button; errors disable generation.
+ */
+function updateSettingsChecks() {
+    const result = validateCrossFields(state.getState());
+    settingsErrors = result.errors;
+    
+    // Clear previous messages
+    document.querySelectorAll('.field-message').forEach(message => message.remove());
+    document.querySelectorAll('.input-error, .input-warning').forEach(element => {
+        element.classList.remove('input-error', 'input-warning');
+    });
+    
+    result.issues.forEach(issue => {
+        const elements = issue.paths
+            .flatMap(path => Object.keys(inputElementIds)
+                .filter(inputPath => inputPath === path || inputPath.startsWith(path + '.'))
+                .map(inputPath => document.getElementById(inputElementIds[inputPath])))
+            .filter(Boolean);
+        
+        elements.forEach(element => element.classList.add(`input-${issue.severity}`));
+        
+        // One message per issue, under the first input it concerns
+        if (elements.length > 0) {
+            const message = document.createElement('p');
+            message.className = `field-message field-${issue.severity}`;
+            message.textContent = issue.message;
+            const group = elements[0].closest('.form-group, .form-group-inline') || elements[0].parentElement;
+            group.insertAdjacentElement('afterend', message);
+        }
+    });
+    
+    // Summary, including issues on settings without an input
+    const summary = document.getElementById('settings-issues');
+    summary.innerHTML = '';
+    result.issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.className = `field-${issue.severity}`;
+        item.textContent = `${issue.severity === 'error' ? '⛔' : '⚠️'} ${issue.message}`;
+        summary.appendChild(item);
+    });
+    
+    updateGenerateButton();
+}
+
+/**
+ * Enable Generate once an image is loaded and the settings have no errors
+ */
+function updateGenerateButton() {
+    const generateBtn = document.getElementById('generate-gcode-btn');
+    if (!generateBtn) return;
+    
+    generateBtn.disabled = !state.get('processing.uploadedImage') || settingsErrors.length > 0;
+    generateBtn.title = settingsErrors.length > 0 ? 'Fix the settings errors listed above first' : '';
+}
+
 // ============================================================================
 // Presets
 // ============================================================================
 
 /**
- * Setup preset selection
+ * Setup preset selection and management
  */
 function setupPresets() {
     console.log('📦 Setting up presets...');
     
-    const presetSelect = document.createElement('select');
-    presetSelect.id = 'preset-select';
-    presetSelect.className = 'form-control';
+    const presetSelect = document.getElementById('preset-select');
+    renderPresetOptions();
+    eventBus.on(Events.PRESETS_CHANGED, () => renderPresetOptions(presetSelect.value));
+    
+    // Handle preset selection
+    presetSelect.addEventListener('change', (e) => {
+        const presetKey = e.target.value;
+        updatePresetButtons();
+        if (!presetKey) return;
+        
+        const currentState = state.getState();
+        const newState = presetStore.apply(currentState, presetKey);
+        
+        if (newState) {
+            state.loadState(newState);
+            syncUIWithState();
+            eventBus.emit(Events.PRESET_LOADED, { preset: presetKey });
+            console.log(`📦 Preset loaded: ${presetKey}`);
+        }
+    });
+    
+    // Save the current settings (overwrites a user preset of the same name)
+    document.getElementById('save-preset-btn').addEventListener('click', () => {
+        const selected = presetSelect.value ? presetStore.get(presetSelect.value) : null;
+        const name = prompt('Preset name', selected && !selected.builtIn ? selected.name : '');
+        if (name === null) return;
+        if (presetStore.has(name) && !confirm(`Overwrite preset "${name.trim()}"?`)) return;
+        
+        try {
+            const key = presetStore.save(name, state.getState());
+            presetSelect.value = key;
+            updatePresetButtons();
+            gcodeExporter.showFeedback('Preset saved', 'success');
+            console.log(`💾 Preset saved: ${key}`);
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+    
+    document.getElementById('rename-preset-btn').addEventListener('click', () => {
+        const presetKey = presetSelect.value;
+        const preset = presetStore.get(presetKey);
+        const name = prompt('Rename preset', preset.name);
+        if (name === null) return;
+        
+        try {
+            presetStore.rename(presetKey, name);
+            gcodeExporter.showFeedback('Preset renamed', 'success');
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+    
+    document.getElementById('delete-preset-btn').addEventListener('click', () => {
+        const presetKey = presetSelect.value;
+        const preset = presetStore.get(presetKey);
+        if (!confirm(`Delete preset "${preset.name}"?`)) return;
+        
+        presetStore.remove(presetKey);
+        gcodeExporter.showFeedback('Preset deleted', 'success');
+        console.log(`🗑️ Preset deleted: ${presetKey}`);
+    });
+    
+    document.getElementById('export-presets-btn').addEventListener('click', () => {
+        try {
+            fileManager.savePresets(presetStore.exportPresets(), 'muralbot-presets');
+            gcodeExporter.showFeedback('Presets exported', 'success');
+        } catch (error) {
+            console.error('❌ Error exporting presets:', error);
+            showError(`Failed to export presets: ${error.message}`);
+        }
+    });
+    
+    document.getElementById('import-presets-btn').addEventListener('click', () => {
+        fileManager.promptFileSelection('.json', async (file) => {
+            try {
+                const count = presetStore.importPresets(await fileManager.loadPresets(file));
+                gcodeExporter.showFeedback(`Imported ${count} preset${count === 1 ? '' : 's'}`, 'success');
+                console.log(`📥 Presets imported: ${count}`);
+            } catch (error) {
+                console.error('❌ Error importing presets:', error);
+                showError(`Failed to import presets: ${error.message}`);
+            }
+        });
+    });
+    
+    console.log('✅ Presets configured');
+}
+
+/**
+ * Fill the preset selector with built-in and user presets
+ * @param {string} [selectedKey=''] - Preset to keep selected, if it still exists
+ */
+function renderPresetOptions(selectedKey = '') {
+    const presetSelect = document.getElementById('preset-select');
+    presetSelect.innerHTML = '';
     
     // Add default option
     const defaultOption = document.createElement('option');
@@ -690,48 +1206,284 @@ function setupPresets() {
     defaultOption.textContent = '-- Select a preset --';
     presetSelect.appendChild(defaultOption);
     
-    // Add presets
-    const presets = getPresetList();
-    presets.forEach(preset => {
+    // Group built-in and user presets
+    const builtInGroup = document.createElement('optgroup');
+    builtInGroup.label = 'Built-in';
+    const userGroup = document.createElement('optgroup');
+    userGroup.label = 'My Presets';
+    
+    presetStore.list().forEach(preset => {
         const option = document.createElement('option');
         option.value = preset.key;
         option.textContent = preset.name;
         option.title = preset.description;
-        presetSelect.appendChild(option);
+        (preset.builtIn ? builtInGroup : userGroup).appendChild(option);
     });
     
-    // Add preset selector to settings tab
-    const canvasSettings = document.querySelector('#tab-settings .section');
-    if (canvasSettings) {
-        const presetGroup = document.createElement('div');
-        presetGroup.className = 'form-group';
-        presetGroup.innerHTML = `
-            <label for="preset-select">Load Preset Configuration</label>
-        `;
-        presetGroup.appendChild(presetSelect);
-        canvasSettings.insertBefore(presetGroup, canvasSettings.firstChild);
-    }
+    [builtInGroup, userGroup]
+        .filter(group => group.children.length > 0)
+        .forEach(group => presetSelect.appendChild(group));
     
-    // Handle preset selection
-    presetSelect.addEventListener('change', (e) => {
-        const presetKey = e.target.value;
-        if (!presetKey) return;
-        
-        const currentState = state.getState();
-        const newState = applyPreset(currentState, presetKey);
+    presetSelect.value = presetSelect.querySelector(`option[value="${selectedKey}"]`) ? selectedKey : '';
+    updatePresetButtons();
+}
+
+/**
+ * Enable the preset buttons that apply to the current selection
+ */
+function updatePresetButtons() {
+    const presetKey = document.getElementById('preset-select').value;
+    const isUserPreset = presetKey !== '' && presetStore.list().some(preset => preset.key === presetKey && !preset.builtIn);
+    
+    document.getElementById('rename-preset-btn').disabled = !isUserPreset;
+    document.getElementById('delete-preset-btn').disabled = !isUserPreset;
+    document.getElementById('export-presets-btn').disabled = presetStore.exportPresets().length === 0;
+}
+
+// ============================================================================
+// Machine Profiles
+// ============================================================================
+
+/**
+ * Setup machine profile selection and management
+ */
+function setupMachineProfiles() {
+    console.log('🤖 Setting up machine profiles...');
+    
+    const profileSelect = document.getElementById('machine-profile-select');
+    eventBus.on(Events.MACHINE_PROFILES_CHANGED, () => renderMachineProfileOptions());
+    
+    // Switching profiles keeps the job settings and replaces the machine
+    profileSelect.addEventListener('change', (e) => {
+        const profileKey = e.target.value;
+        if (!profileKey) {
+            state.set('machineProfile', null);
+            updateMachineProfileButtons();
+            return;
+        }
         
+        const newState = applyMachineProfile(state.getState(), profileKey);
         if (newState) {
             state.loadState(newState);
             syncUIWithState();
-            eventBus.emit(Events.PRESET_LOADED, { preset: presetKey });
-            console.log(`📦 Preset loaded: ${presetKey}`);
+            console.log(`🤖 Machine profile applied: ${profileKey}`);
         }
+    });
+    
+    // Save the current machine settings (overwrites a user profile of the same name)
+    document.getElementById('save-machine-profile-btn').addEventListener('click', () => {
+        const selected = profileSelect.value ? machineProfileStore.get(profileSelect.value) : null;
+        const name = prompt('Machine profile name', selected && !selected.builtIn ? selected.name : '');
+        if (name === null) return;
+        if (machineProfileStore.has(name) && !confirm(`Overwrite machine profile "${name.trim()}"?`)) return;
         
-        // Reset selector
-        presetSelect.value = '';
+        try {
+            const key = machineProfileStore.save(name, state.getState());
+            state.set('machineProfile', { key, name: machineProfileStore.get(key).name });
+            renderMachineProfileOptions();
+            gcodeExporter.showFeedback('Machine profile saved', 'success');
+            console.log(`💾 Machine profile saved: ${key}`);
+        } catch (error) {
+            showError(error.message);
+        }
     });
     
-    console.log('✅ Presets configured');
+    document.getElementById('rename-machine-profile-btn').addEventListener('click', () => {
+        const profileKey = profileSelect.value;
+        const profile = machineProfileStore.get(profileKey);
+        const name = prompt('Rename machine profile', profile.name);
+        if (name === null) return;
+        
+        try {
+            machineProfileStore.rename(profileKey, name);
+            state.set('machineProfile', { key: profileKey, name: machineProfileStore.get(profileKey).name });
+            renderMachineProfileOptions();
+            gcodeExporter.showFeedback('Machine profile renamed', 'success');
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+    
+    // The settings stay as they are; they just no longer belong to a profile
+    document.getElementById('delete-machine-profile-btn').addEventListener('click', () => {
+        const profileKey = profileSelect.value;
+        const profile = machineProfileStore.get(profileKey);
+        if (!confirm(`Delete machine profile "${profile.name}"?`)) return;
+        
+        machineProfileStore.remove(profileKey);
+        state.set('machineProfile', null);
+        renderMachineProfileOptions();
+        gcodeExporter.showFeedback('Machine profile deleted', 'success');
+        console.log(`🗑️ Machine profile deleted: ${profileKey}`);
+    });
+    
+    document.getElementById('export-machine-profile-btn').addEventListener('click', () => {
+        try {
+            fileManager.saveConfiguration(state.getState(), 'muralbot-machine', 'machine');
+            gcodeExporter.showFeedback('Machine profile exported', 'success');
+        } catch (error) {
+            console.error('❌ Error exporting machine profile:', error);
+            showError(`Failed to export machine profile: ${error.message}`);
+        }
+    });
+    
+    document.getElementById('import-machine-profile-btn').addEventListener('click', () => {
+        fileManager.promptFileSelection('.json', async (file) => {
+            try {
+                const { kind, config } = await fileManager.loadConfiguration(file);
+                if (kind !== 'machine') {
+                    throw new Error('Not a machine profile file; use Load Settings for job settings');
+                }
+                importMachineProfile(config, file.name);
+            } catch (error) {
+                console.error('❌ Error importing machine profile:', error);
+                showError(`Failed to import machine profile: ${error.message}`);
+            }
+        });
+    });
+    
+    console.log('✅ Machine profiles configured');
+}
+
+/**
+ * Add a machine profile read from a file and switch to it
+ * A name already in use gets a numbered suffix.
+ * @param {Object} config - Machine settings with their machineProfile reference, see fileManager.loadConfiguration()
+ * @param {string} filename - Name of the file, used when the profile has no name
+ */
+function importMachineProfile(config, filename) {
+    const name = config.machineProfile ? config.machineProfile.name : filename.replace(/\.json$/i, '');
+    machineProfileStore.importPresets([{ name, config }]);
+    
+    const imported = machineProfileStore.list().pop();
+    state.loadState(applyMachineProfile(state.getState(), imported.key));
+    syncUIWithState();
+    
+    gcodeExporter.showFeedback(`Machine profile "${imported.name}" imported`, 'success');
+    console.log(`📥 Machine profile imported: ${imported.key}`);
+}
+
+/**
+ * Fill the machine profile selector and select the profile the settings run on
+ */
+function renderMachineProfileOptions() {
+    const profileSelect = document.getElementById('machine-profile-select');
+    const reference = state.get('machineProfile');
+    profileSelect.innerHTML = '';
+    
+    // Settings that were changed by hand or loaded without a profile
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = '-- Unsaved machine --';
+    profileSelect.appendChild(noneOption);
+    
+    const builtInGroup = document.createElement('optgroup');
+    builtInGroup.label = 'Built-in';
+    const userGroup = document.createElement('optgroup');
+    userGroup.label = 'My Machines';
+    
+    machineProfileStore.list().forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.key;
+        option.textContent = profile.name;
+        option.title = profile.description;
+        (profile.builtIn ? builtInGroup : userGroup).appendChild(option);
+    });
+    
+    [builtInGroup, userGroup]
+        .filter(group => group.children.length > 0)
+        .forEach(group => profileSelect.appendChild(group));
+    
+    const selectedKey = reference ? reference.key : '';
+    profileSelect.value = profileSelect.querySelector(`option[value="${selectedKey}"]`) ? selectedKey : '';
+    updateMachineProfileButtons();
+}
+
+/**
+ * Enable the machine profile buttons that apply to the current selection
+ */
+function updateMachineProfileButtons() {
+    const profileKey = document.getElementById('machine-profile-select').value;
+    const isUserProfile = profileKey !== '' && machineProfileStore.list().some(profile => profile.key === profileKey && !profile.builtIn);
+    
+    document.getElementById('rename-machine-profile-btn').disabled = !isUserProfile;
+    document.getElementById('delete-machine-profile-btn').disabled = !isUserProfile;
+}
+
+// ============================================================================
+// Session Autosave
+// ============================================================================
+
+/**
+ * Offer to restore the last session, then autosave on every change
+ * Settings are saved after any state change; the image and G-code go with
+ * them once loaded or generated.
+ */
+async function setupAutosave() {
+    if (!sessionStore.isSessionStorageSupported()) {
+        console.warn('⚠️ IndexedDB not available: session autosave disabled');
+        return;
+    }
+    
+    const session = await sessionStore.loadSession();
+    if (session) {
+        const savedAt = new Date(session.savedAt).toLocaleString();
+        if (confirm(`Restore your last session from ${savedAt}?`)) {
+            await restoreSession(session);
+        } else {
+            await sessionStore.clearSession().catch(error => console.error('❌ Error clearing session:', error));
+        }
+    }
+    
+    const autosave = sessionStore.createAutosave(getSessionSnapshot);
+    eventBus.on(Events.STATE_CHANGED, autosave.schedule);
+    eventBus.on(Events.IMAGE_UPLOADED, autosave.schedule);
+    eventBus.on(Events.GCODE_GENERATED, autosave.schedule);
+    
+    // Save pending changes before the tab is hidden or closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            autosave.flush();
+        }
+    });
+    
+    console.log('💾 Session autosave enabled');
+}
+
+/**
+ * Collect the working session for autosave
+ * @returns {{settings: Object, project: Object|null}} Current settings and, once an
+ *          image is loaded, the project (see getProjectSnapshot())
+ */
+function getSessionSnapshot() {
+    const { processing, ...settings } = state.getState();
+    return { settings, project: getProjectSnapshot() };
+}
+
+/**
+ * Restore an autosaved session
+ * @param {Object} session - Session from sessionStore.loadSession()
+ */
+async function restoreSession(session) {
+    console.log('♻️ Restoring session from', session.savedAt);
+    
+    try {
+        if (session.project) {
+            await restoreProject(session.project);
+        }
+        
+        // Settings may have changed after the G-code was generated
+        state.loadState({ ...session.settings, processing: state.getState().processing });
+        syncUIWithState();
+        state.clearHistory();
+        
+        gcodeExporter.showFeedback('Session restored', 'success');
+        console.log('✅ Session restored');
+        
+    } catch (error) {
+        console.error('❌ Error restoring session:', error);
+        showError(`Failed to restore session: ${error.message}`);
+    }
 }
 
 // ============================================================================
@@ -761,6 +1513,10 @@ function initializeEventListeners() {
     const generateBtn = document.getElementById('generate-gcode-btn');
     generateBtn.addEventListener('click', handleGenerateGCode);
     
+    // Cancel generation button
+    const cancelBtn = document.getElementById('cancel-generation-btn');
+    cancelBtn.addEventListener('click', () => pipelineClient.cancel());
+    
     // Download G-code button
     const downloadBtn = document.getElementById('download-gcode-btn');
     downloadBtn.addEventListener('click', handleDownloadGCode);
@@ -773,6 +1529,34 @@ function initializeEventListeners() {
     const refillBtn = document.getElementById('set-refill-position');
     refillBtn.addEventListener('click', handleSetRefillPosition);
     
+    // Resume job controls
+    document.getElementById('resume-mode').addEventListener('change', (e) => {
+        const byLine = e.target.value === 'line';
+        document.getElementById('resume-line-group').style.display = byLine ? '' : 'none';
+        document.getElementById('resume-layer-group').style.display = byLine ? 'none' : '';
+    });
+    document.getElementById('download-resume-btn').addEventListener('click', handleDownloadResume);
+    
+    // Split job controls
+    document.getElementById('split-mode').addEventListener('change', (e) => {
+        document.getElementById('split-runtime-group').style.display = e.target.value === SplitMode.RUNTIME ? '' : 'none';
+        document.getElementById('split-cans-group').style.display = e.target.value === SplitMode.CANS ? '' : 'none';
+    });
+    document.getElementById('download-split-btn').addEventListener('click', handleDownloadSplit);
+    
+    // Project bundle controls
+    document.getElementById('export-project-btn').addEventListener('click', handleExportProject);
+    document.getElementById('save-project-btn').addEventListener('click', handleSaveProject);
+    document.getElementById('import-project-btn').addEventListener('click', () => {
+        fileManager.promptFileSelection('.zip,.json', handleImportProject);
+    });
+    
+    // Job settings and machine profiles are saved separately
+    document.getElementById('save-job-btn').addEventListener('click', handleSaveJobSettings);
+    document.getElementById('load-settings-btn').addEventListener('click', () => {
+        fileManager.promptFileSelection('.json', handleLoadSettings);
+    });
+    
     // Setup keyboard shortcuts
     setupKeyboardShortcuts();
 }
@@ -826,6 +1610,11 @@ async function handleImageUpload(event) {
 async function handleGenerateGCode() {
     console.log('⚡ Generate G-Code clicked');
     
+    if (pipelineClient.isRunning()) {
+        console.warn('⚠️ Generation already running');
+        return;
+    }
+    
     try {
         // Get the uploaded image object from state
         const uploadedImage = state.get('processing.uploadedImage');
@@ -834,15 +1623,18 @@ async function handleGenerateGCode() {
             return;
         }
         
+        if (settingsErrors.length > 0) {
+            showError(`Fix the settings first:\n- ${settingsErrors.map(issue => issue.message).join('\n- ')}`);
+            return;
+        }
+        
         // Emit event
         eventBus.emit(Events.GCODE_GENERATION_STARTED, {
             config: state.getState()
         });
         
         // Get configuration
-        const paintingMode = state.get('paint.paintingMode');
         const colorMode = document.querySelector('input[name="color-mode"]:checked').value;
-        const numColors = state.get('paint.numColors');
         
         showProgress(5, 'Starting image processing...');
         
@@ -910,149 +1702,121 @@ async function handleGenerateGCode() {
         console.log('  - Width:', imageToPreprocess.width);
         console.log('  - Height:', imageToPreprocess.height);
         
-        // Preprocess image - pass the HTMLImageElement
-        console.log('🔄 Calling imagePreprocessor.preprocess()...');
-        const preprocessResult = await imagePreprocessor.preprocess(
-            imageToPreprocess,
-            {
-                resize: {
-                    enabled: false // Use original size for now
-                },
-                contrast: {
-                    enabled: true,
-                    factor: 1.0
+        // Process the image and generate G-code in the pipeline worker.
+        // Earlier processing results stay on the page; the worker only needs settings.
+        const config = state.getState();
+        const { processing, ...settings } = config;
+        const image = typeof createImageBitmap === 'function'
+            ? await createImageBitmap(imageToPreprocess)
+            : imageToPreprocess;
+        
+        const unsubscribeProgress = [
+            eventBus.on(Events.PROCESSING_PROGRESS, data => showProgress(data.percentage, data.message)),
+            eventBus.on(Events.GCODE_GENERATION_PROGRESS, data => showProgress(data.percentage, data.message))
+        ];
+        setCancelButtonVisible(true);
+        
+        let result;
+        try {
+            result = await pipelineClient.run({
+                image,
+                config: settings,
+                colorMode,
+                manualPalette: state.get('paint.selectedColors').map(hexToRgb),
+                thresholds: {
+                    low: parseInt(document.getElementById('threshold-low').value),
+                    high: parseInt(document.getElementById('threshold-high').value)
                 },
-                brightness: {
-                    enabled: true,
-                    factor: 0
+                preprocessOptions: {
+                    resize: {
+                        enabled: false // Use original size for now
+                    },
+                    contrast: {
+                        enabled: true,
+                        factor: 1.0
+                    },
+                    brightness: {
+                        enabled: true,
+                        factor: 0
+                    }
                 }
-            }
-        );
-        console.log('✅ Preprocessing complete');
-        
-        // Extract the processed ImageData
-        const processedImageData = preprocessResult.imageData;
-        
-        showProgress(15, 'Image preprocessed');
-        
-        let colorPalette;
-        let colorLayers;
-        let edgeMap;
-        
-        // Process based on painting mode
-        if (paintingMode === 'spray' || paintingMode === 'sketch') {
-            // Edge detection for sketch mode
-            showProgress(20, 'Detecting edges...');
-            
-            const lowThreshold = parseInt(document.getElementById('threshold-low').value);
-            const highThreshold = parseInt(document.getElementById('threshold-high').value);
-            
-            edgeMap = await edgeDetection.detectEdges(
-                processedImageData,
-                lowThreshold,
-                highThreshold
-            );
-            
-            // Display edge map on preview canvas
-            canvasManager.displayPreview(edgeMap);
-            
-            showProgress(60, 'Edges detected');
-            
-        } else {
-            // Color processing for pointillism and strokes modes
-            if (colorMode === 'auto') {
-                // Auto-pick colors using K-Means
-                showProgress(20, 'Finding dominant colors...');
-                
-                // Use sample rate for large images (every 2nd pixel)
-                const sampleRate = processedImageData.width * processedImageData.height > 1000000 ? 2 : 1;
-                
-                colorPalette = await kMeans.findDominantColors(
-                    processedImageData,
-                    numColors,
-                    50, // max iterations
-                    sampleRate
-                );
-                
+            }, {
                 // Update manual color pickers with auto-picked colors
-                updateColorPickersWithPalette(colorPalette);
-                
-                showProgress(40, 'Dominant colors found');
-                
-            } else {
-                // Use manually selected colors
-                showProgress(20, 'Using manual colors...');
-                
-                const selectedColors = state.get('paint.selectedColors');
-                colorPalette = selectedColors.slice(0, numColors).map(hexToRgb);
-                
-                showProgress(30, 'Manual colors loaded');
-            }
-            
-            // Quantize image to palette
-            showProgress(45, 'Quantizing image...');
-            const quantizedImage = kMeans.quantizeImage(processedImageData, colorPalette);
-            
-            // Display quantized image on preview canvas
-            canvasManager.displayPreview(quantizedImage);
-            
-            showProgress(50, 'Image quantized');
-            
-            // Separate into color layers
-            showProgress(55, 'Separating color layers...');
-            
-            colorLayers = await colorSeparator.separateColors(
-                quantizedImage,
-                colorPalette,
-                30 // tolerance
-            );
-            
-            showProgress(75, 'Color layers separated');
-            
-            // Log layer statistics
-            const stats = colorSeparator.getLayerStatistics(colorLayers);
-            console.log('📊 Layer Statistics:', stats);
+                palette: updateColorPickersWithPalette,
+                // Display quantized image or edge map on preview canvas
+                preview: imageData => {
+                    state.set('processing.quantizedImage', imageData, false);
+                    canvasManager.displayPreview(imageData);
+                }
+            });
+        } finally {
+            unsubscribeProgress.forEach(unsubscribe => unsubscribe());
+            setCancelButtonVisible(false);
         }
         
-        showProgress(80, 'Processing complete');
+        const { colorPalette, colorLayers, edgeMap, output } = result;
         
         // Store processing results in state
         state.setMultiple({
             'processing.colorPalette': colorPalette,
             'processing.colorLayers': colorLayers,
-            'processing.edgeMap': edgeMap,
-            'processing.quantizedImage': null // Store reference only
+            'processing.edgeMap': edgeMap
         }, false);
         
-        showProgress(85, 'Generating G-code...');
+        // Display a window of the generated G-code
+        await gcodeViewer.load(output);
         
-        // Generate G-code using the new generator
-        const config = state.getState();
-        const gcode = await gcodeGenerator.generate(config, colorLayers, edgeMap);
-        
-        // Display generated G-code
-        document.getElementById('gcode-output').value = gcode;
+        // Whole-program checks need the text in memory, so huge jobs skip them
+        const gcode = output.lineCount <= FULL_TEXT_LINE_LIMIT ? await output.blob.text() : null;
         
         // Store in state
         state.set('processing.gcodeData', gcode, false);
         
-        // Calculate job estimates from G-code
-        showProgress(87, 'Calculating estimates...');
-        try {
-            jobEstimator = new JobEstimator(state.getState());
-            const estimates = jobEstimator.estimateFromGCode(gcode);
-            updateSummaryWithEstimates(estimates);
-        } catch (error) {
-            console.error('❌ Error calculating estimates:', error);
-            // Fall back to basic statistics
-            updateSummaryStatistics(colorLayers, edgeMap, gcode);
+        if (gcode) {
+            // Verify every move inverts cleanly through the selected kinematics
+            const anchors = createAnchorConfig(config.canvas, config.robot.kinematics);
+            const compensation = getCompensationOptions(config.robot);
+            const validation = gcodeExporter.validateGCode(gcode, { anchors, compensation });
+            if (validation.errors.length > 0) {
+                console.warn('⚠️ G-code kinematics validation:', validation.errors);
+                eventBus.emit(Events.WARNING_OCCURRED, {
+                    context: 'kinematics',
+                    errors: validation.errors
+                });
+                gcodeExporter.showFeedback(`Kinematics check found ${validation.errors.length} problem(s) - see console`, 'warning');
+            }
+            
+            // Calculate job estimates from G-code
+            showProgress(96, 'Calculating estimates...');
+            try {
+                jobEstimator = new JobEstimator(state.getState());
+                const estimates = jobEstimator.estimateFromGCode(gcode);
+                state.set('processing.estimates', estimates, false);
+                updateSummaryWithEstimates(estimates);
+            } catch (error) {
+                console.error('❌ Error calculating estimates:', error);
+                // Fall back to basic statistics
+                updateSummaryStatistics(colorLayers, edgeMap, gcode);
+            }
+        } else {
+            console.warn(`⚠️ Large job (${output.lineCount} lines): skipping kinematics check and estimates`);
+            gcodeExporter.showFeedback(
+                `Large job (${output.lineCount.toLocaleString()} lines): download the file - kinematics check and estimates skipped`,
+                'info',
+                6000
+            );
         }
         
         // Enable download buttons
+        generatedConfig = config;
         document.getElementById('download-gcode-btn').disabled = false;
         document.getElementById('copy-gcode-btn').disabled = false;
+        document.getElementById('download-resume-btn').disabled = false;
+        document.getElementById('download-split-btn').disabled = false;
+        document.getElementById('export-project-btn').disabled = false;
+        document.getElementById('save-project-btn').disabled = false;
         
-        showProgress(90, 'Rendering simulation preview...');
+        showProgress(98, 'Rendering simulation preview...');
         
         // Generate simulation preview
         await renderSimulationPreview(colorLayers, gcode);
@@ -1071,6 +1835,13 @@ async function handleGenerateGCode() {
         console.log('✅ G-code generation complete');
         
     } catch (error) {
+        if (error.cancelled) {
+            console.log('⏹️ G-code generation cancelled');
+            hideProgress();
+            gcodeExporter.showFeedback('Generation cancelled', 'info');
+            return;
+        }
+        
         console.error('❌ Error during G-code generation:', error);
         hideProgress();
         showError(`Processing failed: ${error.message}`);
@@ -1182,11 +1953,10 @@ function updateSummaryStatistics(colorLayers, edgeMap, gcode) {
 /**
  * Handle G-code download
  */
-function handleDownloadGCode() {
+async function handleDownloadGCode() {
     console.log('💾 Download G-Code clicked');
     
-    const gcode = document.getElementById('gcode-output').value;
-    if (!gcode) {
+    if (!gcodeViewer.hasContent()) {
         gcodeExporter.showFeedback('No G-code to download. Generate G-code first.', 'error');
         return;
     }
@@ -1200,14 +1970,16 @@ function handleDownloadGCode() {
         };
         const filename = gcodeExporter.generateFilename(config);
         
-        // Download G-code
-        gcodeExporter.downloadGCode(gcode, filename, 'gcode');
+        // Download G-code in the selected controller dialect
+        const dialectSelect = document.getElementById('gcode-dialect');
+        const dialect = dialectSelect ? dialectSelect.value : DEFAULT_DIALECT;
+        await gcodeExporter.downloadGCodeBlob(gcodeViewer.getOutput(), filename, 'gcode', dialect);
         
         // Show success feedback
         gcodeExporter.showFeedback('G-code downloaded successfully!', 'success');
         
         // Emit event
-        eventBus.emit(Events.GCODE_DOWNLOADED, { filename: filename + '.gcode' });
+        eventBus.emit(Events.GCODE_DOWNLOADED, { filename: filename + '.gcode', dialect });
         console.log('✅ G-code downloaded:', filename);
         
     } catch (error) {
@@ -1216,20 +1988,404 @@ function handleDownloadGCode() {
     }
 }
 
+/**
+ * Handle download of a resume file for an interrupted job
+ * Replays the generated program up to the chosen line or layer operation
+ * and writes the re-entry preamble plus the remaining G-code.
+ */
+async function handleDownloadResume() {
+    console.log('⏯️ Download resume file clicked');
+    
+    const resultText = document.getElementById('resume-result');
+    
+    if (!gcodeViewer.hasContent() || !generatedConfig) {
+        gcodeExporter.showFeedback('No G-code to resume. Generate G-code first.', 'error');
+        return;
+    }
+    
+    const byLine = document.getElementById('resume-mode').value === 'line';
+    const target = byLine
+        ? { line: parseInt(document.getElementById('resume-line').value) }
+        : {
+            layer: parseInt(document.getElementById('resume-layer').value),
+            operation: parseInt(document.getElementById('resume-operation').value)
+        };
+    
+    if (Object.values(target).some(value => !Number.isInteger(value) || value < 1)) {
+        resultText.textContent = 'Enter whole numbers of 1 or more';
+        return;
+    }
+    
+    try {
+        const original = gcodeViewer.getOutput();
+        const resume = await gcodeExporter.writeGCodeBlob(
+            streamResumeProgram(gcodeExporter.readGCodeLines(original.blob), target, generatedConfig)
+        );
+        
+        const suffix = byLine ? `line${target.line}` : `layer${target.layer}-op${target.operation}`;
+        const filename = `${gcodeExporter.generateFilename({
+            canvasWidth: generatedConfig.canvas.width,
+            canvasHeight: generatedConfig.canvas.height,
+            numColors: generatedConfig.paint.numColors
+        })}_resume-${suffix}`;
+        
+        const dialectSelect = document.getElementById('gcode-dialect');
+        const dialect = dialectSelect ? dialectSelect.value : DEFAULT_DIALECT;
+        await gcodeExporter.downloadGCodeBlob(resume, filename, 'gcode', dialect);
+        
+        resultText.textContent = `Resume file: ${resume.lineCount.toLocaleString()} of ${original.lineCount.toLocaleString()} lines`;
+        gcodeExporter.showFeedback('Resume file downloaded', 'success');
+        console.log('✅ Resume file downloaded:', filename);
+        
+    } catch (error) {
+        console.error('❌ Error creating resume file:', error);
+        resultText.textContent = error.message;
+        gcodeExporter.showFeedback(`Cannot resume: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Handle download of the generated job split into per-session files
+ * Writes one complete program per piece followed by a manifest with the
+ * running order and each piece's estimated time and paint.
+ */
+async function handleDownloadSplit() {
+    console.log('🗂️ Download split files clicked');
+    
+    const resultText = document.getElementById('split-result');
+    
+    if (!gcodeViewer.hasContent() || !generatedConfig) {
+        gcodeExporter.showFeedback('No G-code to split. Generate G-code first.', 'error');
+        return;
+    }
+    
+    const options = {
+        mode: document.getElementById('split-mode').value,
+        maxMinutes: parseFloat(document.getElementById('split-max-minutes').value),
+        maxCans: parseInt(document.getElementById('split-max-cans').value)
+    };
+    
+    try {
+        const original = gcodeViewer.getOutput();
+        const basename = gcodeExporter.generateFilename({
+            canvasWidth: generatedConfig.canvas.width,
+            canvasHeight: generatedConfig.canvas.height,
+            numColors: generatedConfig.paint.numColors
+        });
+        const dialectSelect = document.getElementById('gcode-dialect');
+        const dialect = dialectSelect ? dialectSelect.value : DEFAULT_DIALECT;
+        const { extension } = gcodeExporter.getFormatInfo('gcode');
+        const entries = [];
+        
+        // Pieces are written and downloaded one at a time
+        for await (const piece of splitProgram(gcodeExporter.readGCodeLines(original.blob), options, generatedConfig)) {
+            const filename = `${basename}_part${String(piece.index).padStart(2, '0')}`;
+            const output = await gcodeExporter.writeGCodeBlob([piece.lines]);
+            await gcodeExporter.downloadGCodeBlob(output, filename, 'gcode', dialect);
+            
+            entries.push({
+                filename: filename + extension,
+                piece,
+                estimate: estimatePiece(piece, generatedConfig)
+            });
+            piece.lines = null;
+        }
+        
+        gcodeExporter.downloadText(buildManifest(entries, {
+            source: basename + extension,
+            ...options
+        }), `${basename}_manifest`, 'txt');
+        
+        resultText.textContent = `${entries.length} file${entries.length === 1 ? '' : 's'} and a manifest downloaded`;
+        gcodeExporter.showFeedback('Split files downloaded', 'success');
+        console.log('✅ Split files downloaded:', entries.length);
+        
+    } catch (error) {
+        console.error('❌ Error splitting G-code:', error);
+        resultText.textContent = error.message;
+        gcodeExporter.showFeedback(`Cannot split: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Collect the current project for saving
+ * Generated results are only included together with the settings that
+ * produced them.
+ * @returns {Object|null} Project contents, or null if there is nothing to save
+ */
+function getProjectSnapshot() {
+    const { processing, ...settings } = state.getState();
+    const hasGCode = gcodeViewer.hasContent() && generatedConfig;
+    
+    if (!imageLoader.getCurrentFile() && !hasGCode) {
+        return null;
+    }
+    
+    let config = settings;
+    if (hasGCode) {
+        const { processing: generatedProcessing, ...generatedSettings } = generatedConfig;
+        config = generatedSettings;
+    }
+    
+    return {
+        config,
+        gcode: hasGCode ? gcodeViewer.getOutput().blob : null,
+        image: imageLoader.getCurrentFile(),
+        preview: hasGCode ? state.get('processing.quantizedImage') : null,
+        colorPalette: hasGCode ? state.get('processing.colorPalette') : null,
+        colorLayers: hasGCode ? state.get('processing.colorLayers') : null,
+        edgeMap: hasGCode ? state.get('processing.edgeMap') : null,
+        estimates: hasGCode ? state.get('processing.estimates') : null,
+        filename: `${gcodeExporter.generateFilename({
+            canvasWidth: config.canvas.width,
+            canvasHeight: config.canvas.height,
+            numColors: config.paint.numColors
+        })}_project`
+    };
+}
+
+/**
+ * Handle export of the project as a ZIP bundle
+ */
+async function handleExportProject() {
+    console.log('📦 Export project clicked');
+    
+    const project = getProjectSnapshot();
+    if (!project) {
+        gcodeExporter.showFeedback('Nothing to export. Upload an image first.', 'error');
+        return;
+    }
+    
+    try {
+        await fileManager.exportProjectBundle(project, project.filename);
+        
+        gcodeExporter.showFeedback('Project exported', 'success');
+        console.log('✅ Project exported:', project.filename);
+        
+    } catch (error) {
+        console.error('❌ Error exporting project:', error);
+        gcodeExporter.showFeedback(`Failed to export project: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Handle save of the project as a single JSON file
+ */
+async function handleSaveProject() {
+    console.log('💾 Save project clicked');
+    
+    const project = getProjectSnapshot();
+    if (!project || !project.gcode) {
+        gcodeExporter.showFeedback('No G-code to save. Generate G-code first.', 'error');
+        return;
+    }
+    
+    try {
+        const estimates = project.estimates;
+        await fileManager.exportProject({
+            config: project.config,
+            image: project.image,
+            colorPalette: project.colorPalette,
+            colorLayers: project.colorLayers,
+            edgeMap: project.edgeMap,
+            estimatedTime: estimates ? estimates.time.formatted : null,
+            paintConsumed: estimates ? estimates.paint.formatted : null,
+            travelDistance: estimates ? estimates.distance.formatted : null,
+            refillsNeeded: estimates ? estimates.paint.refills.formatted : null
+        }, project.gcode, project.filename);
+        
+        gcodeExporter.showFeedback('Project saved', 'success');
+        console.log('✅ Project saved:', project.filename);
+        
+    } catch (error) {
+        console.error('❌ Error saving project:', error);
+        gcodeExporter.showFeedback(`Failed to save project: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Handle import of a project file
+ * Accepts ZIP bundles and JSON project files and restores the settings,
+ * source image and processed results without reprocessing.
+ * @param {File} file - Project file selected by the user
+ */
+async function handleImportProject(file) {
+    console.log('📂 Import project:', file.name);
+    
+    try {
+        let project;
+        if (file.name.endsWith('.json')) {
+            const saved = await fileManager.importProject(file);
+            project = {
+                config: saved.configuration,
+                gcode: new Blob([saved.gcode]),
+                image: saved.image,
+                preview: null,
+                colorPalette: saved.colorPalette,
+                colorLayers: saved.colorLayers,
+                edgeMap: saved.edgeMap,
+                estimates: null
+            };
+        } else {
+            project = await fileManager.importProjectBundle(file);
+        }
+        
+        await restoreProject(project);
+        
+        gcodeExporter.showFeedback('Project imported', 'success');
+        console.log('✅ Project imported');
+        
+    } catch (error) {
+        console.error('❌ Error importing project:', error);
+        showError(`Failed to import project: ${error.message}`);
+    }
+}
+
+/**
+ * Handle save job settings button click
+ * The file references the machine profile instead of carrying the machine.
+ */
+function handleSaveJobSettings() {
+    try {
+        fileManager.saveConfiguration(state.getState(), 'muralbot-job', 'job');
+        
+        if (state.get('machineProfile')) {
+            gcodeExporter.showFeedback('Job settings saved', 'success');
+        } else {
+            gcodeExporter.showFeedback('Job settings saved without a machine profile. Save the machine as a profile to keep it with the job.', 'warning', 6000);
+        }
+    } catch (error) {
+        console.error('❌ Error saving job settings:', error);
+        showError(`Failed to save job settings: ${error.message}`);
+    }
+}
+
+/**
+ * Handle load settings file selection
+ * Job settings keep the current machine unless the profile they reference
+ * is available here; machine files are added as profiles; files saved
+ * before the split replace all settings.
+ * @param {File} file - Configuration file
+ */
+async function handleLoadSettings(file) {
+    console.log('📂 Load settings:', file.name);
+    
+    try {
+        const { kind, config } = await fileManager.loadConfiguration(file);
+        if (kind === 'machine') {
+            importMachineProfile(config, file.name);
+            return;
+        }
+        
+        const { processing, ...settings } = config;
+        let newState = mergeConfig(state.getState(), settings);
+        let missingProfile = null;
+        
+        if (kind === 'job') {
+            const profileKey = findMachineProfile(config.machineProfile);
+            if (profileKey) {
+                newState = applyMachineProfile(newState, profileKey);
+            } else {
+                newState.machineProfile = state.get('machineProfile');
+                missingProfile = config.machineProfile;
+            }
+        }
+        
+        if (!state.loadState(newState, true)) return;
+        syncUIWithState();
+        generateColorPickers();
+        
+        if (missingProfile) {
+            gcodeExporter.showFeedback(`Machine profile "${missingProfile.name}" is not available here; kept the current machine`, 'warning', 6000);
+        } else {
+            gcodeExporter.showFeedback(kind === 'job' ? 'Job settings loaded' : 'Settings loaded', 'success');
+        }
+        console.log(`✅ ${kind === 'job' ? 'Job settings' : 'Settings'} loaded`);
+    } catch (error) {
+        console.error('❌ Error loading settings:', error);
+        showError(`Failed to load settings: ${error.message}`);
+    }
+}
+
+/**
+ * Replace the current session with a saved project
+ * Restores the settings, source image and processed results as if they had
+ * just been computed.
+ * @param {Object} project - Project contents, see fileManager.createProjectBundle()
+ */
+async function restoreProject(project) {
+    // Replace the current session
+    canvasManager.clearCanvas('both');
+    clearResults();
+    state.loadState({ ...project.config, processing: state.getState().processing });
+    syncUIWithState();
+    
+    if (project.image) {
+        await imageLoader.loadImage(project.image);
+    }
+    
+    // Restore processing results as if they had just been computed
+    const colorLayers = project.colorLayers && project.colorLayers.length > 0 ? project.colorLayers : null;
+    const colorPalette = project.colorPalette || (colorLayers ? colorLayers.map(layer => layer.color) : null);
+    let preview = project.preview || project.edgeMap;
+    if (!preview && colorLayers) {
+        const { width, height } = colorLayers[0].imageData;
+        preview = colorSeparator.mergeLayers(colorLayers, width, height);
+    }
+    
+    state.setMultiple({
+        'processing.colorPalette': colorPalette,
+        'processing.colorLayers': colorLayers,
+        'processing.edgeMap': project.edgeMap,
+        'processing.quantizedImage': preview,
+        'processing.estimates': project.estimates
+    }, false);
+    
+    if (colorPalette) {
+        updateColorPickersWithPalette(colorPalette);
+    }
+    if (preview) {
+        canvasManager.displayPreview(preview);
+    }
+    
+    if (project.gcode) {
+        const output = await gcodeExporter.writeGCodeBlob(gcodeExporter.readGCodeLines(project.gcode));
+        await gcodeViewer.load(output);
+        
+        generatedConfig = state.getState();
+        document.getElementById('download-gcode-btn').disabled = false;
+        document.getElementById('copy-gcode-btn').disabled = false;
+        document.getElementById('download-resume-btn').disabled = false;
+        document.getElementById('download-split-btn').disabled = false;
+        document.getElementById('export-project-btn').disabled = false;
+        document.getElementById('save-project-btn').disabled = false;
+        
+        if (project.estimates) {
+            updateSummaryWithEstimates(project.estimates);
+        }
+        await renderSimulationPreview(colorLayers, null);
+    }
+}
+
 /**
  * Handle copy G-code to clipboard
  */
 async function handleCopyGCode() {
     console.log('📋 Copy G-Code clicked');
     
-    const gcode = document.getElementById('gcode-output').value;
-    if (!gcode) {
+    if (!gcodeViewer.hasContent()) {
         gcodeExporter.showFeedback('No G-code to copy. Generate G-code first.', 'error');
         return;
     }
     
+    if (gcodeViewer.getLineCount() > FULL_TEXT_LINE_LIMIT) {
+        gcodeExporter.showFeedback('G-code is too large for the clipboard. Download it instead.', 'error');
+        return;
+    }
+    
     try {
         // Copy to clipboard using clipboard manager
+        const gcode = await gcodeViewer.getText();
         await clipboardManager.copy(gcode);
         
         // Show success feedback
@@ -1260,9 +2416,10 @@ function handleSetRefillPosition() {
     const canvasWidth = state.get('canvas.width');
     const canvasHeight = state.get('canvas.height');
     
-    // Default: Outside canvas on the left, centered vertically
-    const refillX = -10;
-    const refillY = canvasHeight / 2;
+    // Default: bottom center, just above the edge. Outside the canvas the
+    // cables cannot all stay taut, so the workspace check would fail.
+    const refillX = canvasWidth / 2;
+    const refillY = Math.max(0, canvasHeight - 10);
     
     state.setMultiple({
         'robot.refillPosition.x': refillX,
@@ -1304,6 +2461,15 @@ function hideProgress() {
     container.style.display = 'none';
 }
 
+/**
+ * Show or hide the cancel button under the progress bar
+ * @param {boolean} visible - Whether a cancellable run is in progress
+ */
+function setCancelButtonVisible(visible) {
+    const cancelBtn = document.getElementById('cancel-generation-btn');
+    cancelBtn.style.display = visible ? '' : 'none';
+}
+
 /**
  * Show error message
  */
@@ -1357,14 +2523,17 @@ M5  ; Ensure nozzle off
 G28 ; Return to home
 `;
     
-    document.getElementById('gcode-output').value = placeholderGCode;
+    gcodeViewer.setText(placeholderGCode);
     
     // Store in state
     state.set('processing.gcodeData', placeholderGCode, false);
     
     // Enable download buttons
+    generatedConfig = state.getState();
     document.getElementById('download-gcode-btn').disabled = false;
     document.getElementById('copy-gcode-btn').disabled = false;
+    document.getElementById('download-resume-btn').disabled = false;
+    document.getElementById('download-split-btn').disabled = false;
     
     console.log('✅ Placeholder results displayed');
 }
@@ -1409,11 +2578,17 @@ function clearResults() {
     document.getElementById('refills-needed').textContent = '--';
     
     // Clear G-code output
-    document.getElementById('gcode-output').value = '';
+    gcodeViewer.clear();
     
     // Disable download buttons
+    generatedConfig = null;
     document.getElementById('download-gcode-btn').disabled = true;
     document.getElementById('copy-gcode-btn').disabled = true;
+    document.getElementById('download-resume-btn').disabled = true;
+    document.getElementById('resume-result').textContent = '';
+    document.getElementById('download-split-btn').disabled = true;
+    document.getElementById('split-result').textContent = '';
+    document.getElementById('save-project-btn').disabled = true;
     
     // Clear simulation preview
     if (previewGenerator) {
@@ -1422,6 +2597,7 @@ function clearResults() {
     
     // Clear state
     state.set('processing.gcodeData', null, false);
+    state.set('processing.estimates', null, false);
     
     if (state.get('processing.imageData')) {
         console.log('🧹 Results cleared');
@@ -1517,12 +2693,25 @@ function setupKeyboardShortcuts() {
         // Ctrl+S or Cmd+S: Download G-code
         if ((e.ctrlKey || e.metaKey) && e.key === 's') {
             e.preventDefault();
-            const gcode = document.getElementById('gcode-output').value;
-            if (gcode) {
+            if (gcodeViewer.hasContent()) {
                 handleDownloadGCode();
             }
         }
         
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS): Undo / redo settings changes.
+        // Text fields keep their own undo while being edited.
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            const editing = e.target.closest && e.target.closest(
+                'textarea, input:not([type="checkbox"]):not([type="radio"]):not([type="range"]):not([type="color"])'
+            );
+            if (!editing) {
+                e.preventDefault();
+                if (e.shiftKey ? state.redo() : state.undo()) {
+                    console.log(e.shiftKey ? '↪️ Redo' : '↩️ Undo');
+                }
+            }
+        }
+        
         // Ctrl+C or Cmd+C: Copy G-code (only when textarea is focused)
         if ((e.ctrlKey || e.metaKey) && e.key === 'c') {
             const gcodeOutput = document.getElementById('gcode-output');
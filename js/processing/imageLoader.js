@@ -19,6 +19,13 @@ class ImageLoader {
      */
     this._currentImage = null;
 
+    /**
+     * File the current image was loaded from
+     * @type {File|null}
+     * @private
+     */
+    this._currentFile = null;
+
     /**
      * Debug mode flag
      * @type {boolean}
@@ -46,6 +53,7 @@ class ImageLoader {
       
       // Store current image
       this._currentImage = image;
+      this._currentFile = file;
 
       // Extract ImageData
       const imageData = this._extractImageData(image);
@@ -119,11 +127,20 @@ class ImageLoader {
     return this._currentImage;
   }
 
+  /**
+   * Gets the file the current image was loaded from
+   * @returns {File|null}
+   */
+  getCurrentFile() {
+    return this._currentFile;
+  }
+
   /**
    * Clears the currently loaded image
    */
   clear() {
     this._currentImage = null;
+    this._currentFile = null;
     if (this._debug) {
       console.log('[ImageLoader] Cleared current image');
     }
@@ -15,10 +15,13 @@ class ImagePreprocessor {
   constructor() {
     /**
      * Temporary canvas for processing
-     * @type {HTMLCanvasElement}
+     * An OffscreenCanvas when running inside a worker, where there is no DOM
+     * @type {HTMLCanvasElement|OffscreenCanvas}
      * @private
      */
-    this._tempCanvas = document.createElement('canvas');
+    this._tempCanvas = typeof document !== 'undefined'
+      ? document.createElement('canvas')
+      : new OffscreenCanvas(1, 1);
     this._tempContext = this._tempCanvas.getContext('2d');
 
     /**
@@ -31,7 +34,7 @@ class ImagePreprocessor {
 
   /**
    * Preprocesses an image with all required operations
-   * @param {HTMLImageElement} image - Source image
+   * @param {HTMLImageElement|ImageBitmap} image - Source image (ImageBitmap inside workers)
    * @param {Object} options - Preprocessing options
    * @param {number} options.maxWidth - Maximum width (optional)
    * @param {number} options.maxHeight - Maximum height (optional)
@@ -39,7 +42,9 @@ class ImagePreprocessor {
    * @param {string} options.colorSpace - Target color space: 'rgb' | 'grayscale' (default: 'rgb')
    * @param {number} options.brightness - Brightness adjustment (-100 to 100, default: 0)
    * @param {number} options.contrast - Contrast adjustment (-100 to 100, default: 0)
-   * @returns {Promise<{image: HTMLImageElement, imageData: ImageData, width: number, height: number}>}
+   * @param {boolean} options.createImage - Also return the result as an image (default: true);
+   *        must be false inside workers, which cannot create image elements
+   * @returns {Promise<{image: HTMLImageElement|null, imageData: ImageData, width: number, height: number}>}
    */
   async preprocess(image, options = {}) {
     try {
@@ -53,7 +58,8 @@ class ImagePreprocessor {
         maintainAspectRatio = true,
         colorSpace = 'rgb',
         brightness = 0,
-        contrast = 0
+        contrast = 0,
+        createImage = true
       } = options;
 
       // Emit processing started event
@@ -86,7 +92,7 @@ class ImagePreprocessor {
       }
 
       // Convert back to image if needed
-      const finalImage = await this._imageDataToImage(imageData);
+      const finalImage = createImage ? await this._imageDataToImage(imageData) : null;
 
       // Emit completion event
       eventBus.emit(Events.PROCESSING_COMPLETED, {
@@ -331,7 +337,7 @@ class ImagePreprocessor {
 
   /**
    * Gets ImageData from an image
-   * @param {HTMLImageElement} image - Source image
+   * @param {HTMLImageElement|ImageBitmap} image - Source image
    * @returns {ImageData}
    * @private
    */
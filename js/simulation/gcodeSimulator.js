@@ -4,21 +4,42 @@
  */
 
 import eventBus from '../core/eventBus.js';
-import { trilaterationToCartesian, scaleToPixels } from '../gcode/coordinateTransformer.js';
+import {
+    machineToCartesian,
+    cartesianToMachine,
+    multilaterate,
+    scaleToPixels,
+    getMachineAxes,
+    getCableAnchors
+} from '../gcode/coordinateTransformer.js';
+import { compensatedToCartesian } from '../gcode/cableCompensation.js';
+import { CommandAction, lookupAction, normalizeCode, parseColorTag, parseDotTag } from '../gcode/gcodeCommands.js';
 
 /**
  * G-code command types
+ * Shared with the builder through the gcodeCommands dictionary
  */
 const CommandType = {
-    MOVE: 'MOVE',           // G0/G1 - Movement
-    SPRAY_ON: 'SPRAY_ON',   // M106 - Turn spray on
-    SPRAY_OFF: 'SPRAY_OFF', // M107 - Turn spray off
-    SET_COLOR: 'SET_COLOR', // M117 - Set color
-    DWELL: 'DWELL',         // G4 - Pause/dwell
-    HOME: 'HOME',           // G28 - Home position
-    COMMENT: 'COMMENT'      // ; - Comment
+    MOVE: CommandAction.MOVE,               // G0/G1 - Movement
+    SPRAY_ON: CommandAction.SPRAY_ON,       // M3 (legacy M106) - Turn spray on
+    SPRAY_OFF: CommandAction.SPRAY_OFF,     // M5 (legacy M107) - Turn spray off
+    TOOL_CHANGE: CommandAction.TOOL_CHANGE, // M6 Tn - Change paint can
+    SET_COLOR: CommandAction.SET_COLOR,     // M117 - Set color (legacy)
+    DWELL: CommandAction.DWELL,             // G4 - Pause/dwell
+    HOME: CommandAction.HOME,               // G28 - Home position
+    COMMENT: 'COMMENT'                      // ; - Comment
 };
 
+/**
+ * Color used to trace where paint would land without cable compensation
+ */
+const UNCOMPENSATED_COLOR = 'rgba(255, 0, 255, 0.6)';
+
+/**
+ * Pixel spacing between samples when tracing a move through cable space
+ */
+const CABLE_PATH_STEP = 4;
+
 /**
  * Simulation events
  */
@@ -42,10 +63,19 @@ export class GCodeSimulator {
      * @param {SimulationRenderer} renderer - The renderer instance
      * @param {Object} config - Configuration object
      * @param {Object} config.anchors - Anchor positions for coordinate transformation
+     *        (anchors.kinematics selects two-, three- or four-cable inversion)
      * @param {Object} config.canvas - Canvas dimensions
      * @param {Object} config.image - Original image dimensions
      * @param {number} config.nozzleSize - Nozzle size in mm
      * @param {string} config.nozzleShape - Nozzle shape ('circular' or 'flat')
+     * @param {Object<number, string>} [config.toolColors] - Fallback hex colors by tool number,
+     *        used when an M6 line carries no COLOR tag
+     * @param {Object} [config.compensation] - Cable sag/stretch compensation options the G-code
+     *        was generated with (see getCompensationOptions)
+     * @param {boolean} [config.showCompensation] - Also trace where paint would land if the
+     *        straight-cable lengths had been emitted instead
+     * @param {boolean} [config.cableInterpolation] - Draw painted moves along the curve the
+     *        controller follows by interpolating cable lengths, instead of a straight line
      */
     constructor(renderer, config) {
         if (!renderer) {
@@ -60,9 +90,12 @@ export class GCodeSimulator {
             x: 0,
             y: 0,
             z: 0,
+            a: 0,
             sprayOn: false,
+            currentTool: null,
             currentColor: '#000000',
-            position: { x: 0, y: 0 } // Cartesian position
+            position: { x: 0, y: 0 }, // Cartesian position
+            uncompensatedPosition: null // Landing position without compensation
         };
 
         // Simulation control
@@ -223,59 +256,68 @@ export class GCodeSimulator {
 
         // Extract command code and parameters
         const parts = codeOnly.split(/\s+/);
-        const code = parts[0].toUpperCase();
+        const code = normalizeCode(parts[0]);
         const params = this.parseParameters(parts.slice(1));
 
-        // Parse based on command code
-        if (code === 'G0' || code === 'G1') {
-            // Movement command
-            return {
-                type: CommandType.MOVE,
-                code: code,
-                x: params.X,
-                y: params.Y,
-                z: params.Z,
-                f: params.F, // Feed rate
-                trilateration: { X: params.X, Y: params.Y, Z: params.Z },
-                cartesian: this.trilaterationToPixels(params.X, params.Y, params.Z)
-            };
-        } else if (code === 'M106') {
-            // Spray on
-            return {
-                type: CommandType.SPRAY_ON,
-                code: code,
-                params: params
-            };
-        } else if (code === 'M107') {
-            // Spray off
-            return {
-                type: CommandType.SPRAY_OFF,
-                code: code
-            };
-        } else if (code === 'M117') {
-            // Set color (custom command)
-            const colorMatch = line.match(/COLOR:\s*#?([0-9A-Fa-f]{6})/);
-            return {
-                type: CommandType.SET_COLOR,
-                code: code,
-                color: colorMatch ? `#${colorMatch[1]}` : '#000000'
-            };
-        } else if (code === 'G4') {
-            // Dwell/pause
-            return {
-                type: CommandType.DWELL,
-                code: code,
-                duration: params.P || params.S || 0
-            };
-        } else if (code === 'G28') {
-            // Home
-            return {
-                type: CommandType.HOME,
-                code: code
-            };
+        // Parse based on the shared command dictionary
+        switch (lookupAction(code)) {
+            case CommandType.MOVE:
+                return {
+                    type: CommandType.MOVE,
+                    code: code,
+                    x: params.X,
+                    y: params.Y,
+                    z: params.Z,
+                    a: params.A, // Fourth cable (four-cable kinematics only)
+                    f: params.F, // Feed rate
+                    trilateration: { X: params.X, Y: params.Y, Z: params.Z, A: params.A },
+                    cartesian: this.trilaterationToPixels(params.X, params.Y, params.Z, params.A),
+                    uncompensated: this.config.compensation && this.config.showCompensation
+                        ? this.uncompensatedToPixels(params.X, params.Y, params.Z, params.A)
+                        : null
+                };
+            case CommandType.SPRAY_ON:
+                return {
+                    type: CommandType.SPRAY_ON,
+                    code: code,
+                    params: params
+                };
+            case CommandType.SPRAY_OFF:
+                return {
+                    type: CommandType.SPRAY_OFF,
+                    code: code
+                };
+            case CommandType.TOOL_CHANGE:
+                // Color travels as a trailing comment on the M6 line
+                return {
+                    type: CommandType.TOOL_CHANGE,
+                    code: code,
+                    tool: params.T !== undefined ? params.T : null,
+                    color: parseColorTag(line)
+                };
+            case CommandType.SET_COLOR:
+                // Legacy custom color command
+                return {
+                    type: CommandType.SET_COLOR,
+                    code: code,
+                    color: parseColorTag(line) || '#000000'
+                };
+            case CommandType.DWELL:
+                // Pointillism dwells carry the planned dot size as a trailing comment
+                return {
+                    type: CommandType.DWELL,
+                    code: code,
+                    duration: params.P || params.S || 0,
+                    dotSize: parseDotTag(line)
+                };
+            case CommandType.HOME:
+                return {
+                    type: CommandType.HOME,
+                    code: code
+                };
+            default:
+                return null;
         }
-
-        return null;
     }
 
     /**
@@ -314,10 +356,17 @@ export class GCodeSimulator {
             case CommandType.SPRAY_OFF:
                 this.state.sprayOn = false;
                 break;
+            case CommandType.TOOL_CHANGE:
+                this.executeToolChange(command);
+                break;
             case CommandType.SET_COLOR:
                 this.state.currentColor = command.color;
                 break;
             case CommandType.DWELL:
+                // Dwelling with the spray on deposits a dot
+                if (this.state.sprayOn) {
+                    this.renderDotAtPosition(command.dotSize);
+                }
                 if (this.currentSpeed !== 'instant') {
                     await this.sleep(command.duration);
                 }
@@ -326,11 +375,58 @@ export class GCodeSimulator {
                 this.state.x = 0;
                 this.state.y = 0;
                 this.state.z = 0;
+                this.state.a = 0;
                 this.state.position = { x: 0, y: 0 };
                 break;
         }
     }
 
+    /**
+     * Execute a tool change command
+     * Uses the color tag on the line, falling back to config.toolColors
+     * @private
+     * @param {Object} command - Tool change command
+     */
+    executeToolChange(command) {
+        if (command.tool !== null) {
+            this.state.currentTool = command.tool;
+        }
+
+        const toolColors = this.config.toolColors || {};
+        const color = command.color || toolColors[this.state.currentTool];
+        if (color) {
+            this.state.currentColor = color;
+        }
+    }
+
+    /**
+     * Render a dot at the current position with the active color
+     * @private
+     * @param {number|null} [dotSize] - Planned dot diameter (mm); the nozzle size if not given
+     */
+    renderDotAtPosition(dotSize = null) {
+        if (!this.state.position) return;
+
+        this.renderer.renderDot(
+            this.state.position.x,
+            this.state.position.y,
+            this.state.currentColor,
+            this.getNozzleSizeInPixels(dotSize),
+            this.config.nozzleShape || 'circular'
+        );
+
+        const ghost = this.state.uncompensatedPosition;
+        if (ghost) {
+            this.renderer.renderDot(
+                ghost.x,
+                ghost.y,
+                UNCOMPENSATED_COLOR,
+                Math.max(1, this.getNozzleSizeInPixels() / 3),
+                'circular'
+            );
+        }
+    }
+
     /**
      * Execute a move command
      * @private
@@ -340,6 +436,7 @@ export class GCodeSimulator {
         const newX = command.x !== undefined ? command.x : this.state.x;
         const newY = command.y !== undefined ? command.y : this.state.y;
         const newZ = command.z !== undefined ? command.z : this.state.z;
+        const newA = command.a !== undefined ? command.a : this.state.a;
 
         const newPos = command.cartesian;
 
@@ -348,66 +445,201 @@ export class GCodeSimulator {
             const nozzleSize = this.getNozzleSizeInPixels();
             const nozzleShape = this.config.nozzleShape || 'circular';
 
-            this.renderer.renderLine(
-                this.state.position.x,
-                this.state.position.y,
-                newPos.x,
-                newPos.y,
-                this.state.currentColor,
-                nozzleSize,
-                nozzleShape
-            );
+            const path = this.config.cableInterpolation
+                ? this.cableSpacePath(
+                    { X: this.state.x, Y: this.state.y, Z: this.state.z, A: this.state.a },
+                    { X: newX, Y: newY, Z: newZ, A: newA },
+                    this.state.position,
+                    newPos
+                )
+                : [this.state.position, newPos];
+
+            for (let i = 1; i < path.length; i++) {
+                this.renderer.renderLine(
+                    path[i - 1].x,
+                    path[i - 1].y,
+                    path[i].x,
+                    path[i].y,
+                    this.state.currentColor,
+                    nozzleSize,
+                    nozzleShape
+                );
+            }
+
+            // Thin trace of the same stroke without compensation
+            const ghostFrom = this.state.uncompensatedPosition;
+            const ghostTo = command.uncompensated;
+            if (ghostFrom && ghostTo) {
+                this.renderer.renderLine(
+                    ghostFrom.x,
+                    ghostFrom.y,
+                    ghostTo.x,
+                    ghostTo.y,
+                    UNCOMPENSATED_COLOR,
+                    Math.max(1, nozzleSize / 3),
+                    'circular'
+                );
+            }
         }
 
         // Update state
         this.state.x = newX;
         this.state.y = newY;
         this.state.z = newZ;
+        this.state.a = newA;
         this.state.position = newPos || this.state.position;
+        this.state.uncompensatedPosition = command.uncompensated || null;
+    }
+
+    /**
+     * Trace the path the controller follows between two sets of cable lengths
+     * Controllers interpolate each cable length linearly, so an unsubdivided
+     * move curves away from the straight line between its endpoints.
+     * @private
+     * @param {Object} fromLengths - Start cable lengths {X, Y, Z, A}
+     * @param {Object} toLengths - End cable lengths {X, Y, Z, A}
+     * @param {Object} fromPixels - Start pixel coordinates {x, y}
+     * @param {Object} toPixels - End pixel coordinates {x, y}
+     * @returns {Array<Object>} Pixel coordinates {x, y} along the path, including both ends
+     */
+    cableSpacePath(fromLengths, toLengths, fromPixels, toPixels) {
+        const distance = this.calculateDistance(fromPixels, toPixels);
+        const steps = Math.ceil(distance / CABLE_PATH_STEP);
+        const path = [fromPixels];
+
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const lengths = {};
+            for (const axis of ['X', 'Y', 'Z', 'A']) {
+                if (fromLengths[axis] !== undefined && toLengths[axis] !== undefined) {
+                    lengths[axis] = fromLengths[axis] + (toLengths[axis] - fromLengths[axis]) * t;
+                }
+            }
+
+            const point = this.interpolatedToPixels(lengths);
+            if (point) {
+                path.push(point);
+            }
+        }
+
+        path.push(toPixels);
+        return path;
+    }
+
+    /**
+     * Locate interpolated cable lengths
+     * Midway through a move the lengths of three or more cables no longer
+     * meet in one point, so the best fit of all cables is used.
+     * @private
+     * @param {Object} lengths - Cable lengths {X, Y, Z, A}
+     * @returns {Object|null} Pixel coordinates {x, y} or null
+     */
+    interpolatedToPixels(lengths) {
+        const anchors = this.config.anchors;
+        if (this.config.compensation || !anchors) {
+            return this.trilaterationToPixels(lengths.X, lengths.Y, lengths.Z, lengths.A);
+        }
+
+        const cables = getCableAnchors(anchors);
+        if (cables.length < 3) {
+            return this.trilaterationToPixels(lengths.X, lengths.Y, lengths.Z, lengths.A);
+        }
+
+        const axes = getMachineAxes(anchors.kinematics);
+        const cartesian = multilaterate(cables, axes.map(axis => lengths[axis]));
+        return cartesian ? this.cartesianToPixels(cartesian) : null;
     }
 
     /**
-     * Convert trilateration coordinates to pixel coordinates
+     * Convert cable-length coordinates to pixel coordinates
      * @private
      * @param {number} X - X distance
      * @param {number} Y - Y distance
-     * @param {number} Z - Z distance
+     * @param {number} [Z] - Z distance (not used by two-cable kinematics)
+     * @param {number} [A] - A distance (four-cable kinematics only)
      * @returns {Object|null} Pixel coordinates {x, y} or null
      */
-    trilaterationToPixels(X, Y, Z) {
-        if (X === undefined || Y === undefined || Z === undefined) {
+    trilaterationToPixels(X, Y, Z, A) {
+        try {
+            const cartesian = this.lengthsToCartesian({ X, Y, Z, A });
+            return cartesian ? this.cartesianToPixels(cartesian) : null;
+        } catch (error) {
+            console.warn('Coordinate transformation error:', error);
             return null;
         }
+    }
 
+    /**
+     * Find where paint lands for a move if the straight-cable lengths had been
+     * emitted instead of the compensated ones
+     * @private
+     * @param {number} X - X distance
+     * @param {number} Y - Y distance
+     * @param {number} [Z] - Z distance (not used by two-cable kinematics)
+     * @param {number} [A] - A distance (four-cable kinematics only)
+     * @returns {Object|null} Pixel coordinates {x, y} or null
+     */
+    uncompensatedToPixels(X, Y, Z, A) {
         try {
-            // Convert trilateration to Cartesian (mm)
-            const cartesian = trilaterationToCartesian(X, Y, Z, this.config.anchors);
-            if (!cartesian) return null;
-
-            // Convert physical mm to pixel coordinates
-            const pixels = scaleToPixels(
-                cartesian.x,
-                cartesian.y,
-                this.config.image.width,
-                this.config.image.height,
-                this.config.canvas.width * 10, // Convert cm to mm
-                this.config.canvas.height * 10
-            );
+            const intended = this.lengthsToCartesian({ X, Y, Z, A });
+            if (!intended) return null;
 
-            return pixels;
+            // The sagging, stretching cables would be given the straight lengths
+            const straight = cartesianToMachine(intended.x, intended.y, this.config.anchors);
+            const landed = compensatedToCartesian(straight, this.config.anchors, this.config.compensation);
+            return landed ? this.cartesianToPixels(landed) : null;
         } catch (error) {
             console.warn('Coordinate transformation error:', error);
             return null;
         }
     }
 
+    /**
+     * Invert machine cable lengths to Cartesian millimeters
+     * Uses the compensation model when the G-code was generated with it.
+     * @private
+     * @param {Object} lengths - Cable lengths {X, Y, Z, A}
+     * @returns {Object|null} Cartesian coordinates {x, y} in mm or null
+     */
+    lengthsToCartesian(lengths) {
+        const anchors = this.config.anchors;
+
+        // Every cable the kinematics uses must be present on the move
+        const axes = getMachineAxes(anchors ? anchors.kinematics : undefined);
+        if (axes.some(axis => lengths[axis] === undefined)) {
+            return null;
+        }
+
+        return this.config.compensation
+            ? compensatedToCartesian(lengths, anchors, this.config.compensation)
+            : machineToCartesian(lengths, anchors);
+    }
+
+    /**
+     * Convert physical millimeters to pixel coordinates
+     * @private
+     * @param {Object} cartesian - Cartesian coordinates {x, y} in mm
+     * @returns {Object} Pixel coordinates {x, y}
+     */
+    cartesianToPixels(cartesian) {
+        return scaleToPixels(
+            cartesian.x,
+            cartesian.y,
+            this.config.image.width,
+            this.config.image.height,
+            this.config.canvas.width * 10, // Convert cm to mm
+            this.config.canvas.height * 10
+        );
+    }
+
     /**
      * Get nozzle size in pixels
      * @private
+     * @param {number|null} [sizeMM] - Size to convert (mm); the nozzle size if not given
      * @returns {number} Nozzle size in pixels
      */
-    getNozzleSizeInPixels() {
-        const nozzleMM = this.config.nozzleSize || 5;
+    getNozzleSizeInPixels(sizeMM = null) {
+        const nozzleMM = sizeMM || this.config.nozzleSize || 5;
         const canvasMM = this.config.canvas.width * 10;
         const canvasPixels = this.config.image.width;
         const pixelsPerMM = canvasPixels / canvasMM;
@@ -474,9 +706,12 @@ export class GCodeSimulator {
             x: 0,
             y: 0,
             z: 0,
+            a: 0,
             sprayOn: false,
+            currentTool: null,
             currentColor: '#000000',
-            position: { x: 0, y: 0 }
+            position: { x: 0, y: 0 },
+            uncompensatedPosition: null
         };
         this.isPaused = false;
         this.isStopped = false;
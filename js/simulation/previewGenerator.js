@@ -7,7 +7,18 @@ import eventBus from '../core/eventBus.js';
 import { SimulationRenderer } from './simulationRenderer.js';
 import { GCodeSimulator } from './gcodeSimulator.js';
 import { AnimationController } from './animationController.js';
-import { scaleToPixels } from '../gcode/coordinateTransformer.js';
+import { scaleToPixels, createAnchorConfig } from '../gcode/coordinateTransformer.js';
+import { computeWorkspaceMap, getWorkspaceOptions, WorkspaceStatus } from '../gcode/workspaceAnalyzer.js';
+import { getCompensationOptions } from '../gcode/cableCompensation.js';
+
+/**
+ * Overlay colors for workspace regions the robot cannot paint safely
+ */
+const WORKSPACE_OVERLAY_COLORS = {
+    [WorkspaceStatus.SLACK]: 'rgba(255, 152, 0, 0.35)',
+    [WorkspaceStatus.OVER_TENSION]: 'rgba(244, 67, 54, 0.35)',
+    [WorkspaceStatus.UNREACHABLE]: 'rgba(97, 97, 97, 0.45)'
+};
 
 /**
  * Preview generation events
@@ -51,6 +62,7 @@ export class PreviewGenerator {
      * @param {Object} config.image - Image dimensions {width, height} in pixels
      * @param {number} config.nozzleSize - Nozzle size in mm
      * @param {string} config.nozzleShape - Nozzle shape ('circular' or 'flat')
+     * @param {boolean} [config.showWorkspace] - Overlay unsafe workspace regions
      * @returns {Promise<void>}
      */
     async generateInstantPreview(colorLayers, config) {
@@ -77,6 +89,10 @@ export class PreviewGenerator {
                 });
             }
 
+            if (config.showWorkspace) {
+                this.renderWorkspaceOverlay(config);
+            }
+
             this.eventBus.emit(PreviewEvents.GENERATION_COMPLETE, {
                 type: 'instant',
                 layerCount: colorLayers.length
@@ -100,6 +116,7 @@ export class PreviewGenerator {
      * @param {Object} config.image - Image dimensions {width, height} in pixels
      * @param {number} config.nozzleSize - Nozzle size in mm
      * @param {string} config.nozzleShape - Nozzle shape ('circular' or 'flat')
+     * @param {boolean} [config.showWorkspace] - Overlay unsafe workspace regions
      * @param {string} speed - Animation speed: 'instant', 'fast', 'normal', 'slow'
      * @returns {Promise<AnimationController>} Animation controller for playback control
      */
@@ -119,6 +136,10 @@ export class PreviewGenerator {
             // Start simulation
             await this.simulator.simulate(gcode, speed);
 
+            if (config.showWorkspace) {
+                this.renderWorkspaceOverlay(config);
+            }
+
             this.eventBus.emit(PreviewEvents.GENERATION_COMPLETE, {
                 type: 'animated',
                 speed: speed
@@ -289,6 +310,40 @@ export class PreviewGenerator {
         console.log(`✅ [PreviewGenerator] Rendered ${pixels.length} dots for layer`);
     }
 
+    /**
+     * Shade the parts of the canvas the robot cannot reach with safe cable tension
+     * 
+     * @param {Object} config - Configuration object
+     * @param {Object} config.anchors - Anchor positions (mm, with kinematics)
+     * @param {Object} config.workspace - Workspace analysis options (see getWorkspaceOptions)
+     * @param {number} [resolution=40] - Sample cells across the canvas width
+     * @returns {Object} Workspace map that was drawn
+     */
+    renderWorkspaceOverlay(config, resolution = 40) {
+        const widthMm = config.canvas.width * 10; // Convert cm to mm
+        const heightMm = config.canvas.height * 10;
+        const map = computeWorkspaceMap(config.anchors, widthMm, heightMm, config.workspace, resolution);
+
+        const scaleX = config.image.width / widthMm;
+        const scaleY = config.image.height / heightMm;
+
+        for (let row = 0; row < map.rows; row++) {
+            for (let col = 0; col < map.cols; col++) {
+                const color = WORKSPACE_OVERLAY_COLORS[map.cells[row * map.cols + col]];
+                if (!color) continue;
+
+                // Round outward so neighbouring cells leave no seams
+                const x = Math.floor(col * map.cellWidth * scaleX);
+                const y = Math.floor(row * map.cellHeight * scaleY);
+                const right = Math.ceil((col + 1) * map.cellWidth * scaleX);
+                const bottom = Math.ceil((row + 1) * map.cellHeight * scaleY);
+                this.renderer.renderRect(x, y, right - x, bottom - y, color);
+            }
+        }
+
+        return map;
+    }
+
     /**
      * Convert RGB color object to hex string
      * @private
@@ -473,16 +528,15 @@ export class PreviewGenerator {
         const canvas = state.canvas || {};
         const image = state.processedImage || state.originalImage || {};
         const robot = state.robot || {};
+        const nozzle = state.nozzle || {};
 
         return {
-            anchors: state.anchors || {
-                topLeft: { x: 0, y: 0 },
-                topRight: { x: canvas.width * 10 || 2000, y: 0 },
-                bottomCenter: { 
-                    x: (canvas.width * 10 || 2000) / 2, 
-                    y: canvas.height * 10 || 1500 
-                }
-            },
+            // Same anchor layout the generator uses, so exported files replay in place
+            anchors: state.anchors || createAnchorConfig({
+                width: 200,
+                height: 150,
+                ...canvas
+            }, robot.kinematics),
             canvas: {
                 width: canvas.width || 200, // cm
                 height: canvas.height || 150 // cm
@@ -491,8 +545,14 @@ export class PreviewGenerator {
                 width: image.width || 800,
                 height: image.height || 600
             },
-            nozzleSize: robot.nozzleSize || 5, // mm
-            nozzleShape: robot.nozzleShape || 'circular'
+            nozzleSize: nozzle.size || robot.nozzleSize || 5, // mm
+            nozzleShape: nozzle.shape || robot.nozzleShape || 'circular',
+            workspace: getWorkspaceOptions(robot),
+            showWorkspace: robot.showWorkspace !== false,
+            compensation: getCompensationOptions(robot),
+            showCompensation: Boolean(robot.cableCompensation?.showDifference),
+            // Without subdivision the controller bows long moves, so show that path
+            cableInterpolation: !(robot.maxSegmentLength > 0)
         };
     }
 
@@ -183,6 +183,26 @@ export class SimulationRenderer {
         this.ctx.restore();
     }
 
+    /**
+     * Render a filled axis-aligned rectangle
+     * @param {number} x - Left X coordinate
+     * @param {number} y - Top Y coordinate
+     * @param {number} width - Rectangle width in pixels
+     * @param {number} height - Rectangle height in pixels
+     * @param {string} color - CSS color string (may include alpha)
+     */
+    renderRect(x, y, width, height, color) {
+        if (!this._isValidCoordinate(x, y) || !this._isValidCoordinate(width, height)) {
+            return;
+        }
+
+        this.ctx.save();
+        this.ctx.fillStyle = color;
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.restore();
+    }
+
     /**
      * Get the current canvas content as ImageData
      * @returns {ImageData} The canvas image data
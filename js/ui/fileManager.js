@@ -1,30 +1,63 @@
 /**
  * File Manager Module
- * Manages file operations for configurations and project files
+ * Manages file operations for configurations and project files, including
+ * ZIP project bundles written and read without external libraries
  */
 
+import { SCHEMA_VERSION, getSchemaVersion, upgradeConfig } from '../core/schema.js';
+import { extractJobSettings, extractMachineProfile } from '../core/machineProfiles.js';
+
+/**
+ * Kinds of configuration file and the settings each one keeps
+ * @type {Object<string, Function>}
+ * @private
+ */
+const CONFIGURATION_KINDS = {
+    job: extractJobSettings,
+    machine: config => ({ ...extractMachineProfile(config), machineProfile: config.machineProfile || null })
+};
+
 /**
- * Save configuration as JSON file
+ * Serialize the job or machine part of a configuration with export metadata
+ * A job file keeps the artwork settings and the machineProfile reference;
+ * a machine file keeps the robot, nozzle and anchors, named by the reference.
+ * @param {Object} config - Configuration object to serialize
+ * @param {string} [kind='job'] - 'job' or 'machine'
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeConfiguration(config, kind = 'job') {
+    if (!config || typeof config !== 'object') {
+        throw new Error('Invalid configuration object');
+    }
+    if (!CONFIGURATION_KINDS[kind]) {
+        throw new Error(`Unknown configuration kind: ${kind}`);
+    }
+
+    // Add metadata to configuration
+    const configWithMeta = {
+        version: '1.0',
+        schemaVersion: SCHEMA_VERSION,
+        exportDate: new Date().toISOString(),
+        type: 'muralbot-configuration',
+        kind,
+        ...CONFIGURATION_KINDS[kind](config)
+    };
+
+    // Convert to JSON with pretty formatting
+    return JSON.stringify(configWithMeta, null, 2);
+}
+
+/**
+ * Save the job or machine part of a configuration as a JSON file
+ * Save both kinds to move a job and its robot to another computer.
  * @param {Object} config - Configuration object to save
  * @param {string} filename - Filename (without extension)
+ * @param {string} [kind='job'] - 'job' or 'machine', see serializeConfiguration()
  * @returns {boolean} Success status
  */
-export function saveConfiguration(config, filename = 'muralbot-config') {
+export function saveConfiguration(config, filename = 'muralbot-config', kind = 'job') {
     try {
-        if (!config || typeof config !== 'object') {
-            throw new Error('Invalid configuration object');
-        }
-
-        // Add metadata to configuration
-        const configWithMeta = {
-            version: '1.0',
-            exportDate: new Date().toISOString(),
-            type: 'muralbot-configuration',
-            ...config
-        };
-
-        // Convert to JSON with pretty formatting
-        const jsonString = JSON.stringify(configWithMeta, null, 2);
+        const jsonString = serializeConfiguration(config, kind);
 
         // Create blob and download
         const blob = new Blob([jsonString], { type: 'application/json;charset=utf-8' });
@@ -49,8 +82,12 @@ export function saveConfiguration(config, filename = 'muralbot-config') {
 
 /**
  * Load configuration from JSON file
+ * Files saved with an older schema are migrated. Job and machine files only
+ * return their own part; files saved before the split ('full') carry both.
  * @param {File} file - File object to load
- * @returns {Promise<Object>} Parsed configuration object
+ * @returns {Promise<{kind: string, config: Object}>} Kind ('job', 'machine' or 'full') and the
+ *   configuration upgraded to the current schema, without export metadata
+ * @throws {ConfigValidationError} If the configuration is invalid, listing every problem
  */
 export async function loadConfiguration(file) {
     try {
@@ -67,15 +104,22 @@ export async function loadConfiguration(file) {
         const text = await readFileAsText(file);
         
         // Parse JSON
-        const config = JSON.parse(text);
+        const saved = parseJSON(text, file.name);
+
+        const kind = saved.kind || 'full';
+        if (kind !== 'full' && !CONFIGURATION_KINDS[kind]) {
+            throw new Error(`Unknown configuration kind: ${kind}`);
+        }
 
-        // Validate configuration structure
-        const validation = validateConfiguration(config);
-        if (!validation.isValid) {
-            throw new Error(`Invalid configuration: ${validation.errors.join(', ')}`);
+        // Migrate and validate configuration structure; the part a file does
+        // not carry is filled from the defaults only to validate it
+        if (kind === 'machine') {
+            const { config } = upgradeConfig(saved, 'Machine profile file', ['robot']);
+            return { kind, config: CONFIGURATION_KINDS.machine(config) };
         }
 
-        return config;
+        const { config } = upgradeConfig(saved, 'Configuration file');
+        return { kind, config: kind === 'job' ? extractJobSettings(config) : config };
     } catch (error) {
         console.error('Error loading configuration:', error);
         throw error;
@@ -83,35 +127,71 @@ export async function loadConfiguration(file) {
 }
 
 /**
- * Export complete project (configuration + G-code + metadata)
+ * Serialize a complete project (configuration + G-code + metadata)
+ * The source image, palette, color layer masks and edge map are embedded
+ * (images as data URLs) so a reopened project needs no reprocessing.
  * @param {Object} state - Application state
- * @param {string} gcode - Generated G-code
- * @param {string} filename - Filename (without extension)
- * @returns {boolean} Success status
+ * @param {Object} state.config - Configuration
+ * @param {File} [state.image] - Source image file
+ * @param {Array<{r: number, g: number, b: number}>} [state.colorPalette] - Palette used for separation
+ * @param {Array<Object>} [state.colorLayers] - Color layers {color, imageData, pixelCount, index}
+ * @param {ImageData} [state.edgeMap] - Edge map (spray and sketch modes)
+ * @param {string|Blob} gcode - Generated G-code
+ * @returns {Promise<string>} Pretty-printed project JSON
  */
-export function exportProject(state, gcode, filename = 'muralbot-project') {
-    try {
-        if (!state || !gcode) {
-            throw new Error('Invalid state or G-code');
+export async function serializeProject(state, gcode) {
+    if (!state || !gcode) {
+        throw new Error('Invalid state or G-code');
+    }
+
+    // Create project package
+    const project = {
+        version: '1.1',
+        schemaVersion: SCHEMA_VERSION,
+        exportDate: new Date().toISOString(),
+        type: 'muralbot-project',
+        configuration: state.config || {},
+        gcode: typeof gcode === 'string' ? gcode : await gcode.text(),
+        metadata: {
+            estimatedTime: state.estimatedTime || null,
+            paintConsumed: state.paintConsumed || null,
+            travelDistance: state.travelDistance || null,
+            refillsNeeded: state.refillsNeeded || null
+        },
+        assets: {
+            image: state.image ? {
+                name: state.image.name,
+                type: state.image.type,
+                data: await readBlobAsDataURL(state.image)
+            } : null,
+            colorPalette: state.colorPalette || null,
+            colorLayers: [],
+            edgeMap: state.edgeMap ? await readBlobAsDataURL(await imageDataToPng(state.edgeMap)) : null
         }
+    };
 
-        // Create project package
-        const project = {
-            version: '1.0',
-            exportDate: new Date().toISOString(),
-            type: 'muralbot-project',
-            configuration: state.config || {},
-            gcode: gcode,
-            metadata: {
-                estimatedTime: state.estimatedTime || null,
-                paintConsumed: state.paintConsumed || null,
-                travelDistance: state.travelDistance || null,
-                refillsNeeded: state.refillsNeeded || null
-            }
-        };
+    for (const layer of state.colorLayers || []) {
+        project.assets.colorLayers.push({
+            color: layer.color,
+            pixelCount: layer.pixelCount,
+            index: layer.index,
+            mask: await readBlobAsDataURL(await imageDataToPng(layer.imageData))
+        });
+    }
 
-        // Convert to JSON
-        const jsonString = JSON.stringify(project, null, 2);
+    return JSON.stringify(project, null, 2);
+}
+
+/**
+ * Export complete project as a JSON file
+ * @param {Object} state - Application state, see serializeProject()
+ * @param {string|Blob} gcode - Generated G-code
+ * @param {string} filename - Filename (without extension)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportProject(state, gcode, filename = 'muralbot-project') {
+    try {
+        const jsonString = await serializeProject(state, gcode);
 
         // Create blob and download
         const blob = new Blob([jsonString], { type: 'application/json;charset=utf-8' });
@@ -136,8 +216,13 @@ export function exportProject(state, gcode, filename = 'muralbot-project') {
 
 /**
  * Import complete project
+ * The configuration is migrated to the current schema and validated.
+ * Embedded assets are decoded; projects saved without them (version 1.0)
+ * come back with empty assets.
  * @param {File} file - Project file to import
- * @returns {Promise<Object>} Project data with configuration and G-code
+ * @returns {Promise<Object>} Project data with configuration and G-code, plus decoded
+ *          image (File|null), colorPalette, colorLayers (with ImageData masks) and edgeMap
+ * @throws {ConfigValidationError} If the configuration is invalid, listing every problem
  */
 export async function importProject(file) {
     try {
@@ -154,7 +239,7 @@ export async function importProject(file) {
         const text = await readFileAsText(file);
         
         // Parse JSON
-        const project = JSON.parse(text);
+        const project = parseJSON(text, file.name);
 
         // Validate project structure
         if (project.type !== 'muralbot-project') {
@@ -165,6 +250,34 @@ export async function importProject(file) {
             throw new Error('Project file is missing required data');
         }
 
+        // The configuration shares the project's schema version
+        project.configuration = upgradeConfig({
+            ...project.configuration,
+            schemaVersion: getSchemaVersion(project)
+        }, 'Project configuration').config;
+        project.schemaVersion = SCHEMA_VERSION;
+
+        const assets = project.assets || {};
+        project.image = null;
+        project.colorPalette = assets.colorPalette || null;
+        project.colorLayers = [];
+        project.edgeMap = assets.edgeMap ? await imageToImageData(await dataURLToBlob(assets.edgeMap)) : null;
+
+        if (assets.image) {
+            const blob = await dataURLToBlob(assets.image.data);
+            project.image = new File([blob], assets.image.name, { type: assets.image.type });
+        }
+
+        for (const layer of assets.colorLayers || []) {
+            project.colorLayers.push({
+                color: layer.color,
+                imageData: await imageToImageData(await dataURLToBlob(layer.mask)),
+                pixelCount: layer.pixelCount,
+                index: layer.index
+            });
+        }
+        delete project.assets;
+
         return project;
     } catch (error) {
         console.error('Error importing project:', error);
@@ -172,6 +285,133 @@ export async function importProject(file) {
     }
 }
 
+/**
+ * Serialize user presets for sharing
+ * @param {Array<{name: string, description?: string, config: Object}>} presets - Presets to share
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializePresets(presets) {
+    if (!Array.isArray(presets) || presets.length === 0) {
+        throw new Error('No presets to export');
+    }
+
+    const collection = {
+        version: '1.0',
+        schemaVersion: SCHEMA_VERSION,
+        exportDate: new Date().toISOString(),
+        type: 'muralbot-presets',
+        presets: presets.map(preset => ({
+            name: preset.name,
+            description: preset.description || '',
+            config: preset.config
+        }))
+    };
+
+    return JSON.stringify(collection, null, 2);
+}
+
+/**
+ * Save user presets as a JSON file
+ * @param {Array<Object>} presets - Presets to share, see serializePresets()
+ * @param {string} filename - Filename (without extension)
+ * @returns {boolean} Success status
+ */
+export function savePresets(presets, filename = 'muralbot-presets') {
+    try {
+        const jsonString = serializePresets(presets);
+
+        // Create blob and download
+        const blob = new Blob([jsonString], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = filename.endsWith('.json') ? filename : `${filename}.json`;
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+
+        return true;
+    } catch (error) {
+        console.error('Error saving presets:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load user presets from a JSON file written by savePresets()
+ * Every preset is migrated to the current schema and validated; the file
+ * is rejected as a whole if any preset is invalid.
+ * @param {File} file - File object to load
+ * @returns {Promise<Array<{name: string, description: string, config: Object}>>} Presets
+ * @throws {ConfigValidationError} If a preset configuration is invalid, listing every problem
+ */
+export async function loadPresets(file) {
+    try {
+        if (!file) {
+            throw new Error('No file provided');
+        }
+
+        if (!file.name.endsWith('.json')) {
+            throw new Error('Invalid file type. Expected .json file');
+        }
+
+        const collection = parseJSON(await readFileAsText(file), file.name);
+        if (collection.type !== 'muralbot-presets' || !Array.isArray(collection.presets)) {
+            throw new Error('Invalid presets file type');
+        }
+
+        const schemaVersion = getSchemaVersion(collection);
+        return collection.presets.map((preset, index) => {
+            const name = typeof preset.name === 'string' && preset.name.trim() ? preset.name.trim() : `Preset ${index + 1}`;
+            const { config } = upgradeConfig({ ...preset.config, schemaVersion }, `Preset "${name}"`);
+            return { name, description: preset.description || '', config };
+        });
+    } catch (error) {
+        console.error('Error loading presets:', error);
+        throw error;
+    }
+}
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob - Content to encode
+ * @returns {Promise<string>} Base64 data URL
+ * @private
+ */
+function readBlobAsDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        
+        reader.onload = (event) => {
+            resolve(event.target.result);
+        };
+        
+        reader.onerror = () => {
+            reject(new Error('Failed to read file'));
+        };
+        
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Decode a data URL into a Blob
+ * @param {string} dataURL - Base64 data URL
+ * @returns {Promise<Blob>} Decoded content
+ * @private
+ */
+async function dataURLToBlob(dataURL) {
+    if (typeof dataURL !== 'string' || !dataURL.startsWith('data:')) {
+        throw new Error('Project file has a damaged embedded image');
+    }
+    const response = await fetch(dataURL);
+    return response.blob();
+}
+
 /**
  * Read file as text using FileReader API
  * @param {File} file - File to read
@@ -195,49 +435,18 @@ function readFileAsText(file) {
 }
 
 /**
- * Validate configuration structure
- * @param {Object} config - Configuration to validate
- * @returns {Object} Validation result with isValid flag and errors array
+ * Parse JSON file content
+ * @param {string} text - File content
+ * @param {string} filename - File name, for the error message
+ * @returns {*} Parsed value
  * @private
  */
-function validateConfiguration(config) {
-    const result = {
-        isValid: true,
-        errors: [],
-        warnings: []
-    };
-
-    if (!config || typeof config !== 'object') {
-        result.isValid = false;
-        result.errors.push('Configuration is not an object');
-        return result;
-    }
-
-    // Check for expected fields (optional, but warn if missing)
-    const expectedFields = ['canvasWidth', 'canvasHeight', 'numColors'];
-    expectedFields.forEach(field => {
-        if (!(field in config)) {
-            result.warnings.push(`Missing field: ${field}`);
-        }
-    });
-
-    // Validate numeric fields if present
-    if ('canvasWidth' in config && (typeof config.canvasWidth !== 'number' || config.canvasWidth <= 0)) {
-        result.errors.push('canvasWidth must be a positive number');
-        result.isValid = false;
-    }
-
-    if ('canvasHeight' in config && (typeof config.canvasHeight !== 'number' || config.canvasHeight <= 0)) {
-        result.errors.push('canvasHeight must be a positive number');
-        result.isValid = false;
-    }
-
-    if ('numColors' in config && (typeof config.numColors !== 'number' || config.numColors < 1)) {
-        result.errors.push('numColors must be a positive number');
-        result.isValid = false;
+function parseJSON(text, filename) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${filename} is not valid JSON: ${error.message}`);
     }
-
-    return result;
 }
 
 /**
@@ -264,16 +473,547 @@ export function promptFileSelection(accept = '.json', callback) {
 }
 
 /**
- * Export multiple files as a ZIP archive (requires JSZip library)
- * Note: This is a placeholder for future implementation
- * @param {Object} files - Object with filename: content pairs
+ * ZIP record signatures
+ * @private
+ */
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+/**
+ * ZIP compression methods
+ * @private
+ */
+const ZIP_STORE = 0;
+const ZIP_DEFLATE = 8;
+
+/**
+ * General purpose flag: file names are UTF-8
+ * @private
+ */
+const ZIP_UTF8_FLAG = 0x0800;
+
+/**
+ * Largest size or offset a ZIP without ZIP64 extensions can record
+ * @private
+ */
+const ZIP_MAX_SIZE = 0xFFFFFFFF;
+
+/**
+ * Extensions of formats that are already compressed and stored as-is
+ * @private
+ */
+const PRECOMPRESSED_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.zip'];
+
+/**
+ * CRC-32 lookup table (IEEE polynomial)
+ * @private
+ */
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Continue a CRC-32 over more bytes
+ * @param {number} crc - Running CRC from a previous call, or 0 to start
+ * @param {Uint8Array} bytes - Next bytes
+ * @returns {number} Updated CRC-32
+ * @private
+ */
+function updateCrc32(crc, bytes) {
+    let c = ~crc;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return ~c >>> 0;
+}
+
+/**
+ * Convert ZIP entry content to a Blob
+ * @param {string|Blob|ArrayBuffer|Uint8Array} content - Entry content
+ * @returns {Blob} Content as a Blob (strings are UTF-8)
+ * @private
+ */
+function toBlob(content) {
+    if (content instanceof Blob) return content;
+    if (typeof content === 'string' || content instanceof ArrayBuffer || ArrayBuffer.isView(content)) {
+        return new Blob([content]);
+    }
+    throw new Error('ZIP entries must be strings, Blobs or binary data');
+}
+
+/**
+ * Read a Blob through a chain of transform streams
+ * Runs a CRC-32 over the bytes entering the chain (or leaving it, for
+ * decompression), so large entries are never held as one buffer.
+ * @param {Blob} blob - Input data
+ * @param {TransformStream|null} transform - Compression stream, or null to copy
+ * @param {boolean} crcAfter - Checksum the transformed output instead of the input
+ * @returns {Promise<{blob: Blob, crc: number, size: number}>} Output data, CRC-32 and
+ *          byte count of the checksummed side
+ * @private
+ */
+async function pipeBlob(blob, transform, crcAfter = false) {
+    let crc = 0;
+    let size = 0;
+    const checksum = new TransformStream({
+        transform(chunk, controller) {
+            crc = updateCrc32(crc, chunk);
+            size += chunk.length;
+            controller.enqueue(chunk);
+        }
+    });
+
+    let stream = blob.stream();
+    if (!transform) {
+        stream = stream.pipeThrough(checksum);
+    } else if (crcAfter) {
+        stream = stream.pipeThrough(transform).pipeThrough(checksum);
+    } else {
+        stream = stream.pipeThrough(checksum).pipeThrough(transform);
+    }
+
+    const output = await new Response(stream).blob();
+    return { blob: output, crc, size };
+}
+
+/**
+ * Get the DOS time and date fields for a ZIP entry
+ * @param {Date} date - Modification time
+ * @returns {{time: number, date: number}} Packed DOS time and date
+ * @private
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive
+ * Entries are deflated where the browser supports CompressionStream and the
+ * format is not already compressed; otherwise they are stored. Archives
+ * are limited to 4 GB (no ZIP64).
+ * @param {Object<string, string|Blob|ArrayBuffer|Uint8Array>} files - Path in the archive: content pairs;
+ *        strings are written as UTF-8
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export async function createZip(files) {
+    const names = Object.keys(files);
+    if (names.length === 0) {
+        throw new Error('No files to add to the ZIP archive');
+    }
+
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const canDeflate = typeof CompressionStream !== 'undefined';
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const name of names) {
+        const nameBytes = encoder.encode(name);
+        const source = toBlob(files[name]);
+        const precompressed = PRECOMPRESSED_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext));
+
+        let method = ZIP_STORE;
+        let { blob: data, crc, size } = await pipeBlob(source, null);
+        if (canDeflate && !precompressed && size > 0) {
+            const deflated = await pipeBlob(source, new CompressionStream('deflate-raw'));
+            if (deflated.blob.size < size) {
+                method = ZIP_DEFLATE;
+                data = deflated.blob;
+            }
+        }
+
+        if (size >= ZIP_MAX_SIZE || offset + data.size >= ZIP_MAX_SIZE) {
+            throw new Error(`ZIP archive too large at ${name} (4 GB limit)`);
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, ZIP_LOCAL_HEADER, true);
+        header.setUint16(4, 20, true);                  // Version needed (2.0)
+        header.setUint16(6, ZIP_UTF8_FLAG, true);
+        header.setUint16(8, method, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.size, true);
+        header.setUint32(22, size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);                  // Extra field length
+
+        parts.push(header, nameBytes, data);
+        directory.push({ nameBytes, method, crc, compressedSize: data.size, size, offset });
+        offset += 30 + nameBytes.length + data.size;
+    }
+
+    const directoryOffset = offset;
+    for (const entry of directory) {
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, ZIP_CENTRAL_HEADER, true);
+        record.setUint16(4, 20, true);                  // Version made by
+        record.setUint16(6, 20, true);                  // Version needed
+        record.setUint16(8, ZIP_UTF8_FLAG, true);
+        record.setUint16(10, entry.method, true);
+        record.setUint16(12, time, true);
+        record.setUint16(14, date, true);
+        record.setUint32(16, entry.crc, true);
+        record.setUint32(20, entry.compressedSize, true);
+        record.setUint32(24, entry.size, true);
+        record.setUint16(28, entry.nameBytes.length, true);
+        record.setUint32(42, entry.offset, true);       // Extra, comment, disk and attributes stay 0
+
+        parts.push(record, entry.nameBytes);
+        offset += 46 + entry.nameBytes.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_OF_DIRECTORY, true);
+    end.setUint16(8, directory.length, true);
+    end.setUint16(10, directory.length, true);
+    end.setUint32(12, offset - directoryOffset, true);
+    end.setUint32(16, directoryOffset, true);
+    parts.push(end);
+
+    return new Blob(parts, { type: 'application/zip' });
+}
+
+/**
+ * Read the entries of a ZIP archive
+ * Supports stored and deflated entries; each entry's CRC-32 is checked.
+ * @param {Blob} zip - ZIP archive
+ * @returns {Promise<Object<string, Blob>>} Path in the archive: content pairs (folders are skipped)
+ */
+export async function readZip(zip) {
+    // The end of central directory record sits in the last 22 bytes plus any comment
+    const tailStart = Math.max(0, zip.size - 22 - 0xFFFF);
+    const tail = new DataView(await zip.slice(tailStart).arrayBuffer());
+    let endOffset = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const entryCount = tail.getUint16(endOffset + 10, true);
+    const directorySize = tail.getUint32(endOffset + 12, true);
+    const directoryOffset = tail.getUint32(endOffset + 16, true);
+    if (directoryOffset === ZIP_MAX_SIZE || directoryOffset + directorySize > zip.size) {
+        throw new Error('ZIP archive is damaged or uses unsupported ZIP64 extensions');
+    }
+
+    const directory = new DataView(await zip.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const decoder = new TextDecoder();
+    const files = {};
+    let position = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (position + 46 > directory.byteLength || directory.getUint32(position, true) !== ZIP_CENTRAL_HEADER) {
+            throw new Error('ZIP archive is damaged: bad central directory');
+        }
+
+        const method = directory.getUint16(position + 10, true);
+        const crc = directory.getUint32(position + 16, true);
+        const compressedSize = directory.getUint32(position + 20, true);
+        const nameLength = directory.getUint16(position + 28, true);
+        const extraLength = directory.getUint16(position + 30, true);
+        const commentLength = directory.getUint16(position + 32, true);
+        const localOffset = directory.getUint32(position + 42, true);
+        const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // Local header name and extra lengths may differ from the central directory
+        const local = new DataView(await zip.slice(localOffset, localOffset + 30).arrayBuffer());
+        if (local.byteLength < 30 || local.getUint32(0, true) !== ZIP_LOCAL_HEADER) {
+            throw new Error(`ZIP archive is damaged: bad header for ${name}`);
+        }
+        const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        const data = zip.slice(dataStart, dataStart + compressedSize);
+
+        let result;
+        if (method === ZIP_STORE) {
+            result = await pipeBlob(data, null);
+        } else if (method === ZIP_DEFLATE) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot read compressed ZIP entries');
+            }
+            result = await pipeBlob(data, new DecompressionStream('deflate-raw'), true);
+        } else {
+            throw new Error(`Unsupported compression method ${method} for ${name}`);
+        }
+
+        if (result.crc !== crc) {
+            throw new Error(`ZIP archive is damaged: checksum mismatch for ${name}`);
+        }
+        files[name] = result.blob;
+    }
+
+    return files;
+}
+
+/**
+ * Export multiple files as a ZIP archive
+ * @param {Object<string, string|Blob|ArrayBuffer|Uint8Array>} files - Object with filename: content pairs
  * @param {string} zipFilename - Name of the ZIP file
  * @returns {Promise<boolean>} Success status
  */
 export async function exportAsZip(files, zipFilename = 'muralbot-export.zip') {
-    // This would require including JSZip library
-    // For now, throw an error indicating it's not implemented
-    throw new Error('ZIP export not yet implemented. Consider including JSZip library.');
+    try {
+        const blob = await createZip(files);
+        downloadZip(blob, zipFilename);
+
+        return true;
+    } catch (error) {
+        console.error('Error exporting ZIP archive:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save a ZIP archive through a temporary download link
+ * @param {Blob} blob - ZIP archive
+ * @param {string} zipFilename - Name of the ZIP file
+ * @private
+ */
+function downloadZip(blob, zipFilename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = zipFilename.endsWith('.zip') ? zipFilename : `${zipFilename}.zip`;
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+}
+
+/**
+ * Fixed paths inside a project bundle
+ * @type {Object<string, string>}
+ */
+export const PROJECT_BUNDLE_FILES = {
+    MANIFEST: 'project.json',
+    CONFIG: 'config.json',
+    PREVIEW: 'preview.png',
+    EDGE_MAP: 'edge-map.png',
+    ESTIMATE: 'estimate.json'
+};
+
+/**
+ * Encode ImageData as a PNG
+ * @param {ImageData} imageData - Pixels to encode
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function imageDataToPng(imageData) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        return canvas.convertToBlob({ type: 'image/png' });
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode PNG')), 'image/png');
+    });
+}
+
+/**
+ * Decode an image file into ImageData
+ * @param {Blob} blob - Encoded image
+ * @returns {Promise<ImageData>} Decoded pixels
+ */
+export async function imageToImageData(blob) {
+    const bitmap = await createImageBitmap(blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Build a project ZIP bundle
+ * The bundle holds the configuration (as saveConfiguration writes it), the
+ * G-code, the source image, the quantized preview, the palette, one mask
+ * per color layer, the edge map and the job estimates, listed in a
+ * project.json manifest. Missing parts are left out.
+ * @param {Object} project - Project contents
+ * @param {Object} project.config - Settings the G-code was generated with
+ * @param {Blob|string} [project.gcode] - Generated G-code
+ * @param {File} [project.image] - Source image file
+ * @param {ImageData} [project.preview] - Quantized image or edge map
+ * @param {Array<{r: number, g: number, b: number}>} [project.colorPalette] - Palette used for separation
+ * @param {Array<Object>} [project.colorLayers] - Color layers {color, imageData, pixelCount, index}
+ * @param {ImageData} [project.edgeMap] - Edge map (spray and sketch modes)
+ * @param {Object} [project.estimates] - Estimates from JobEstimator
+ * @param {string} [basename] - Name used for the G-code file inside the bundle
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export async function createProjectBundle(project, basename = 'muralbot-project') {
+    if (!project || !project.config) {
+        throw new Error('Project has no configuration');
+    }
+
+    const manifest = {
+        version: '1.0',
+        schemaVersion: SCHEMA_VERSION,
+        exportDate: new Date().toISOString(),
+        type: 'muralbot-project-bundle',
+        files: { config: PROJECT_BUNDLE_FILES.CONFIG },
+        colorPalette: project.colorPalette || null,
+        layers: []
+    };
+    const files = {
+        [PROJECT_BUNDLE_FILES.CONFIG]: serializeConfiguration(project.config)
+    };
+
+    if (project.gcode) {
+        manifest.files.gcode = `gcode/${basename}.gcode`;
+        files[manifest.files.gcode] = project.gcode;
+    }
+
+    if (project.image) {
+        manifest.files.image = `source/${project.image.name}`;
+        manifest.imageType = project.image.type;
+        files[manifest.files.image] = project.image;
+    }
+
+    if (project.preview) {
+        manifest.files.preview = PROJECT_BUNDLE_FILES.PREVIEW;
+        files[manifest.files.preview] = await imageDataToPng(project.preview);
+    }
+
+    for (const [index, layer] of (project.colorLayers || []).entries()) {
+        const file = `layers/layer-${String(index + 1).padStart(2, '0')}.png`;
+        manifest.layers.push({ file, color: layer.color, pixelCount: layer.pixelCount, index: layer.index });
+        files[file] = await imageDataToPng(layer.imageData);
+    }
+
+    if (project.edgeMap) {
+        manifest.files.edgeMap = PROJECT_BUNDLE_FILES.EDGE_MAP;
+        files[manifest.files.edgeMap] = await imageDataToPng(project.edgeMap);
+    }
+
+    if (project.estimates) {
+        manifest.files.estimate = PROJECT_BUNDLE_FILES.ESTIMATE;
+        files[manifest.files.estimate] = JSON.stringify(project.estimates, null, 2);
+    }
+
+    files[PROJECT_BUNDLE_FILES.MANIFEST] = JSON.stringify(manifest, null, 2);
+
+    return createZip(files);
+}
+
+/**
+ * Export a project as a ZIP bundle
+ * @param {Object} project - Project contents, see createProjectBundle()
+ * @param {string} filename - Filename (without extension)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportProjectBundle(project, filename = 'muralbot-project') {
+    try {
+        const basename = filename.replace(/\.zip$/, '');
+        const blob = await createProjectBundle(project, basename);
+        downloadZip(blob, `${basename}.zip`);
+
+        return true;
+    } catch (error) {
+        console.error('Error exporting project bundle:', error);
+        throw error;
+    }
+}
+
+/**
+ * Import a project ZIP bundle written by exportProjectBundle()
+ * The configuration is migrated to the current schema and validated.
+ * @param {File} file - Bundle to import
+ * @returns {Promise<Object>} Project {config, gcode: Blob|null, image: File|null,
+ *          preview: ImageData|null, colorPalette: Array|null, colorLayers: Array,
+ *          edgeMap: ImageData|null, estimates: Object|null}
+ * @throws {ConfigValidationError} If the configuration is invalid, listing every problem
+ */
+export async function importProjectBundle(file) {
+    try {
+        if (!file) {
+            throw new Error('No file provided');
+        }
+
+        if (!file.name.endsWith('.zip')) {
+            throw new Error('Invalid file type. Expected .zip file');
+        }
+
+        const files = await readZip(file);
+        const read = path => {
+            if (!files[path]) {
+                throw new Error(`Project bundle is missing ${path}`);
+            }
+            return files[path];
+        };
+
+        const manifest = parseJSON(await read(PROJECT_BUNDLE_FILES.MANIFEST).text(), PROJECT_BUNDLE_FILES.MANIFEST);
+        if (manifest.type !== 'muralbot-project-bundle') {
+            throw new Error('Invalid project bundle type');
+        }
+
+        const savedConfig = parseJSON(await read(manifest.files.config).text(), manifest.files.config);
+        if (savedConfig.type !== 'muralbot-configuration') {
+            throw new Error('Project bundle has an invalid configuration');
+        }
+        const { config } = upgradeConfig(savedConfig, 'Project bundle configuration');
+
+        const project = {
+            config,
+            gcode: manifest.files.gcode ? read(manifest.files.gcode) : null,
+            image: null,
+            preview: manifest.files.preview ? await imageToImageData(read(manifest.files.preview)) : null,
+            colorPalette: manifest.colorPalette || null,
+            colorLayers: [],
+            edgeMap: manifest.files.edgeMap ? await imageToImageData(read(manifest.files.edgeMap)) : null,
+            estimates: manifest.files.estimate ? JSON.parse(await read(manifest.files.estimate).text()) : null
+        };
+
+        if (manifest.files.image) {
+            const name = manifest.files.image.split('/').pop();
+            project.image = new File([read(manifest.files.image)], name, { type: manifest.imageType });
+        }
+
+        for (const layer of manifest.layers || []) {
+            project.colorLayers.push({
+                color: layer.color,
+                imageData: await imageToImageData(read(layer.file)),
+                pixelCount: layer.pixelCount,
+                index: layer.index
+            });
+        }
+
+        return project;
+    } catch (error) {
+        console.error('Error importing project bundle:', error);
+        throw error;
+    }
 }
 
 /**
@@ -3,14 +3,30 @@
  * Handles G-code export to file, clipboard operations, and validation
  */
 
+import { postProcess, translateLines, getDialect, DEFAULT_DIALECT } from '../gcode/postProcessor.js';
+import { machineToCartesian, cartesianToMachine, getMachineAxes } from '../gcode/coordinateTransformer.js';
+import { compensatedToCartesian, compensateLengths } from '../gcode/cableCompensation.js';
+
+/**
+ * Lines between entries of a written program's line index
+ * Lets a viewer read any line range from the Blob without splitting it all.
+ */
+export const LINE_INDEX_STRIDE = 256;
+
+/**
+ * Lines per chunk when reading a G-code Blob back
+ */
+const READ_CHUNK_LINES = 2000;
+
 /**
  * Download G-code as a file
  * @param {string} gcode - The G-code content to download
  * @param {string} filename - The filename to use (without extension)
  * @param {string} format - File format ('gcode', 'nc', or 'txt')
+ * @param {string} dialect - Firmware dialect id from the post-processor registry (default: 'muralbot')
  * @returns {boolean} Success status
  */
-export function downloadGCode(gcode, filename = 'mural', format = 'gcode') {
+export function downloadGCode(gcode, filename = 'mural', format = 'gcode', dialect = DEFAULT_DIALECT) {
     try {
         if (!gcode || gcode.trim().length === 0) {
             throw new Error('G-code content is empty');
@@ -22,32 +38,14 @@ export function downloadGCode(gcode, filename = 'mural', format = 'gcode') {
             console.warn('G-code validation warnings:', validation.warnings);
         }
 
-        // Determine file extension and MIME type
-        const extensions = {
-            'gcode': '.gcode',
-            'nc': '.nc',
-            'txt': '.txt'
-        };
-        const extension = extensions[format] || '.gcode';
-        const fullFilename = filename.endsWith(extension) ? filename : filename + extension;
+        // Translate to the target controller's dialect
+        const output = dialect === DEFAULT_DIALECT ? gcode : postProcess(gcode, dialect);
 
         // Create blob with appropriate MIME type
-        const mimeType = format === 'txt' ? 'text/plain' : 'text/plain';
-        const blob = new Blob([gcode], { type: mimeType + ';charset=utf-8' });
-
-        // Create download link and trigger download
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = fullFilename;
-        
-        // Append to body, click, and cleanup
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        // Cleanup the URL object after a short delay
-        setTimeout(() => URL.revokeObjectURL(url), 100);
+        const { mimeType } = getFormatInfo(format);
+        const blob = new Blob([output], { type: mimeType + ';charset=utf-8' });
+
+        triggerDownload(blob, filename, format);
 
         return true;
     } catch (error) {
@@ -56,6 +54,161 @@ export function downloadGCode(gcode, filename = 'mural', format = 'gcode') {
     }
 }
 
+/**
+ * Download a streamed G-code program as a file
+ * The program is translated chunk by chunk when a non-default dialect is
+ * selected, so it never has to exist as one string.
+ * @param {Object} output - Written program from writeGCodeBlob()
+ * @param {string} filename - The filename to use (without extension)
+ * @param {string} format - File format ('gcode', 'nc', or 'txt')
+ * @param {string} dialect - Firmware dialect id from the post-processor registry (default: 'muralbot')
+ * @returns {Promise<boolean>} Success status
+ */
+export async function downloadGCodeBlob(output, filename = 'mural', format = 'gcode', dialect = DEFAULT_DIALECT) {
+    try {
+        if (!output || !output.blob || output.lineCount === 0) {
+            throw new Error('G-code content is empty');
+        }
+
+        const blob = dialect === DEFAULT_DIALECT
+            ? output.blob
+            : (await writeGCodeBlob(readGCodeLines(output.blob), { dialect })).blob;
+
+        triggerDownload(blob, filename, format);
+
+        return true;
+    } catch (error) {
+        console.error('Error downloading G-code:', error);
+        throw error;
+    }
+}
+
+/**
+ * Download plain text as a file, without G-code validation or translation
+ * @param {string} text - File content
+ * @param {string} filename - The filename to use (without extension)
+ * @param {string} format - File format ('gcode', 'nc', or 'txt')
+ */
+export function downloadText(text, filename, format = 'txt') {
+    const { mimeType } = getFormatInfo(format);
+    triggerDownload(new Blob([text], { type: mimeType + ';charset=utf-8' }), filename, format);
+}
+
+/**
+ * Save a Blob through a temporary download link
+ * @private
+ * @param {Blob} blob - File content
+ * @param {string} filename - The filename to use (without extension)
+ * @param {string} format - File format ('gcode', 'nc', or 'txt')
+ */
+function triggerDownload(blob, filename, format) {
+    const { extension } = getFormatInfo(format);
+    const fullFilename = filename.endsWith(extension) ? filename : filename + extension;
+
+    // Create download link and trigger download
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fullFilename;
+    
+    // Append to body, click, and cleanup
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Cleanup the URL object after a short delay
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+}
+
+/**
+ * Write a stream of G-code line chunks into a Blob
+ * Each chunk is encoded as it arrives, so only the Blob parts are kept and
+ * the program never exists as one string. A sparse line index is recorded
+ * alongside for random access by the G-code viewer.
+ * @param {AsyncIterable<string[]>|Iterable<string[]>} chunks - Line chunks, e.g. gcodeGenerator.stream()
+ * @param {Object} [options] - Write options
+ * @param {string} [options.dialect='muralbot'] - Dialect to translate the lines into
+ * @param {Function} [options.onChunk] - Called with the running line count after each chunk
+ * @returns {Promise<Object>} Written program {blob, lineCount, lineIndex: {stride, offsets}}
+ */
+export async function writeGCodeBlob(chunks, options = {}) {
+    const dialect = getDialect(options.dialect || DEFAULT_DIALECT);
+    const translate = dialect.id !== DEFAULT_DIALECT;
+    const encoder = new TextEncoder();
+    const parts = [];
+    const offsets = [];
+    let byteLength = 0;
+    let lineCount = 0;
+
+    const write = (lines) => {
+        if (lines.length === 0) return;
+
+        for (const line of lines) {
+            if (lineCount % LINE_INDEX_STRIDE === 0) {
+                offsets.push(byteLength);
+            }
+            // Comments may carry non-ASCII text, which takes more than one byte per character
+            const length = /[^\x00-\x7f]/.test(line) ? encoder.encode(line).length : line.length;
+            byteLength += length + dialect.lineEnding.length;
+            lineCount++;
+        }
+
+        parts.push(encoder.encode(lines.join(dialect.lineEnding) + dialect.lineEnding));
+    };
+
+    write(dialect.preamble);
+    for await (const chunk of chunks) {
+        write(translate ? translateLines(chunk, dialect) : chunk);
+        if (options.onChunk) {
+            options.onChunk(lineCount);
+        }
+    }
+    write(dialect.postamble);
+
+    return {
+        blob: new Blob(parts, { type: 'text/plain;charset=utf-8' }),
+        lineCount,
+        lineIndex: { stride: LINE_INDEX_STRIDE, offsets }
+    };
+}
+
+/**
+ * Read a G-code Blob back as line chunks without loading it as one string
+ * @param {Blob} blob - G-code file content
+ * @param {number} [chunkLines=2000] - Lines per yielded chunk
+ * @yields {string[]} G-code lines, in file order
+ */
+export async function* readGCodeLines(blob, chunkLines = READ_CHUNK_LINES) {
+    const reader = blob.stream().getReader();
+    const decoder = new TextDecoder();
+    let pending = '';
+    let lines = [];
+
+    while (true) {
+        const { done, value } = await reader.read();
+        pending += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+        const parts = pending.split(/\r?\n/);
+        pending = parts.pop();
+        for (const line of parts) {
+            lines.push(line);
+            if (lines.length >= chunkLines) {
+                yield lines;
+                lines = [];
+            }
+        }
+
+        if (done) break;
+    }
+
+    if (pending) {
+        lines.push(pending);
+    }
+    if (lines.length > 0) {
+        yield lines;
+    }
+}
+
 /**
  * Generate a descriptive filename based on configuration
  * @param {Object} config - Configuration object with canvas dimensions and color count
@@ -131,9 +284,15 @@ export async function copyToClipboard(text) {
  * Validate G-code content
  * Performs basic validation checks on the G-code
  * @param {string} gcode - G-code content to validate
+ * @param {Object} [options] - Validation options
+ * @param {Object} [options.anchors] - Anchor configuration (from createAnchorConfig); when given,
+ *        every move is inverted through the machine kinematics and checked for consistency
+ * @param {number} [options.tolerance=1] - Allowed cable length mismatch in mm
+ * @param {Object} [options.compensation] - Cable compensation options (from getCompensationOptions)
+ *        the G-code was generated with; lengths are then inverted through the sag/stretch model
  * @returns {Object} Validation result with isValid flag and warnings array
  */
-export function validateGCode(gcode) {
+export function validateGCode(gcode, options = {}) {
     const result = {
         isValid: true,
         warnings: [],
@@ -188,17 +347,23 @@ export function validateGCode(gcode) {
         // Check for invalid characters
         const invalidChars = /[^\w\s\.\-\(\);%]/;
         const hasInvalidChars = lines.some((line, index) => {
-            const trimmed = line.trim();
-            if (trimmed.startsWith(';') || trimmed.startsWith('(')) {
-                return false; // Comments are OK
+            // Comments are OK, including tags after a command (M6 ; COLOR:#RRGGBB)
+            const code = line.split(';')[0].trim();
+            if (code.startsWith('(')) {
+                return false;
             }
-            if (invalidChars.test(trimmed)) {
+            if (invalidChars.test(code)) {
                 result.warnings.push(`Line ${index + 1} contains potentially invalid characters`);
                 return true;
             }
             return false;
         });
 
+        // Check that every move can be inverted by the machine kinematics
+        if (options.anchors) {
+            validateKinematics(lines, options.anchors, options.tolerance || 1, result, options.compensation);
+        }
+
     } catch (error) {
         result.isValid = false;
         result.errors.push(`Validation error: ${error.message}`);
@@ -207,6 +372,70 @@ export function validateGCode(gcode) {
     return result;
 }
 
+/**
+ * Validate move commands against the machine kinematics
+ * Each move must carry every cable axis, invert to a real point, and
+ * transform back to the same cable lengths.
+ * @private
+ * @param {string[]} lines - G-code lines
+ * @param {Object} anchors - Anchor configuration (with kinematics)
+ * @param {number} tolerance - Allowed cable length mismatch in mm
+ * @param {Object} result - Validation result to append to
+ * @param {Object|null} [compensation] - Cable compensation options, if the lengths are compensated
+ */
+function validateKinematics(lines, anchors, tolerance, result, compensation = null) {
+    const axes = getMachineAxes(anchors.kinematics);
+    const maxReported = 10;
+    let problems = 0;
+
+    const report = (message) => {
+        problems++;
+        if (problems <= maxReported) {
+            result.errors.push(message);
+        }
+    };
+
+    lines.forEach((line, index) => {
+        const code = line.split(';')[0].trim();
+        if (!/^G0?[01]\s/i.test(code)) return;
+
+        const lengths = {};
+        for (const axis of axes) {
+            const match = code.match(new RegExp(`${axis}(-?[\\d.]+)`, 'i'));
+            if (match) lengths[axis] = parseFloat(match[1]);
+        }
+
+        const missing = axes.filter(axis => lengths[axis] === undefined);
+        if (missing.length > 0) {
+            report(`Line ${index + 1}: move is missing ${missing.join('/')} for ${anchors.kinematics} kinematics`);
+            return;
+        }
+
+        const point = compensation
+            ? compensatedToCartesian(lengths, anchors, compensation)
+            : machineToCartesian(lengths, anchors);
+        if (!point) {
+            report(`Line ${index + 1}: cable lengths have no valid position`);
+            return;
+        }
+
+        const roundTrip = compensation
+            ? compensateLengths(point.x, point.y, anchors, compensation)
+            : cartesianToMachine(point.x, point.y, anchors);
+        const mismatch = Math.max(...axes.map(axis => Math.abs(roundTrip[axis] - lengths[axis])));
+        if (mismatch > tolerance) {
+            report(`Line ${index + 1}: cable lengths are inconsistent (${mismatch.toFixed(2)}mm off)`);
+        }
+    });
+
+    if (problems > maxReported) {
+        result.errors.push(`...and ${problems - maxReported} more kinematics errors`);
+    }
+    if (problems > 0) {
+        result.isValid = false;
+    }
+}
+
 /**
  * Get file extension and MIME type for a given format
  * @param {string} format - Format identifier ('gcode', 'nc', 'txt')
@@ -255,6 +484,7 @@ export function showFeedback(message, type = 'info', duration = 3000) {
         font-size: 14px;
         animation: slideInRight 0.3s ease-out;
         max-width: 300px;
+        white-space: pre-line;
     `;
 
     document.body.appendChild(toast);
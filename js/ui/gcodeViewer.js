@@ -0,0 +1,235 @@
+/**
+ * G-code Viewer Module
+ * Shows a window of a G-code program in the output textarea. The program
+ * stays in its Blob and only the lines around the scroll position are read,
+ * so million-line jobs do not freeze the page.
+ */
+
+import { writeGCodeBlob } from './gcodeExporter.js';
+
+/**
+ * Number of lines shown in the textarea at once
+ */
+const WINDOW_LINES = 600;
+
+/**
+ * Lines the window moves by when scrolling reaches one of its edges
+ */
+const SHIFT_LINES = 200;
+
+/**
+ * Distance from the textarea edge (px) at which the window moves
+ */
+const EDGE_THRESHOLD = 40;
+
+/**
+ * GCodeViewer class
+ * Virtualized, read-only view of a written G-code program
+ */
+export class GCodeViewer {
+    /**
+     * Create a new GCodeViewer
+     * @param {HTMLTextAreaElement} textarea - Output textarea
+     * @param {HTMLElement} [status] - Element that shows the visible line range
+     */
+    constructor(textarea, status = null) {
+        if (!textarea) {
+            throw new Error('GCodeViewer requires a textarea element');
+        }
+
+        this.textarea = textarea;
+        this.status = status;
+        this.output = null;        // Program from writeGCodeBlob()
+        this.windowStart = 0;      // First line in the textarea (0-based)
+        this.windowLength = 0;     // Lines in the textarea
+        this.isLoading = false;
+
+        this.textarea.addEventListener('scroll', () => this.handleScroll());
+    }
+
+    /**
+     * Show a written program
+     * @param {Object} output - Program from writeGCodeBlob()
+     * @returns {Promise<void>}
+     */
+    async load(output) {
+        this.output = output;
+        await this.renderWindow(0);
+        this.textarea.scrollTop = 0;
+    }
+
+    /**
+     * Show G-code held as a string (small programs and placeholders)
+     * @param {string} text - G-code
+     * @returns {Promise<void>}
+     */
+    async setText(text) {
+        const output = await writeGCodeBlob([text.split('\n')]);
+        await this.load(output);
+    }
+
+    /**
+     * Remove the program from the view
+     */
+    clear() {
+        this.output = null;
+        this.windowStart = 0;
+        this.windowLength = 0;
+        this.textarea.value = '';
+        this.updateStatus();
+    }
+
+    /**
+     * Check whether a program is loaded
+     * @returns {boolean} True if there is G-code to show
+     */
+    hasContent() {
+        return Boolean(this.output && this.output.lineCount > 0);
+    }
+
+    /**
+     * Get the loaded program
+     * @returns {Object|null} Program from writeGCodeBlob(), or null
+     */
+    getOutput() {
+        return this.output;
+    }
+
+    /**
+     * Get the line count of the loaded program
+     * @returns {number} Number of lines
+     */
+    getLineCount() {
+        return this.output ? this.output.lineCount : 0;
+    }
+
+    /**
+     * Read the whole program as one string
+     * Only use this for programs small enough to hold in memory.
+     * @returns {Promise<string>} G-code, or an empty string if nothing is loaded
+     */
+    async getText() {
+        return this.output ? this.output.blob.text() : '';
+    }
+
+    /**
+     * Scroll the view to a line
+     * @param {number} lineNumber - 1-based line number
+     * @returns {Promise<void>}
+     */
+    async showLine(lineNumber) {
+        if (!this.hasContent()) return;
+
+        const line = Math.max(0, Math.min(this.output.lineCount - 1, lineNumber - 1));
+        await this.renderWindow(line - Math.floor(WINDOW_LINES / 2));
+        this.textarea.scrollTop = (line - this.windowStart) * this.getLineHeight();
+    }
+
+    /**
+     * Read a range of lines from the program Blob
+     * @private
+     * @param {number} start - First line (0-based)
+     * @param {number} end - Line after the last one
+     * @returns {Promise<string[]>} Lines in the range
+     */
+    async readLines(start, end) {
+        const { blob, lineIndex } = this.output;
+        const { stride, offsets } = lineIndex;
+
+        const firstEntry = Math.floor(start / stride);
+        const lastEntry = Math.ceil(end / stride);
+        const byteStart = offsets[firstEntry];
+        const byteEnd = lastEntry < offsets.length ? offsets[lastEntry] : blob.size;
+
+        const text = await blob.slice(byteStart, byteEnd).text();
+        const lines = text.split(/\r?\n/);
+        const skip = start - firstEntry * stride;
+
+        return lines.slice(skip, skip + (end - start));
+    }
+
+    /**
+     * Fill the textarea with the window starting at a line
+     * @private
+     * @param {number} start - First line to show (0-based), clamped to the program
+     * @returns {Promise<void>}
+     */
+    async renderWindow(start) {
+        if (!this.hasContent()) {
+            this.clear();
+            return;
+        }
+
+        const lineCount = this.output.lineCount;
+        this.windowStart = Math.max(0, Math.min(start, lineCount - WINDOW_LINES));
+        const end = Math.min(lineCount, this.windowStart + WINDOW_LINES);
+
+        const lines = await this.readLines(this.windowStart, end);
+        this.windowLength = lines.length;
+        this.textarea.value = lines.join('\n');
+        this.updateStatus();
+    }
+
+    /**
+     * Move the window when scrolling reaches its top or bottom edge
+     * @private
+     */
+    async handleScroll() {
+        if (this.isLoading || !this.hasContent()) return;
+
+        const { scrollTop, scrollHeight, clientHeight } = this.textarea;
+        const atTop = scrollTop < EDGE_THRESHOLD && this.windowStart > 0;
+        const atBottom = scrollTop + clientHeight > scrollHeight - EDGE_THRESHOLD &&
+            this.windowStart + this.windowLength < this.output.lineCount;
+
+        if (!atTop && !atBottom) return;
+
+        // Keep the first visible line in place while the window moves
+        this.isLoading = true;
+        try {
+            const lineHeight = this.getLineHeight();
+            const firstVisible = this.windowStart + Math.floor(scrollTop / lineHeight);
+            await this.renderWindow(this.windowStart + (atTop ? -SHIFT_LINES : SHIFT_LINES));
+            this.textarea.scrollTop = (firstVisible - this.windowStart) * lineHeight;
+        } catch (error) {
+            console.error('[GCodeViewer] Failed to read G-code window:', error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Measure the rendered height of one textarea line
+     * @private
+     * @returns {number} Line height in pixels
+     */
+    getLineHeight() {
+        const lineHeight = parseFloat(getComputedStyle(this.textarea).lineHeight);
+        if (!isNaN(lineHeight) && lineHeight > 0) {
+            return lineHeight;
+        }
+        return this.windowLength > 0 ? this.textarea.scrollHeight / this.windowLength : 16;
+    }
+
+    /**
+     * Show the visible line range in the status element
+     * @private
+     */
+    updateStatus() {
+        if (!this.status) return;
+
+        if (!this.hasContent()) {
+            this.status.textContent = '';
+            return;
+        }
+
+        const first = this.windowStart + 1;
+        const last = this.windowStart + this.windowLength;
+        const total = this.output.lineCount;
+        this.status.textContent = total > this.windowLength
+            ? `Lines ${first.toLocaleString()}–${last.toLocaleString()} of ${total.toLocaleString()}`
+            : `${total.toLocaleString()} lines`;
+    }
+}
+
+export default GCodeViewer;
@@ -0,0 +1,204 @@
+/**
+ * Session Store Module
+ * Autosaves the working session to IndexedDB so it can be restored after
+ * the tab crashes or is closed. IndexedDB stores the source image and large
+ * G-code as Blobs, which localStorage could not hold.
+ */
+
+import { SCHEMA_VERSION, upgradeConfig } from '../core/schema.js';
+
+/**
+ * IndexedDB database holding the last session
+ * @type {string}
+ */
+export const SESSION_DB_NAME = 'muralbot-session';
+
+/**
+ * Object store holding the session
+ * @type {string}
+ * @private
+ */
+const STORE_NAME = 'session';
+
+/**
+ * Key of the saved session (only the last one is kept)
+ * @type {string}
+ * @private
+ */
+const SESSION_KEY = 'last';
+
+/**
+ * Open database connection (opened on first use)
+ * @type {Promise<IDBDatabase>|null}
+ * @private
+ */
+let dbPromise = null;
+
+/**
+ * Check whether sessions can be saved in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isSessionStorageSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open the session database
+ * @returns {Promise<IDBDatabase>} Database connection
+ * @private
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(SESSION_DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error || new Error('Failed to open session database'));
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a request against the session store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result once the transaction completes
+ * @private
+ */
+async function withStore(mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || new Error('Session storage failed'));
+        transaction.onabort = () => reject(transaction.error || new Error('Session storage was aborted'));
+    });
+}
+
+/**
+ * Save the working session, replacing the previous one
+ * @param {Object} session - Session contents
+ * @param {Object} session.settings - Current settings (without processing results)
+ * @param {Object|null} session.project - Image and generated results, see createProjectBundle()
+ * @returns {Promise<void>}
+ */
+export async function saveSession(session) {
+    if (!session || !session.settings) {
+        throw new Error('Invalid session');
+    }
+
+    await withStore('readwrite', store => store.put({
+        schemaVersion: SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        settings: session.settings,
+        project: session.project || null
+    }, SESSION_KEY));
+}
+
+/**
+ * Load the last saved session
+ * Settings saved with an older schema are migrated. A session that no
+ * longer validates is discarded.
+ * @returns {Promise<Object|null>} Session {savedAt, settings, project}, or null if there is none
+ */
+export async function loadSession() {
+    try {
+        const saved = await withStore('readonly', store => store.get(SESSION_KEY));
+        if (!saved) {
+            return null;
+        }
+
+        const schemaVersion = saved.schemaVersion;
+        const session = {
+            savedAt: saved.savedAt,
+            settings: upgradeConfig({ ...saved.settings, schemaVersion }, 'Saved session').config,
+            project: saved.project
+        };
+        if (session.project) {
+            session.project.config = upgradeConfig({ ...session.project.config, schemaVersion }, 'Saved session').config;
+        }
+
+        return session;
+    } catch (error) {
+        console.warn('Discarding saved session:', error);
+        await clearSession().catch(() => {});
+        return null;
+    }
+}
+
+/**
+ * Delete the saved session
+ * @returns {Promise<void>}
+ */
+export async function clearSession() {
+    await withStore('readwrite', store => store.delete(SESSION_KEY));
+}
+
+/**
+ * Create a debounced autosaver
+ * Calls to schedule() within the delay collapse into one save. Only one
+ * save runs at a time; a change during a save triggers another afterwards.
+ * flush() saves a scheduled change right away.
+ * @param {Function} getSession - Returns the session to save, see saveSession()
+ * @param {number} [delay=2000] - Milliseconds to wait after the last change
+ * @returns {{schedule: Function, flush: Function, cancel: Function}} Autosave controls
+ *
+ * @example
+ * const autosave = createAutosave(() => ({ settings, project }));
+ * eventBus.on(Events.STATE_CHANGED, autosave.schedule);
+ */
+export function createAutosave(getSession, delay = 2000) {
+    let timer = null;
+    let saving = null;
+    let pending = false;
+
+    const run = async () => {
+        timer = null;
+        if (saving) {
+            pending = true;
+            return saving;
+        }
+
+        saving = Promise.resolve()
+            .then(() => saveSession(getSession()))
+            .catch(error => console.error('Error autosaving session:', error))
+            .finally(() => {
+                saving = null;
+                if (pending) {
+                    pending = false;
+                    schedule();
+                }
+            });
+        return saving;
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(run, delay);
+    };
+
+    return {
+        schedule,
+        flush() {
+            if (!timer) {
+                return saving || Promise.resolve();
+            }
+            clearTimeout(timer);
+            return run();
+        },
+        cancel() {
+            clearTimeout(timer);
+            timer = null;
+            pending = false;
+        }
+    };
+}
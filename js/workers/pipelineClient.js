@@ -0,0 +1,231 @@
+/**
+ * Pipeline Client Module
+ * Runs the processing pipeline in a Web Worker and routes its progress onto
+ * the page's event bus. Cancelling terminates the worker; a fresh one is
+ * started for the next run. Where module workers are not available the
+ * pipeline runs on the page instead.
+ * @module workers/pipelineClient
+ */
+
+import eventBus, { Events } from '../core/eventBus.js';
+import { runPipeline, PipelineStage, PipelineCancelledError } from './processingPipeline.js';
+
+/**
+ * PipelineClient class
+ * Owns the pipeline worker and at most one run at a time
+ */
+export class PipelineClient {
+    /**
+     * Create a new PipelineClient
+     * @param {string|URL} [workerUrl] - Worker script, defaults to pipelineWorker.js
+     */
+    constructor(workerUrl = new URL('./pipelineWorker.js', import.meta.url)) {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.workerReady = false;  // Worker has loaded its modules
+        this.workerFailed = typeof Worker === 'undefined';
+        this.current = null;       // Active run {reject, signal, hooks}
+    }
+
+    /**
+     * Check whether a run is in progress
+     * @returns {boolean} True while running
+     */
+    isRunning() {
+        return this.current !== null;
+    }
+
+    /**
+     * Run the pipeline
+     *
+     * Progress is emitted as Events.PROCESSING_PROGRESS {percentage, message}
+     * while the image is processed and Events.GCODE_GENERATION_PROGRESS
+     * {percentage, progress, message} while G-code is generated.
+     *
+     * @param {Object} request - Pipeline input, see runPipeline(); an ImageBitmap
+     *        image is transferred to the worker and cannot be used afterwards.
+     *        If the worker fails to load, the same request runs on the page.
+     * @param {Object} [hooks] - Callbacks for intermediate results
+     * @param {Function} [hooks.palette] - (colorPalette) => void
+     * @param {Function} [hooks.preview] - (imageData) => void
+     * @returns {Promise<Object>} Result from runPipeline()
+     * @throws {PipelineCancelledError} If cancel() is called during the run
+     */
+    async run(request, hooks = {}) {
+        if (this.isRunning()) {
+            throw new Error('A pipeline run is already in progress');
+        }
+
+        const worker = this.getWorker();
+        return worker ? this.runInWorker(worker, request, hooks) : this.runInline(request, hooks);
+    }
+
+    /**
+     * Cancel the active run
+     * The run's promise rejects with a PipelineCancelledError.
+     */
+    cancel() {
+        if (!this.current) return;
+
+        const { reject, signal } = this.current;
+        signal.cancelled = true;
+
+        if (this.worker && !signal.inline) {
+            this.worker.terminate();
+            this.worker = null;
+            this.current = null;
+            reject(new PipelineCancelledError());
+        }
+    }
+
+    /**
+     * Get the worker, starting it if needed
+     * @private
+     * @returns {Worker|null} Worker, or null if workers cannot be used
+     */
+    getWorker() {
+        if (this.worker || this.workerFailed) {
+            return this.worker;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl, { type: 'module' });
+            this.workerReady = false;
+        } catch (error) {
+            console.warn('[PipelineClient] Web Worker unavailable, processing on the page:', error);
+            this.workerFailed = true;
+        }
+        return this.worker;
+    }
+
+    /**
+     * Run the pipeline in the worker
+     * @private
+     * @param {Worker} worker - Pipeline worker
+     * @param {Object} request - Pipeline input
+     * @param {Object} hooks - Result callbacks
+     * @returns {Promise<Object>} Result from runPipeline()
+     */
+    runInWorker(worker, request, hooks) {
+        return new Promise((resolve, reject) => {
+            let started = false;
+
+            const finish = () => {
+                worker.onmessage = null;
+                worker.onerror = null;
+                this.current = null;
+            };
+
+            // The image is only handed over once the worker has loaded, so a
+            // worker that cannot start leaves it usable for the page
+            const start = () => {
+                started = true;
+                const transfer = typeof ImageBitmap !== 'undefined' && request.image instanceof ImageBitmap
+                    ? [request.image]
+                    : [];
+                worker.postMessage({ type: 'run', request }, transfer);
+            };
+
+            this.current = { reject, signal: { cancelled: false, inline: false } };
+
+            worker.onmessage = event => {
+                const message = event.data;
+                switch (message.type) {
+                    case 'ready':
+                        this.workerReady = true;
+                        if (!started) start();
+                        break;
+                    case 'progress':
+                        this.emitProgress(message.update);
+                        break;
+                    case 'palette':
+                        if (hooks.palette) hooks.palette(message.colorPalette);
+                        break;
+                    case 'preview':
+                        if (hooks.preview) hooks.preview(message.imageData);
+                        break;
+                    case 'warning':
+                        eventBus.emit(Events.WARNING_OCCURRED, message.data);
+                        break;
+                    case 'result':
+                        finish();
+                        resolve(message.result);
+                        break;
+                    case 'error':
+                        finish();
+                        reject(new Error(message.message));
+                        break;
+                }
+            };
+
+            // Load failures (e.g. pages opened from file://, browsers without
+            // module workers) run the same request on the page instead
+            worker.onerror = event => {
+                event.preventDefault();
+                finish();
+                worker.terminate();
+                this.worker = null;
+                this.workerFailed = true;
+
+                if (!started) {
+                    console.warn('[PipelineClient] Worker could not start, processing on the page:', event.message);
+                    resolve(this.runInline(request, hooks));
+                    return;
+                }
+
+                console.error('[PipelineClient] Worker failed:', event.message);
+                reject(new Error(`Processing worker failed: ${event.message || 'unknown error'}`));
+            };
+
+            if (this.workerReady) {
+                start();
+            }
+        });
+    }
+
+    /**
+     * Run the pipeline on the page
+     * Cancellation takes effect at the next step boundary.
+     * @private
+     * @param {Object} request - Pipeline input
+     * @param {Object} hooks - Result callbacks
+     * @returns {Promise<Object>} Result from runPipeline()
+     */
+    async runInline(request, hooks) {
+        const signal = { cancelled: false, inline: true };
+        this.current = { reject: () => {}, signal };
+
+        try {
+            return await runPipeline(request, {
+                ...hooks,
+                progress: update => this.emitProgress(update)
+            }, signal);
+        } finally {
+            this.current = null;
+        }
+    }
+
+    /**
+     * Re-emit a pipeline progress update on the event bus
+     * @private
+     * @param {Object} update - {stage, percentage, message, progress}
+     */
+    emitProgress(update) {
+        if (update.stage === PipelineStage.GCODE) {
+            eventBus.emit(Events.GCODE_GENERATION_PROGRESS, {
+                percentage: update.percentage,
+                progress: update.progress,
+                message: update.message
+            });
+        } else {
+            eventBus.emit(Events.PROCESSING_PROGRESS, {
+                percentage: update.percentage,
+                message: update.message
+            });
+        }
+    }
+}
+
+export { PipelineCancelledError };
+
+export default PipelineClient;
@@ -0,0 +1,66 @@
+/**
+ * Pipeline Worker
+ * Module worker that runs the processing pipeline off the main thread.
+ *
+ * Messages in:
+ * - { type: 'run', request }  request as for runPipeline(), with an ImageBitmap image
+ *
+ * Messages out:
+ * - { type: 'ready' }  once the worker's modules have loaded
+ * - { type: 'progress', update }  update as passed to the progress hook
+ * - { type: 'palette', colorPalette }
+ * - { type: 'preview', imageData }
+ * - { type: 'warning', data }  Events.WARNING_OCCURRED raised inside the worker
+ * - { type: 'result', result }  layer and edge map buffers are transferred
+ * - { type: 'error', message }
+ * @module workers/pipelineWorker
+ */
+
+import eventBus, { Events } from '../core/eventBus.js';
+import imagePreprocessor from '../processing/imagePreprocessor.js';
+import { runPipeline } from './processingPipeline.js';
+
+// The worker has its own event bus; only forwarded events reach the page
+eventBus.setDebug(false);
+imagePreprocessor.setDebug(false);
+
+eventBus.on(Events.WARNING_OCCURRED, data => {
+    self.postMessage({ type: 'warning', data });
+});
+
+/**
+ * Collect the pixel buffers of a result so they move instead of being copied
+ * @param {Object} result - Result from runPipeline()
+ * @returns {ArrayBuffer[]} Transferable buffers
+ */
+function getTransferables(result) {
+    const buffers = (result.colorLayers || []).map(layer => layer.imageData.data.buffer);
+    if (result.edgeMap) {
+        buffers.push(result.edgeMap.data.buffer);
+    }
+    return buffers;
+}
+
+self.addEventListener('message', async event => {
+    const { type, request } = event.data;
+    if (type !== 'run') return;
+
+    try {
+        const result = await runPipeline(request, {
+            progress: update => self.postMessage({ type: 'progress', update }),
+            palette: colorPalette => self.postMessage({ type: 'palette', colorPalette }),
+            preview: imageData => self.postMessage({ type: 'preview', imageData })
+        });
+
+        self.postMessage({ type: 'result', result }, getTransferables(result));
+    } catch (error) {
+        console.error('[PipelineWorker] Pipeline failed:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    } finally {
+        if (request.image && request.image.close) {
+            request.image.close();
+        }
+    }
+});
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,231 @@
+/**
+ * Processing Pipeline Module
+ * Turns a source image into a streamed G-code program: preprocessing,
+ * color clustering and separation (or edge detection), then generation.
+ * The same steps run inside the pipeline worker and, where workers are not
+ * available, on the page itself.
+ * @module workers/processingPipeline
+ */
+
+import eventBus from '../core/eventBus.js';
+import imagePreprocessor from '../processing/imagePreprocessor.js';
+import colorSeparator from '../processing/colorSeparator.js';
+import kMeans from '../algorithms/kMeans.js';
+import { ditherImage, DitherMethod } from '../algorithms/dithering.js';
+import edgeDetection from '../algorithms/edgeDetection.js';
+import { createGenerator } from '../gcode/gcodeGenerator.js';
+import { writeGCodeBlob } from '../ui/gcodeExporter.js';
+
+/**
+ * Pipeline stages reported with progress updates
+ * @type {Object<string, string>}
+ */
+export const PipelineStage = {
+    PROCESSING: 'processing',
+    GCODE: 'gcode'
+};
+
+/**
+ * Overall progress (%) range covered while G-code is generated
+ * @type {{start: number, end: number}}
+ * @private
+ */
+const GCODE_PROGRESS_RANGE = { start: 80, end: 95 };
+
+/**
+ * Painting modes that work from an edge map instead of color layers
+ * @type {string[]}
+ * @private
+ */
+const EDGE_MODES = ['spray', 'sketch'];
+
+/**
+ * Error thrown when a pipeline run is cancelled
+ */
+export class PipelineCancelledError extends Error {
+    constructor(message = 'Generation cancelled') {
+        super(message);
+        this.name = 'PipelineCancelledError';
+        this.cancelled = true;
+    }
+}
+
+/**
+ * Throw if the run has been cancelled
+ * @private
+ * @param {{cancelled: boolean}} [signal] - Cancellation flag
+ */
+function throwIfCancelled(signal) {
+    if (signal && signal.cancelled) {
+        throw new PipelineCancelledError();
+    }
+}
+
+/**
+ * Run the full image-to-G-code pipeline
+ *
+ * @param {Object} request - Pipeline input
+ * @param {HTMLImageElement|ImageBitmap} request.image - Source image
+ * @param {Object} request.config - Application state snapshot (state.getState())
+ * @param {string} request.colorMode - 'auto' (K-Means) or 'manual'
+ * @param {Array<{r: number, g: number, b: number}>} [request.manualPalette] - Palette for manual mode
+ * @param {{low: number, high: number}} [request.thresholds] - Edge detection thresholds
+ * @param {Object} [request.preprocessOptions] - Options for imagePreprocessor.preprocess()
+ * @param {Object} [hooks] - Callbacks for intermediate results
+ * @param {Function} [hooks.progress] - ({stage, percentage, message, progress}) => void;
+ *        progress is the generator's own percentage during the G-code stage
+ * @param {Function} [hooks.palette] - (colorPalette) => void, once colors are known
+ * @param {Function} [hooks.preview] - (imageData) => void, quantized image or edge map
+ * @param {{cancelled: boolean}} [signal] - Checked between steps; set cancelled to stop the run
+ * @returns {Promise<{colorPalette: Array|undefined, colorLayers: Array|undefined,
+ *          edgeMap: ImageData|undefined, output: Object}>} Processing results and the
+ *          program from writeGCodeBlob()
+ * @throws {PipelineCancelledError} If the run is cancelled
+ */
+export async function runPipeline(request, hooks = {}, signal = null) {
+    const { image, config, colorMode, manualPalette, thresholds = {}, preprocessOptions = {} } = request;
+    const paintingMode = config.paint.paintingMode;
+    const numColors = config.paint.numColors;
+
+    const progress = (percentage, message) => {
+        if (hooks.progress) hooks.progress({ stage: PipelineStage.PROCESSING, percentage, message });
+    };
+
+    // Preprocess image
+    const preprocessResult = await imagePreprocessor.preprocess(image, {
+        ...preprocessOptions,
+        createImage: false
+    });
+    const processedImageData = preprocessResult.imageData;
+
+    progress(15, 'Image preprocessed');
+    throwIfCancelled(signal);
+
+    let colorPalette;
+    let colorLayers;
+    let edgeMap;
+
+    if (EDGE_MODES.includes(paintingMode)) {
+        // Edge detection for sketch mode
+        progress(20, 'Detecting edges...');
+
+        edgeMap = await edgeDetection.detectEdges(
+            processedImageData,
+            thresholds.low,
+            thresholds.high
+        );
+
+        if (hooks.preview) hooks.preview(edgeMap);
+
+        progress(60, 'Edges detected');
+    } else {
+        // Color processing for pointillism and strokes modes
+        if (colorMode === 'auto') {
+            progress(20, 'Finding dominant colors...');
+
+            // Use sample rate for large images (every 2nd pixel)
+            const sampleRate = processedImageData.width * processedImageData.height > 1000000 ? 2 : 1;
+
+            colorPalette = await kMeans.findDominantColors(
+                processedImageData,
+                numColors,
+                50, // max iterations
+                sampleRate
+            );
+
+            if (hooks.palette) hooks.palette(colorPalette);
+
+            progress(40, 'Dominant colors found');
+        } else {
+            progress(20, 'Using manual colors...');
+            colorPalette = manualPalette.slice(0, numColors);
+            progress(30, 'Manual colors loaded');
+        }
+        throwIfCancelled(signal);
+
+        // Quantize image to palette, dithering to keep gradients if asked
+        const dithering = config.paint.dithering || DitherMethod.NONE;
+        let quantizedImage;
+        if (dithering === DitherMethod.NONE) {
+            progress(45, 'Quantizing image...');
+            quantizedImage = kMeans.quantizeImage(processedImageData, colorPalette);
+        } else {
+            progress(45, 'Dithering image...');
+            quantizedImage = ditherImage(processedImageData, colorPalette, dithering);
+        }
+
+        if (hooks.preview) hooks.preview(quantizedImage);
+
+        progress(50, dithering === DitherMethod.NONE ? 'Image quantized' : 'Image dithered');
+        throwIfCancelled(signal);
+
+        // Separate into color layers
+        progress(55, 'Separating color layers...');
+
+        colorLayers = await colorSeparator.separateColors(
+            quantizedImage,
+            colorPalette,
+            30 // tolerance
+        );
+
+        progress(75, 'Color layers separated');
+        console.log('[ProcessingPipeline] Layer statistics:', colorSeparator.getLayerStatistics(colorLayers));
+    }
+
+    progress(80, 'Processing complete');
+    throwIfCancelled(signal);
+
+    // Generator progress arrives on the event bus, per layer and per element.
+    // Layer updates mark where each layer starts; element updates (0-100)
+    // move through the current layer.
+    const generator = createGenerator();
+    let layer = { index: 0, count: 1 };
+    let generated = 0;
+    const gcodePercentage = () =>
+        GCODE_PROGRESS_RANGE.start + (GCODE_PROGRESS_RANGE.end - GCODE_PROGRESS_RANGE.start) * generated;
+
+    const unsubscribe = eventBus.on('GCODE_GENERATION_PROGRESS', data => {
+        if (data.currentLayer) {
+            layer = { index: data.currentLayer - 1, count: data.totalLayers };
+            generated = layer.index / layer.count;
+        } else {
+            const withinLayer = Math.max(0, Math.min(1, (data.progress || 0) / 100));
+            generated = (layer.index + withinLayer) / layer.count;
+        }
+
+        if (!hooks.progress) return;
+        hooks.progress({
+            stage: PipelineStage.GCODE,
+            percentage: gcodePercentage(),
+            progress: data.progress,
+            message: data.message || (data.currentLayer
+                ? `Generating layer ${data.currentLayer}/${data.totalLayers}...`
+                : 'Generating G-code...')
+        });
+    });
+
+    try {
+        const output = await writeGCodeBlob(generator.stream(config, colorLayers, edgeMap), {
+            onChunk: lineCount => {
+                throwIfCancelled(signal);
+                if (hooks.progress) {
+                    hooks.progress({
+                        stage: PipelineStage.GCODE,
+                        percentage: gcodePercentage(),
+                        message: `Generating G-code... ${lineCount.toLocaleString()} lines`
+                    });
+                }
+            }
+        });
+
+        return { colorPalette, colorLayers, edgeMap, output };
+    } finally {
+        unsubscribe();
+    }
+}
+
+export default {
+    PipelineStage,
+    PipelineCancelledError,
+    runPipeline
+};